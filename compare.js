@@ -0,0 +1,230 @@
+/**
+ * compare.js
+ *  - Shows up to 4 experiences side by side (compare.html?ids=a,b,c)
+ *  - No ?ids= -> uses whatever is in the compare tray (lib/compareTray.js)
+ *  - Remove a column -> removed from the tray too, URL updated so it can still be shared
+ */
+
+// Rows of the table: label (UI string key, lib/i18n.js) + how to get the cell text from an experience row
+const COMPARE_ROWS = [
+  { label: 'compare.row.price', value: (exp) => formatExperiencePrice(exp) || t('card.priceTbd') },
+  { label: 'compare.row.reduced', value: (exp) => formatReducedPrices(exp) || '—' },
+  { label: 'compare.row.tier', value: (exp) => exp.price_tier || '—' },
+  { label: 'compare.row.duration', value: (exp) => formatDuration(exp.duration_minutes) || t('detail.durationTbd') },
+  { label: 'compare.row.rating', value: (exp) => formatRating(exp.avg_rating, exp.review_count) || t('compare.noReviews') },
+  { label: 'compare.row.county', value: (exp) => exp.county || '—' },
+  { label: 'compare.row.business', value: (exp) => exp.business?.business_name || '—' },
+  { label: 'compare.row.included', list: (exp) => splitToItems(exp.whats_included) },
+  { label: 'compare.row.whatYouDo', list: (exp) => splitToItems(exp.what_you_do) }
+];
+
+let compareIds = []; // ids currently shown, in column order
+
+// experience_id is a uuid; anything else in ?ids= would only make the query fail
+const EXPERIENCE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ---------------------------
+// DOM Ready
+// ---------------------------
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('✅ compare.js loaded');
+
+  // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+  await initSiteLanguage();
+
+  await updateNavForAuthState();
+  bindNavEvents();
+
+  compareIds = getIdsFromURL();
+  await loadAndRenderComparison();
+});
+
+// ?ids=a,b,c (falls back to the tray so the nav link still works without params)
+function getIdsFromURL() {
+  const ids = decodeListParam(new URLSearchParams(window.location.search).get('ids'))
+    .filter(id => EXPERIENCE_ID_PATTERN.test(id));
+  return (ids.length ? ids : getCompareItems().map(item => item.id)).slice(0, COMPARE_MAX);
+}
+
+// ---------------------------
+// Nav helpers (role-aware)
+// ---------------------------
+async function updateNavForAuthState() {
+  const navGuest = document.getElementById('navGuest');
+  const navUser = document.getElementById('navUser');
+  const navBusiness = document.getElementById('navBusiness');
+
+  // default
+  if (navGuest) navGuest.style.display = 'flex';
+  if (navUser) navUser.style.display = 'none';
+  if (navBusiness) navBusiness.style.display = 'none';
+
+  try {
+    const { data: { user } } = await supabaseClient.auth.getUser();
+    if (!user) return;
+
+    const { data: userRow } = await supabaseClient
+      .from('users')
+      .select('role')
+      .eq('user_id', user.id)
+      .single();
+
+    const role = userRow?.role || 'user';
+
+    if (navGuest) navGuest.style.display = 'none';
+    if (role === 'business') {
+      if (navBusiness) navBusiness.style.display = 'flex';
+    } else {
+      if (navUser) navUser.style.display = 'flex';
+    }
+  } catch (e) {
+    console.warn('Auth/nav error:', e);
+  }
+}
+
+function bindNavEvents() {
+  const signOut = async () => {
+    await supabaseClient.auth.signOut();
+    window.location.href = 'landing.html';
+  };
+
+  document.getElementById('btnSignOut')?.addEventListener('click', signOut);
+  document.getElementById('btnSignOutBusiness')?.addEventListener('click', signOut);
+}
+
+// ---------------------------
+// Load + render
+// ---------------------------
+async function loadAndRenderComparison() {
+  const status = document.getElementById('compareStatus');
+  const table = document.getElementById('compareTable');
+  if (!status || !table) return;
+
+  if (!compareIds.length) {
+    table.classList.add('hidden');
+    status.className = 'no-results';
+    status.innerHTML = t('compare.empty');
+    return;
+  }
+
+  try {
+    // experience_listing_v = approved + published only, so unpublished ones just drop out
+    const { data, error } = await supabaseClient
+      .from('experience_listing_v')
+      .select(`
+        experience_id,
+        title,
+        county,
+        min_price,
+        max_price,
+        price_unit,
+        group_price_size,
+        child_price,
+        concession_price,
+        price_tier,
+        duration_minutes,
+        avg_rating,
+        review_count,
+        what_you_do,
+        whats_included,
+        business:business_id(business_name),
+        image(image_url, is_primary),
+        ${TRANSLATION_SELECT}
+      `)
+      .in('experience_id', compareIds);
+
+    if (error) throw error;
+
+    // Keep the order the user picked them in (titles + lists in the site language)
+    const byId = new Map((data || []).map(exp => [exp.experience_id, localizeExperience(exp)]));
+    const experiences = compareIds.map(id => byId.get(id)).filter(Boolean);
+
+    if (!experiences.length) {
+      table.classList.add('hidden');
+      status.className = 'no-results';
+      status.textContent = t('compare.gone');
+      return;
+    }
+
+    status.className = 'muted';
+    status.textContent = experiences.length < compareIds.length
+      ? t('compare.someGone')
+      : '';
+
+    renderCompareTable(table, experiences);
+    table.classList.remove('hidden');
+  } catch (err) {
+    console.error('Error loading comparison:', err);
+    table.classList.add('hidden');
+    status.className = 'alert alert-error';
+    status.textContent = t('compare.error');
+  }
+}
+
+function renderCompareTable(table, experiences) {
+  const headCells = experiences.map((exp) => {
+    const title = escapeHtml(exp.title || 'Experience');
+    const imgUrl = getPrimaryImageUrl(exp) || 'https://via.placeholder.com/300x200';
+    const detailUrl = `detailed_experience.html?id=${encodeURIComponent(exp.experience_id)}&src=compare`;
+
+    return `
+      <th scope="col">
+        <img class="compare-img" src="${imgUrl}" alt="${title}" loading="lazy" />
+        <a class="compare-title" href="${detailUrl}">${title}</a>
+        <button type="button" class="btn-small" data-remove-id="${exp.experience_id}">${escapeHtml(t('compare.remove'))}</button>
+      </th>
+    `;
+  }).join('');
+
+  const bodyRows = COMPARE_ROWS.map((row) => {
+    const cells = experiences.map((exp) => {
+      if (row.list) {
+        const items = row.list(exp);
+        return items.length
+          ? `<td><ul>${items.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul></td>`
+          : `<td class="muted">${escapeHtml(t('detail.comingSoon'))}</td>`;
+      }
+      return `<td>${escapeHtml(row.value(exp))}</td>`;
+    }).join('');
+
+    return `<tr><th scope="row">${escapeHtml(t(row.label))}</th>${cells}</tr>`;
+  }).join('');
+
+  table.innerHTML = `
+    <thead><tr><td></td>${headCells}</tr></thead>
+    <tbody>${bodyRows}</tbody>
+  `;
+
+  table.querySelectorAll('[data-remove-id]').forEach((btn) => {
+    btn.addEventListener('click', () => removeColumn(btn.dataset.removeId));
+  });
+}
+
+// Drop one experience: out of the tray, out of the URL, redraw
+async function removeColumn(id) {
+  removeFromCompare(id);
+  compareIds = compareIds.filter(x => x !== id);
+
+  const url = compareIds.length ? `compare.html?ids=${compareIds.map(encodeURIComponent).join(',')}` : 'compare.html';
+  history.replaceState(null, '', url);
+
+  await loadAndRenderComparison();
+}
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function getPrimaryImageUrl(exp) {
+  const imgs = exp?.image || [];
+  const primary = imgs.find((i) => i.is_primary) || imgs[0];
+  return primary?.image_url || '';
+}
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
@@ -7,6 +7,17 @@ let currentAdmin = null;       // Matching record from my "users" table with rol
 let experiences = [];          // All experiences pulled from Supabase
 let currentFilter = 'pending'; // default view for experiences list
 let filterTabsBound = false;   // so I only attach filter tab click handler once
+let finderAdminBound = false;  // same for the Finder config screen
+let questionsBound = false;    // and the Q&A moderation table
+let reviewsBound = false;      // and the review moderation table
+let finderAdmin = { questions: [], answers: [], weights: [], categories: [] }; // Finder config rows
+
+// Finder question keys go straight into shared Finder links next to the Explore params,
+// so these are taken (same list as finder_question_id_check in sql/finder_config.sql)
+const FINDER_RESERVED_KEYS = [
+  'view', 'id', 'q', 'src', 'sort', 'category_id', 'county', 'price_min', 'price_max',
+  'duration', 'date', 'suitable', 'fitness', 'language', 'group', 'age'
+];
 
 // Run when page is fully loaded
 document.addEventListener('DOMContentLoaded', async () => {
@@ -16,7 +27,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.querySelectorAll('.nav-links a[data-section]').forEach(link => {
     link.addEventListener('click', (e) => {
       e.preventDefault();
-      const section = link.getAttribute('data-section'); // dashboard / experiences / businesses / users
+      const section = link.getAttribute('data-section'); // dashboard / experiences / businesses / users / finder
       setHash(section); // update URL hash and trigger section display
     });
   });
@@ -33,7 +44,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load waitlist KPI + latest signups (admin-only) Iteration 6
   await loadWaitlistOverview();
 
-  // Hash routing (#dashboard | #experiences | #businesses | #users)
+  // Hash routing (#dashboard | #experiences | #businesses | #users | #finder | #questions | #reviews)
   window.addEventListener('hashchange', () => {
     const section = getSectionFromHash();
     showSection(section);
@@ -419,6 +430,21 @@ function showSection(section) {
     }
     loadExperiences();
   }
+
+  if (section === 'finder') {
+    bindFinderAdminOnce();
+    loadFinderAdmin();
+  }
+
+  if (section === 'questions') {
+    bindQuestionsOnce();
+    loadQuestions();
+  }
+
+  if (section === 'reviews') {
+    bindReviewsOnce();
+    loadReportedReviews();
+  }
 }
 
 /**
@@ -439,10 +465,591 @@ function setHash(section) {
  */
 function getSectionFromHash() {
   const h = (location.hash || '').replace('#', '').trim();
-  if (['dashboard', 'experiences', 'businesses', 'users'].includes(h)) return h;
+  if (['dashboard', 'experiences', 'businesses', 'users', 'finder', 'questions', 'reviews'].includes(h)) return h;
   return null;
 }
 
+/* =========================
+   Q&A moderation
+   ========================= */
+
+/**
+ * Latest 100 questions from experience pages (admins can read all of them, hidden or not).
+ */
+async function loadQuestions() {
+  const loading = document.getElementById('questionsLoading');
+  const empty = document.getElementById('questionsEmpty');
+  const wrap = document.getElementById('questionsTableWrap');
+  const tbody = document.getElementById('questionsTbody');
+  if (!tbody) return;
+
+  loading?.classList.remove('hidden');
+  empty?.classList.add('hidden');
+  wrap?.classList.add('hidden');
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('experience_question')
+      .select('question_id, question, answer, is_hidden, created_at, experience:experience_id ( title )')
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) throw error;
+
+    const rows = data || [];
+    loading?.classList.add('hidden');
+
+    if (!rows.length) {
+      empty?.classList.remove('hidden');
+      return;
+    }
+
+    tbody.innerHTML = rows.map((q) => {
+      const status = q.is_hidden ? 'Hidden' : q.answer ? 'Public' : 'Awaiting answer';
+      const cell = 'padding: 0.75rem; border-bottom: 1px solid var(--border); vertical-align: top;';
+
+      return `
+        <tr data-question-id="${q.question_id}">
+          <td style="${cell}">${escapeHtml(q.experience?.title || '—')}</td>
+          <td style="${cell}">${escapeHtml(q.question)}</td>
+          <td style="${cell}">${escapeHtml(q.answer || '—')}</td>
+          <td style="${cell}">${status}</td>
+          <td style="${cell} white-space:nowrap;">
+            <button class="btn-icon ${q.is_hidden ? 'btn-approve' : 'btn-reject'}" type="button" data-action="toggle-hidden" data-hidden="${q.is_hidden}">
+              ${q.is_hidden ? 'Unhide' : 'Hide'}
+            </button>
+            <button class="btn-icon btn-reject" type="button" data-action="delete-question">Delete</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    wrap?.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading questions:', error);
+    loading?.classList.add('hidden');
+    showAlert('Error loading questions', 'error');
+  }
+}
+
+/**
+ * Hide / Unhide / Delete buttons (event delegation, the table is re-rendered).
+ */
+function bindQuestionsOnce() {
+  if (questionsBound) return;
+
+  document.getElementById('questionsTbody')?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const questionId = btn.closest('tr[data-question-id]')?.getAttribute('data-question-id');
+    if (!questionId) return;
+
+    try {
+      if (btn.dataset.action === 'toggle-hidden') {
+        const { error } = await supabaseClient
+          .from('experience_question')
+          .update({ is_hidden: btn.dataset.hidden !== 'true' })
+          .eq('question_id', questionId);
+
+        if (error) throw error;
+        showAlert(btn.dataset.hidden === 'true' ? 'Question visible again' : 'Question hidden', 'success');
+      }
+
+      if (btn.dataset.action === 'delete-question') {
+        if (!confirm('Delete this question for good?')) return;
+
+        const { error } = await supabaseClient
+          .from('experience_question')
+          .delete()
+          .eq('question_id', questionId);
+
+        if (error) throw error;
+        showAlert('Question deleted', 'success');
+      }
+
+      await loadQuestions();
+    } catch (error) {
+      console.error('Error updating question:', error);
+      showAlert('Error updating question', 'error');
+    }
+  });
+
+  questionsBound = true;
+}
+
+/* =========================
+   Review moderation
+   ========================= */
+
+/**
+ * Every hidden review plus every review with at least one report, newest first.
+ * Admins can read all reviews and reports (sql/reviews.sql).
+ */
+async function loadReportedReviews() {
+  const loading = document.getElementById('reviewsLoading');
+  const empty = document.getElementById('reviewsEmpty');
+  const wrap = document.getElementById('reviewsTableWrap');
+  const tbody = document.getElementById('reviewsTbody');
+  if (!tbody) return;
+
+  loading?.classList.remove('hidden');
+  empty?.classList.add('hidden');
+  wrap?.classList.add('hidden');
+
+  try {
+    const { data: reports, error: reportErr } = await supabaseClient
+      .from('review_report')
+      .select('review_id, reason')
+      .order('created_at', { ascending: false })
+      .limit(500);
+
+    if (reportErr) throw reportErr;
+
+    // review_id -> reasons given (empty reasons still count as a report)
+    const reportsByReview = new Map();
+    (reports || []).forEach((r) => {
+      if (!reportsByReview.has(r.review_id)) reportsByReview.set(r.review_id, []);
+      reportsByReview.get(r.review_id).push(r.reason || '');
+    });
+
+    const reportedIds = [...reportsByReview.keys()];
+    const conditions = ['is_hidden.eq.true'];
+    if (reportedIds.length) conditions.push(`review_id.in.(${reportedIds.join(',')})`);
+
+    const { data, error } = await supabaseClient
+      .from('review')
+      .select('review_id, reviewer_name, rating, body, is_hidden, created_at, experience:experience_id ( title )')
+      .or(conditions.join(','))
+      .order('created_at', { ascending: false })
+      .limit(100);
+
+    if (error) throw error;
+
+    const rows = data || [];
+    loading?.classList.add('hidden');
+
+    if (!rows.length) {
+      empty?.classList.remove('hidden');
+      return;
+    }
+
+    tbody.innerHTML = rows.map((r) => {
+      const reasons = reportsByReview.get(r.review_id) || [];
+      const cell = 'padding: 0.75rem; border-bottom: 1px solid var(--border); vertical-align: top;';
+      const reasonText = reasons.filter(Boolean).map(escapeHtml).join('<br>');
+
+      return `
+        <tr data-review-id="${r.review_id}">
+          <td style="${cell}">${escapeHtml(r.experience?.title || '—')}</td>
+          <td style="${cell}">
+            <strong>${'★'.repeat(r.rating)}</strong> ${escapeHtml(r.reviewer_name || 'ExperienceMe member')}<br>
+            ${escapeHtml(r.body || '—')}
+          </td>
+          <td style="${cell}">${reasons.length}${reasonText ? `<br><span style="color: var(--text-secondary);">${reasonText}</span>` : ''}</td>
+          <td style="${cell}">${r.is_hidden ? 'Hidden' : 'Public'}</td>
+          <td style="${cell} white-space:nowrap;">
+            <button class="btn-icon ${r.is_hidden ? 'btn-approve' : 'btn-reject'}" type="button" data-action="toggle-hidden" data-hidden="${r.is_hidden}">
+              ${r.is_hidden ? 'Unhide' : 'Hide'}
+            </button>
+            <button class="btn-icon btn-reject" type="button" data-action="delete-review">Delete</button>
+          </td>
+        </tr>
+      `;
+    }).join('');
+
+    wrap?.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading reviews:', error);
+    loading?.classList.add('hidden');
+    showAlert('Error loading reviews', 'error');
+  }
+}
+
+/**
+ * Hide / Unhide (moderate_review() RPC, also clears reports on unhide) / Delete.
+ */
+function bindReviewsOnce() {
+  if (reviewsBound) return;
+
+  document.getElementById('reviewsTbody')?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const reviewId = btn.closest('tr[data-review-id]')?.getAttribute('data-review-id');
+    if (!reviewId) return;
+
+    try {
+      if (btn.dataset.action === 'toggle-hidden') {
+        const unhide = btn.dataset.hidden === 'true';
+        const { error } = await supabaseClient
+          .rpc('moderate_review', { p_review_id: reviewId, p_hidden: !unhide });
+
+        if (error) throw error;
+        showAlert(unhide ? 'Review visible again' : 'Review hidden', 'success');
+      }
+
+      if (btn.dataset.action === 'delete-review') {
+        if (!confirm('Delete this review for good?')) return;
+
+        const { error } = await supabaseClient
+          .from('review')
+          .delete()
+          .eq('review_id', reviewId);
+
+        if (error) throw error;
+        showAlert('Review deleted', 'success');
+      }
+
+      await loadReportedReviews();
+    } catch (error) {
+      console.error('Error updating review:', error);
+      showAlert('Error updating review', 'error');
+    }
+  });
+
+  reviewsBound = true;
+}
+
+/* =========================
+   Finder config
+   ========================= */
+
+/**
+ * Load every Finder question / answer / weight (active or not) plus the categories
+ * the answers can point at. finder.html only shows the active ones.
+ */
+async function loadFinderAdmin() {
+  const container = document.getElementById('finderAdmin');
+  if (!container) return;
+
+  try {
+    const [questionsRes, answersRes, weightsRes, categoriesRes] = await Promise.all([
+      supabaseClient.from('finder_question').select('*').order('sort_order'),
+      supabaseClient.from('finder_answer').select('*').order('sort_order'),
+      supabaseClient.from('finder_answer_weight').select('*'),
+      supabaseClient.from('category').select('category_id, category_name').order('category_name')
+    ]);
+
+    [questionsRes, answersRes, weightsRes, categoriesRes].forEach(({ error }) => {
+      if (error) throw error;
+    });
+
+    finderAdmin = {
+      questions: questionsRes.data || [],
+      answers: answersRes.data || [],
+      weights: weightsRes.data || [],
+      categories: categoriesRes.data || []
+    };
+
+    renderFinderAdmin();
+  } catch (error) {
+    console.error('Error loading Finder config:', error);
+    container.innerHTML = '<p class="alert alert-error">Could not load the Finder config (has sql/finder_config.sql been run?)</p>';
+  }
+}
+
+/**
+ * One card per question: question settings on top, answers table underneath.
+ * Score questions get a weight column per category, category questions a category picker.
+ * The last row of each table is blank for adding a new answer.
+ */
+function renderFinderAdmin() {
+  const container = document.getElementById('finderAdmin');
+  const { questions, answers, categories } = finderAdmin;
+
+  if (!questions.length) {
+    container.innerHTML = '<div class="no-results">No Finder questions yet. Add one above.</div>';
+    return;
+  }
+
+  container.innerHTML = questions.map((q) => {
+    const isScore = q.kind === 'score';
+    const qAnswers = answers.filter(a => a.question_id === q.question_id);
+
+    const headCells = isScore
+      ? categories.map(c => `<th title="Fit 0–1">${escapeHtml(c.category_name)}</th>`).join('')
+      : '<th>Category</th>';
+
+    const rows = [...qAnswers, null].map(a => renderFinderAnswerRow(q, a)).join('');
+
+    // Branching: any answer from another question can switch this one on
+    const showIfOptions = questions
+      .filter(other => other.question_id !== q.question_id)
+      .flatMap(other => answers
+        .filter(a => a.question_id === other.question_id)
+        .map(a => `<option value="${a.answer_id}" ${q.show_if_answer_id === a.answer_id ? 'selected' : ''}>${escapeHtml(`${other.prompt} → ${a.label}`)}</option>`))
+      .join('');
+
+    return `
+      <div class="card finder-admin-question" data-question-id="${escapeHtml(q.question_id)}">
+        <div class="finder-admin-fields">
+          <label>Key <input value="${escapeHtml(q.question_id)}" disabled /></label>
+          <label>Question <input data-field="prompt" value="${escapeHtml(q.prompt)}" /></label>
+          <label>Kind
+            <select data-field="kind">
+              <option value="score" ${isScore ? 'selected' : ''}>Score</option>
+              <option value="category" ${isScore ? '' : 'selected'}>Category filter</option>
+            </select>
+          </label>
+          <label>Weight <input type="number" min="0" step="0.5" data-field="score_weight" value="${escapeHtml(q.score_weight)}" /></label>
+          <label>Order <input type="number" data-field="sort_order" value="${escapeHtml(q.sort_order)}" /></label>
+          <label>Only ask if
+            <select data-field="show_if_answer_id">
+              <option value="">Always ask</option>
+              ${showIfOptions}
+            </select>
+          </label>
+          <label class="finder-admin-check"><input type="checkbox" data-field="multiple" ${q.multiple ? 'checked' : ''} /> Pick several</label>
+          <label class="finder-admin-check"><input type="checkbox" data-field="is_active" ${q.is_active ? 'checked' : ''} /> Active</label>
+          <button class="btn btn-secondary" type="button" data-action="save-question">Save</button>
+          ${q.role
+            ? `<span class="muted" title="Gift cards look this question up, so it can't be deleted">Used by gift cards</span>`
+            : '<button class="btn-icon btn-reject" type="button" data-action="delete-question">Delete</button>'}
+        </div>
+
+        <div style="overflow-x:auto;">
+          <table class="table finder-admin-answers">
+            <thead>
+              <tr>
+                <th>Chip label</th>
+                <th>Why this matches</th>
+                ${headCells}
+                <th>Order</th>
+                <th>Active</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * One answer row (answer = null for the blank "add" row).
+ */
+function renderFinderAnswerRow(question, answer) {
+  const { weights, categories } = finderAdmin;
+  const id = answer?.answer_id || '';
+
+  let categoryCells;
+  if (question.kind === 'score') {
+    categoryCells = categories.map((c) => {
+      const w = weights.find(x => x.answer_id === id && x.category_id === c.category_id);
+      return `<td><input type="number" min="0" max="1" step="0.1" data-weight-category="${c.category_id}" value="${w ? escapeHtml(w.weight) : ''}" /></td>`;
+    }).join('');
+  } else {
+    const options = categories.map(c =>
+      `<option value="${c.category_id}" ${answer?.category_id === c.category_id ? 'selected' : ''}>${escapeHtml(c.category_name)}</option>`
+    ).join('');
+    categoryCells = `<td><select data-field="category_id"><option value="">— none —</option>${options}</select></td>`;
+  }
+
+  return `
+    <tr data-answer-id="${id}">
+      <td><input data-field="label" value="${escapeHtml(answer?.label || '')}" placeholder="${answer ? '' : 'New answer'}" /></td>
+      <td><input data-field="reason" value="${escapeHtml(answer?.reason || '')}" /></td>
+      ${categoryCells}
+      <td><input type="number" data-field="sort_order" value="${escapeHtml(answer?.sort_order ?? 0)}" style="width:4rem;" /></td>
+      <td><input type="checkbox" data-field="is_active" ${!answer || answer.is_active ? 'checked' : ''} /></td>
+      <td style="white-space:nowrap;">
+        <button class="btn-icon btn-approve" type="button" data-action="save-answer">${answer ? 'Save' : 'Add'}</button>
+        ${answer ? '<button class="btn-icon btn-reject" type="button" data-action="delete-answer">Delete</button>' : ''}
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Event delegation for the whole Finder screen (bound once, content is re-rendered often).
+ */
+function bindFinderAdminOnce() {
+  if (finderAdminBound) return;
+
+  document.getElementById('finderAdmin')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn) return;
+
+    const card = btn.closest('[data-question-id]');
+    const row = btn.closest('tr[data-answer-id]');
+    const questionId = card?.getAttribute('data-question-id');
+
+    if (btn.dataset.action === 'save-question') saveFinderQuestion(questionId, card);
+    if (btn.dataset.action === 'delete-question') deleteFinderQuestion(questionId);
+    if (btn.dataset.action === 'save-answer') saveFinderAnswer(questionId, row);
+    if (btn.dataset.action === 'delete-answer') deleteFinderAnswer(row.getAttribute('data-answer-id'));
+  });
+
+  document.getElementById('finderQuestionForm')?.addEventListener('submit', addFinderQuestion);
+
+  finderAdminBound = true;
+}
+
+/**
+ * Read a [data-field] input / select / checkbox inside a card or row.
+ */
+function readFinderField(root, field) {
+  const el = root.querySelector(`[data-field="${field}"]`);
+  if (!el) return undefined;
+  if (el.type === 'checkbox') return el.checked;
+  return el.value.trim();
+}
+
+async function addFinderQuestion(e) {
+  e.preventDefault();
+  const form = e.target;
+  const questionId = form.question_id.value.trim();
+
+  if (FINDER_RESERVED_KEYS.includes(questionId)) {
+    showAlert(`"${questionId}" is already used in Finder links, pick another key`, 'error');
+    return;
+  }
+
+  try {
+    const { error } = await supabaseClient.from('finder_question').insert({
+      question_id: questionId,
+      prompt: form.prompt.value.trim(),
+      kind: form.kind.value,
+      sort_order: finderAdmin.questions.length + 1
+    });
+
+    if (error) throw error;
+
+    form.reset();
+    showAlert('Question added', 'success');
+    await loadFinderAdmin();
+  } catch (error) {
+    console.error('Error adding Finder question:', error);
+    showAlert('Error adding question (is the key already used?)', 'error');
+  }
+}
+
+async function saveFinderQuestion(questionId, card) {
+  try {
+    const { error } = await supabaseClient
+      .from('finder_question')
+      .update({
+        prompt: readFinderField(card, 'prompt'),
+        kind: readFinderField(card, 'kind'),
+        score_weight: Number(readFinderField(card, 'score_weight')) || 0,
+        sort_order: parseInt(readFinderField(card, 'sort_order'), 10) || 0,
+        multiple: readFinderField(card, 'multiple'),
+        is_active: readFinderField(card, 'is_active'),
+        show_if_answer_id: readFinderField(card, 'show_if_answer_id') || null
+      })
+      .eq('question_id', questionId);
+
+    if (error) throw error;
+
+    showAlert('Question saved', 'success');
+    await loadFinderAdmin();
+  } catch (error) {
+    console.error('Error saving Finder question:', error);
+    // 23514 = finder_question_check_show_if: the picked answer depends on this question
+    showAlert(error.code === '23514'
+      ? 'That answer is only asked after this question, so "Only ask if" would loop'
+      : 'Error saving question', 'error');
+  }
+}
+
+async function deleteFinderQuestion(questionId) {
+  if (finderAdmin.questions.find(q => q.question_id === questionId)?.role) {
+    showAlert('Gift cards use this question, it can only be switched off', 'error');
+    return;
+  }
+  if (!confirm('Delete this question and all of its answers?')) return;
+
+  try {
+    const { error } = await supabaseClient.from('finder_question').delete().eq('question_id', questionId);
+    if (error) throw error;
+
+    showAlert('Question deleted', 'success');
+    await loadFinderAdmin();
+  } catch (error) {
+    console.error('Error deleting Finder question:', error);
+    showAlert('Error deleting question', 'error');
+  }
+}
+
+/**
+ * Insert (blank row) or update an answer, then replace its category weights.
+ */
+async function saveFinderAnswer(questionId, row) {
+  const label = readFinderField(row, 'label');
+  if (!label) {
+    showAlert('Give the answer a chip label first', 'error');
+    return;
+  }
+
+  const payload = {
+    question_id: questionId,
+    label,
+    reason: readFinderField(row, 'reason') || null,
+    sort_order: parseInt(readFinderField(row, 'sort_order'), 10) || 0,
+    is_active: readFinderField(row, 'is_active')
+  };
+
+  const categoryId = readFinderField(row, 'category_id');
+  if (categoryId !== undefined) payload.category_id = categoryId || null;
+
+  try {
+    let answerId = row.getAttribute('data-answer-id');
+
+    if (answerId) {
+      const { error } = await supabaseClient.from('finder_answer').update(payload).eq('answer_id', answerId);
+      if (error) throw error;
+    } else {
+      const { data, error } = await supabaseClient.from('finder_answer').insert(payload).select('answer_id').single();
+      if (error) throw error;
+      answerId = data.answer_id;
+    }
+
+    // Weights (score questions only): delete + re-insert the filled-in ones
+    const weightInputs = [...row.querySelectorAll('[data-weight-category]')];
+    if (weightInputs.length) {
+      const { error: delError } = await supabaseClient.from('finder_answer_weight').delete().eq('answer_id', answerId);
+      if (delError) throw delError;
+
+      const weightRows = weightInputs
+        .filter(input => input.value.trim() !== '')
+        .map(input => ({
+          answer_id: answerId,
+          category_id: input.getAttribute('data-weight-category'),
+          weight: Math.min(1, Math.max(0, Number(input.value) || 0))
+        }));
+
+      if (weightRows.length) {
+        const { error: insError } = await supabaseClient.from('finder_answer_weight').insert(weightRows);
+        if (insError) throw insError;
+      }
+    }
+
+    showAlert('Answer saved', 'success');
+    await loadFinderAdmin();
+  } catch (error) {
+    console.error('Error saving Finder answer:', error);
+    showAlert('Error saving answer', 'error');
+  }
+}
+
+async function deleteFinderAnswer(answerId) {
+  if (!answerId || !confirm('Delete this answer?')) return;
+
+  try {
+    const { error } = await supabaseClient.from('finder_answer').delete().eq('answer_id', answerId);
+    if (error) throw error;
+
+    showAlert('Answer deleted', 'success');
+    await loadFinderAdmin();
+  } catch (error) {
+    console.error('Error deleting Finder answer:', error);
+    showAlert('Error deleting answer', 'error');
+  }
+}
+
 /* =========================
    Logout
    ========================= */
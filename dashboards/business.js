@@ -1,7 +1,8 @@
 // Business Dashboard JavaScript
 // Handles business auth, loading their experiences, creating/editing/deleting experiences,
 // image upload to Supabase Storage, filtering by status, switching sections,
-// and updating business profile (website/location/description/logo).
+// updating business profile (website/location/description/logo),
+// translated versions of a listing and answering customer questions.
 
 let currentUser = null;
 let currentUserData = null;      // row from public.users
@@ -10,7 +11,16 @@ let currentBusiness = null;      // row from public.business
 let experiences = [];
 let currentFilter = 'all';
 
-let uploadedImages = [];         // { file|null, preview, uploaded, url, imageId?, isPrimary? }
+let questions = [];              // experience_question rows for this business's experiences
+let currentQuestionFilter = 'pending';
+
+let sessionsExperienceId = null; // experience whose sessions are open in the Sessions section
+let sessions = [];               // experience_session rows for it
+
+let translations = {};           // { lang: { title, short_description, ... } } for the form's experience
+let translationLang = 'ga';      // language currently shown in the Translations fields
+
+let uploadedImages = [];         // { file|null, preview, uploaded, url, imageId?, isPrimary?, caption? }
 let isEditMode = false;
 let editingExperienceId = null;
 
@@ -24,6 +34,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     await checkAuth();
     await loadFormData();
     await loadExperiences();
+    await loadQuestions();
 
     document.getElementById('logoutBtn').addEventListener('click', handleLogout);
 
@@ -40,6 +51,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     populateBusinessProfileForm();
 
     setupImageUpload();
+    setupSessionForm();
     showSection('experiences');
 });
 
@@ -267,12 +279,206 @@ async function loadFormData() {
             countySelect.innerHTML += `<option value="${county.county_id}">${county.county_id}</option>`;
         });
 
+        renderAttributeOptions();
+        renderPriceModelFields();
+        renderTranslationOptions();
+
     } catch (error) {
         console.error('Error loading form data:', error);
         showAlert('createAlert', 'Error loading form data. Please refresh the page.', 'error');
     }
 }
 
+/**
+ * Accessibility + suitability fields: tick lists and fitness levels come from
+ * lib/experienceFilters.js so the form always offers what Explore filters on.
+ * English is ticked by default (form.reset() puts it back).
+ */
+function renderAttributeOptions() {
+    document.getElementById('suitabilityOptions').innerHTML = SUITABILITY_OPTIONS.map(s => `
+        <label><input type="checkbox" value="${s.key}"> ${s.icon} ${escapeHtml(s.label)}</label>
+    `).join('');
+
+    document.getElementById('languageOptions').innerHTML = EXPERIENCE_LANGUAGES.map(l => `
+        <label><input type="checkbox" value="${l.code}"${l.code === 'en' ? ' checked' : ''}> ${escapeHtml(l.label)}</label>
+    `).join('');
+
+    document.getElementById('fitnessLevel').innerHTML = '<option value="">Not stated</option>' +
+        FITNESS_LEVELS.map(f => `<option value="${f.key}">${f.label} (${f.hint})</option>`).join('');
+}
+
+/**
+ * Accessibility + suitability columns from the form (see sql/experience_attributes.sql)
+ */
+function readAttributeFields() {
+    const ticked = [...document.querySelectorAll('#suitabilityOptions input:checked')].map(input => input.value);
+    const wholeNumber = (id) => {
+        const raw = document.getElementById(id).value;
+        return raw === '' ? null : parseInt(raw, 10);
+    };
+
+    const fields = {
+        min_age: wholeNumber('minAge') ?? 0,
+        fitness_level: document.getElementById('fitnessLevel').value || null,
+        group_size_min: wholeNumber('groupSizeMin') ?? 1,
+        group_size_max: wholeNumber('groupSizeMax'),
+        languages: [...document.querySelectorAll('#languageOptions input:checked')].map(input => input.value)
+    };
+
+    SUITABILITY_OPTIONS.forEach(s => {
+        fields[s.column] = ticked.includes(s.key);
+    });
+
+    return fields;
+}
+
+function fillAttributeFields(experience) {
+    document.querySelectorAll('#suitabilityOptions input').forEach(input => {
+        const option = SUITABILITY_OPTIONS.find(s => s.key === input.value);
+        input.checked = !!option && experience[option.column] === true;
+    });
+
+    const languages = experience.languages || ['en'];
+    document.querySelectorAll('#languageOptions input').forEach(input => {
+        input.checked = languages.includes(input.value);
+    });
+
+    document.getElementById('minAge').value = experience.min_age || '';
+    document.getElementById('fitnessLevel').value = experience.fitness_level || '';
+    document.getElementById('groupSizeMin').value = experience.group_size_min > 1 ? experience.group_size_min : '';
+    document.getElementById('groupSizeMax').value = experience.group_size_max ?? '';
+}
+
+/**
+ * Price model: per person or per group (PRICE_UNITS in lib/experienceFilters.js),
+ * plus optional child / concession prices. The group size only shows for group prices.
+ */
+function renderPriceModelFields() {
+    const select = document.getElementById('priceUnit');
+    select.innerHTML = PRICE_UNITS.map(u => `<option value="${u.key}">${escapeHtml(u.label)}</option>`).join('');
+    select.addEventListener('change', updatePriceUnitFields);
+    updatePriceUnitFields();
+}
+
+function updatePriceUnitFields() {
+    const perGroup = document.getElementById('priceUnit').value === 'group';
+    document.getElementById('groupPriceSizeGroup').classList.toggle('hidden', !perGroup);
+}
+
+/**
+ * Price model columns from the form (see sql/experience_pricing.sql)
+ */
+function readPriceModelFields() {
+    const price_unit = document.getElementById('priceUnit').value || 'person';
+    const amount = (id) => {
+        const raw = document.getElementById(id).value;
+        return raw === '' ? null : parseFloat(raw);
+    };
+    const groupSizeRaw = document.getElementById('groupPriceSize').value;
+
+    return {
+        price_unit,
+        group_price_size: price_unit === 'group' && groupSizeRaw !== '' ? parseInt(groupSizeRaw, 10) : null,
+        child_price: amount('childPrice'),
+        concession_price: amount('concessionPrice')
+    };
+}
+
+function fillPriceModelFields(experience) {
+    document.getElementById('priceUnit').value = experience.price_unit || 'person';
+    document.getElementById('groupPriceSize').value = experience.group_price_size ?? '';
+    document.getElementById('childPrice').value = experience.child_price ?? '';
+    document.getElementById('concessionPrice').value = experience.concession_price ?? '';
+    updatePriceUnitFields();
+}
+
+/**
+ * Translations: the form shows one language at a time. Switching language keeps
+ * what was typed in `translations`, and the whole set is saved with the experience.
+ */
+const TRANSLATION_FORM_FIELDS = {
+    title: 'translationTitle',
+    short_description: 'translationShortDescription',
+    event_description: 'translationDescription',
+    what_you_do: 'translationWhatYouDo',
+    whats_included: 'translationWhatsIncluded'
+};
+
+function renderTranslationOptions() {
+    const select = document.getElementById('translationLang');
+    select.innerHTML = EXPERIENCE_LANGUAGES
+        .filter(l => l.code !== 'en')
+        .map(l => `<option value="${l.code}"${l.code === translationLang ? ' selected' : ''}>${escapeHtml(l.label)}</option>`)
+        .join('');
+
+    select.addEventListener('change', () => {
+        stashTranslationFields();
+        translationLang = select.value;
+        fillTranslationFields();
+    });
+}
+
+function stashTranslationFields() {
+    const row = {};
+    Object.entries(TRANSLATION_FORM_FIELDS).forEach(([column, id]) => {
+        row[column] = document.getElementById(id).value.trim() || null;
+    });
+    translations[translationLang] = row;
+}
+
+function fillTranslationFields() {
+    const row = translations[translationLang] || {};
+    Object.entries(TRANSLATION_FORM_FIELDS).forEach(([column, id]) => {
+        document.getElementById(id).value = row[column] || '';
+    });
+}
+
+async function loadTranslations(experienceId) {
+    const { data, error } = await supabaseClient
+        .from('experience_translation')
+        .select('lang, title, short_description, event_description, what_you_do, whats_included')
+        .eq('experience_id', experienceId);
+
+    if (error) throw error;
+
+    translations = {};
+    (data || []).forEach(({ lang, ...row }) => {
+        translations[lang] = row;
+    });
+    fillTranslationFields();
+}
+
+/**
+ * Save the languages that have any text filled in and remove the ones that were emptied.
+ * Upsert first, delete after, so a failed save never leaves the experience without its
+ * existing translations.
+ */
+async function saveTranslations(experienceId) {
+    stashTranslationFields();
+
+    const rows = Object.entries(translations)
+        .filter(([, row]) => Object.values(row).some(Boolean))
+        .map(([lang, row]) => ({ experience_id: experienceId, lang, ...row, updated_at: new Date().toISOString() }));
+
+    if (rows.length) {
+        const { error } = await supabaseClient
+            .from('experience_translation')
+            .upsert(rows, { onConflict: 'experience_id,lang' });
+
+        if (error) throw error;
+    }
+
+    let removed = supabaseClient
+        .from('experience_translation')
+        .delete()
+        .eq('experience_id', experienceId);
+
+    if (rows.length) removed = removed.not('lang', 'in', `(${rows.map(r => r.lang).join(',')})`);
+
+    const { error: deleteErr } = await removed;
+    if (deleteErr) throw deleteErr;
+}
+
 /**
  * Setup image upload
  */
@@ -311,7 +517,7 @@ function setupImageUpload() {
  * Handle file selection
  */
 function handleFiles(files) {
-    const maxFiles = 5;
+    const maxFiles = 12;
     const maxSize = 5 * 1024 * 1024;
 
     if (uploadedImages.length + files.length > maxFiles) {
@@ -334,7 +540,8 @@ function handleFiles(files) {
             preview: URL.createObjectURL(file),
             uploaded: false,
             url: null,
-            isPrimary: false
+            isPrimary: false,
+            caption: ''
         });
     });
 
@@ -371,10 +578,24 @@ function displayImagePreviews() {
                 </div>
             </div>
             ${img.uploaded ? '<div class="upload-success">✓</div>' : ''}
+            <input type="text" class="image-caption-input" maxlength="200" placeholder="Caption (optional)"
+                   aria-label="Caption for image ${index + 1}" value="${escapeHtml(img.caption || '')}"
+                   oninput="setImageCaption(${index}, this.value)">
         </div>
     `).join('');
 }
 
+// Shown under the photo on the experience page and used as its alt text
+function setImageCaption(index, value) {
+    if (uploadedImages[index]) uploadedImages[index].caption = value;
+}
+
+// Caption for an uploaded url (uploadImagesToStorage returns urls, primary first)
+function imageCaptionFor(url) {
+    const caption = uploadedImages.find(i => i.url === url)?.caption || '';
+    return caption.trim() || null;
+}
+
 function removeImage(index) {
     if (uploadedImages[index]?.file) {
         URL.revokeObjectURL(uploadedImages[index].preview);
@@ -552,6 +773,7 @@ function createExperienceCard(experience) {
                 <div class="experience-footer">
                     <span class="experience-price">${priceDisplay}</span>
                     <div class="experience-actions">
+                        <button class="btn-icon" onclick="manageSessions('${experience.experience_id}')" title="Sessions">📅</button>
                         <button class="btn-icon" onclick="editExperience('${experience.experience_id}')" title="Edit">✏️</button>
                         <button class="btn-icon" onclick="deleteExperience('${experience.experience_id}')" title="Delete">🗑️</button>
                     </div>
@@ -594,6 +816,296 @@ function showSection(section) {
     if (section === 'create' && !isEditMode) resetForm();
 }
 
+/**
+ * Customer questions (answered ones show publicly on the experience page)
+ */
+async function loadQuestions() {
+    if (!currentBusiness) return;
+
+    const experienceIds = experiences.map(exp => exp.experience_id);
+    if (experienceIds.length === 0) {
+        questions = [];
+        updatePendingQuestionsBadge();
+        displayQuestions();
+        return;
+    }
+
+    try {
+        const { data, error } = await supabaseClient
+            .from('experience_question')
+            .select('*')
+            .in('experience_id', experienceIds)
+            .eq('is_hidden', false)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        questions = data || [];
+        updatePendingQuestionsBadge();
+        displayQuestions();
+
+    } catch (error) {
+        console.error('Error loading questions:', error);
+        document.getElementById('questionsList').innerHTML = `
+            <div class="alert alert-error">Error loading questions: ${escapeHtml(error.message)}</div>
+        `;
+    }
+}
+
+function updatePendingQuestionsBadge() {
+    const badge = document.getElementById('pendingQuestionsBadge');
+    if (!badge) return;
+
+    const pending = questions.filter(q => !q.answer).length;
+    badge.textContent = pending;
+    badge.classList.toggle('hidden', pending === 0);
+}
+
+function displayQuestions() {
+    const container = document.getElementById('questionsList');
+
+    const filtered = questions.filter(q => currentQuestionFilter === 'pending' ? !q.answer : !!q.answer);
+
+    if (filtered.length === 0) {
+        const message = currentQuestionFilter === 'pending'
+            ? 'No questions waiting for an answer.'
+            : 'You haven\'t answered any questions yet.';
+
+        container.innerHTML = `
+            <div style="text-align: center; padding: 3rem; color: var(--text-secondary);">
+                <p>${message}</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = filtered.map(q => createQuestionCard(q)).join('');
+}
+
+function createQuestionCard(question) {
+    const experience = experiences.find(exp => exp.experience_id === question.experience_id);
+    const askedOn = formatDisplayDate(question.created_at);
+
+    return `
+        <div class="card question-admin-card">
+            <p class="experience-meta">${escapeHtml(experience?.title || 'Experience')} · asked by ${escapeHtml(question.asker_name || 'a customer')} on ${askedOn}</p>
+            <h3>${escapeHtml(question.question)}</h3>
+            <div class="form-group">
+                <label for="answer-${question.question_id}">Your answer</label>
+                <textarea id="answer-${question.question_id}" rows="3" maxlength="2000">${escapeHtml(question.answer || '')}</textarea>
+            </div>
+            <button class="btn btn-primary" onclick="answerQuestion('${question.question_id}')">
+                ${question.answer ? 'Update Answer' : 'Post Answer'}
+            </button>
+        </div>
+    `;
+}
+
+function filterQuestions(status, e) {
+    currentQuestionFilter = status;
+
+    e?.target?.closest('.status-tabs')?.querySelectorAll('.status-tab').forEach(tab => tab.classList.remove('active'));
+    if (e?.target) e.target.classList.add('active');
+
+    displayQuestions();
+}
+
+async function answerQuestion(questionId) {
+    const textarea = document.getElementById(`answer-${questionId}`);
+    const answer = textarea?.value.trim();
+
+    if (!answer) {
+        showAlert('questionsAlert', 'Please write an answer first.', 'error');
+        return;
+    }
+
+    try {
+        const { error } = await supabaseClient
+            .from('experience_question')
+            .update({ answer })
+            .eq('question_id', questionId);
+
+        if (error) throw error;
+
+        showAlert('questionsAlert', 'Answer posted. It now shows on your experience page.', 'success');
+        await loadQuestions();
+
+    } catch (error) {
+        console.error('Error answering question:', error);
+        showAlert('questionsAlert', 'Error posting answer: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+/**
+ * Sessions: when an experience runs (one-off dates or weekly in a season)
+ */
+async function manageSessions(experienceId) {
+    const experience = experiences.find(exp => exp.experience_id === experienceId);
+    sessionsExperienceId = experienceId;
+
+    document.getElementById('sessionsHeading').textContent = `Sessions: ${experience?.title || 'Experience'}`;
+    document.getElementById('sessionsAlert').innerHTML = '';
+    resetSessionForm();
+
+    showSection('sessions');
+    await loadSessions();
+}
+
+async function loadSessions() {
+    const container = document.getElementById('sessionsList');
+    if (!sessionsExperienceId) return;
+
+    container.innerHTML = '<div class="loading">Loading sessions...</div>';
+
+    try {
+        const { data, error } = await supabaseClient
+            .from('experience_session')
+            .select('*')
+            .eq('experience_id', sessionsExperienceId)
+            .order('start_date')
+            .order('start_time');
+
+        if (error) throw error;
+
+        sessions = data || [];
+        displaySessions();
+
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        container.innerHTML = `<div class="alert alert-error">Error loading sessions: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function displaySessions() {
+    const container = document.getElementById('sessionsList');
+    const today = toDateKey(new Date());
+
+    if (sessions.length === 0) {
+        container.innerHTML = `
+            <div style="text-align: center; padding: 2rem; color: var(--text-secondary);">
+                <p>No sessions yet. Add the first one below.</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = sessions.map(session => {
+        // Over = a one-off date or a season end that has passed
+        const lastDate = isRecurringSession(session) ? session.end_date : session.start_date;
+        const isOver = !!lastDate && lastDate < today;
+
+        return `
+            <div class="card session-card${isOver ? ' is-over' : ''}">
+                <div>
+                    <strong>${escapeHtml(describeSession(session))}</strong>
+                    ${isOver ? '<span class="experience-meta"> · finished</span>' : ''}
+                    ${session.booking_url ? `<p class="experience-meta">Books at ${escapeHtml(session.booking_url)}</p>` : ''}
+                </div>
+                <button class="btn-icon" onclick="deleteSession('${session.session_id}')" title="Remove session">🗑️</button>
+            </div>
+        `;
+    }).join('');
+}
+
+function setupSessionForm() {
+    const form = document.getElementById('sessionForm');
+    if (!form) return;
+
+    // Weekly sessions need the season end + weekdays, one-offs only a date
+    form.querySelectorAll('input[name="sessionType"]').forEach(radio => {
+        radio.addEventListener('change', updateSessionFormType);
+    });
+
+    form.addEventListener('submit', handleSessionSubmit);
+}
+
+function updateSessionFormType() {
+    const weekly = document.querySelector('input[name="sessionType"]:checked')?.value === 'weekly';
+
+    document.querySelectorAll('.session-weekly-only').forEach(el => el.classList.toggle('hidden', !weekly));
+    document.getElementById('sessionStartDateLabel').textContent = weekly ? 'Season starts *' : 'Date *';
+}
+
+function resetSessionForm() {
+    const form = document.getElementById('sessionForm');
+    if (!form) return;
+
+    form.reset();
+    updateSessionFormType();
+}
+
+async function handleSessionSubmit(e) {
+    e.preventDefault();
+    if (!sessionsExperienceId) return;
+
+    const weekly = document.querySelector('input[name="sessionType"]:checked')?.value === 'weekly';
+    const weekdays = [...document.querySelectorAll('#sessionWeekdays input:checked')].map(input => Number(input.value));
+
+    const startDate = document.getElementById('sessionStartDate').value;
+    const endDate = weekly ? document.getElementById('sessionEndDate').value : '';
+    const startTime = document.getElementById('sessionStartTime').value;
+    const endTime = document.getElementById('sessionEndTime').value;
+    const capacity = document.getElementById('sessionCapacity').value;
+    const bookingUrl = document.getElementById('sessionBookingUrl').value.trim();
+
+    if (weekly && weekdays.length === 0) {
+        showAlert('sessionsAlert', 'Pick at least one day of the week.', 'error');
+        return;
+    }
+    if (endDate && endDate < startDate) {
+        showAlert('sessionsAlert', 'The season has to end after it starts.', 'error');
+        return;
+    }
+    if (endTime && endTime <= startTime) {
+        showAlert('sessionsAlert', 'The end time has to be after the start time.', 'error');
+        return;
+    }
+
+    try {
+        const { error } = await supabaseClient
+            .from('experience_session')
+            .insert([{
+                experience_id: sessionsExperienceId,
+                start_date: startDate,
+                end_date: endDate || null,
+                weekdays: weekly ? weekdays : null,
+                start_time: startTime,
+                end_time: endTime || null,
+                capacity: capacity ? parseInt(capacity, 10) : null,
+                booking_url: bookingUrl || null
+            }]);
+
+        if (error) throw error;
+
+        showAlert('sessionsAlert', 'Session added.', 'success');
+        resetSessionForm();
+        await loadSessions();
+
+    } catch (error) {
+        console.error('Error adding session:', error);
+        showAlert('sessionsAlert', 'Error adding session: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+async function deleteSession(sessionId) {
+    if (!confirm('Remove this session? Customers will no longer see it.')) return;
+
+    try {
+        const { error } = await supabaseClient
+            .from('experience_session')
+            .delete()
+            .eq('session_id', sessionId);
+
+        if (error) throw error;
+
+        await loadSessions();
+
+    } catch (error) {
+        console.error('Error removing session:', error);
+        showAlert('sessionsAlert', 'Error removing session: ' + escapeHtml(error.message), 'error');
+    }
+}
+
 /**
  * Save draft
  */
@@ -642,6 +1154,9 @@ async function submitExperience(status) {
         const maxPrice = document.getElementById('maxPrice').value || null;
         const price_tier = document.getElementById('priceTier').value || null;
 
+        const attributes = readAttributeFields();
+        const priceModel = readPriceModelFields();
+
         if (!title || !shortDescription || !description) {
             showAlert('createAlert', 'Please fill in all required fields', 'error');
             return;
@@ -650,6 +1165,18 @@ async function submitExperience(status) {
             showAlert('createAlert', 'Please select a category and county', 'error');
             return;
         }
+        if (priceModel.price_unit === 'group' && !(priceModel.group_price_size >= 2)) {
+            showAlert('createAlert', 'Please say how many people the group price covers (2 or more)', 'error');
+            return;
+        }
+        if (attributes.group_size_max !== null && attributes.group_size_max < attributes.group_size_min) {
+            showAlert('createAlert', 'The maximum group size must be at least the minimum', 'error');
+            return;
+        }
+        if (!attributes.languages.length) {
+            showAlert('createAlert', 'Please tick at least one language the experience is run in', 'error');
+            return;
+        }
         if (uploadedImages.length === 0) {
             showAlert('createAlert', 'Please upload at least one image', 'error');
             return;
@@ -675,6 +1202,8 @@ async function submitExperience(status) {
             duration_minutes,
             whats_included,
             what_you_do,
+            ...priceModel,
+            ...attributes,
             status,
             updated_at: new Date().toISOString()
         };
@@ -709,6 +1238,7 @@ async function submitExperience(status) {
             const imageRecords = imageUrls.map((url, index) => ({
                 experience_id: editingExperienceId,
                 image_url: url,
+                caption: imageCaptionFor(url),
                 is_primary: index === 0,
                 display_order: index
             }));
@@ -736,6 +1266,7 @@ async function submitExperience(status) {
             const imageRecords = imageUrls.map((url, index) => ({
                 experience_id: saved.experience_id,
                 image_url: url,
+                caption: imageCaptionFor(url),
                 is_primary: index === 0,
                 display_order: index
             }));
@@ -747,6 +1278,8 @@ async function submitExperience(status) {
             if (imageError) console.error('Image insert error:', imageError);
         }
 
+        await saveTranslations(saved.experience_id);
+
         const successMessage = isEditMode
             ? 'Experience updated successfully!'
             : (status === 'draft' ? 'Experience saved as draft!' : 'Experience submitted for approval!');
@@ -778,6 +1311,12 @@ function resetForm() {
     });
     uploadedImages = [];
 
+    updatePriceUnitFields();
+
+    translations = {};
+    translationLang = 'ga';
+    document.getElementById('translationLang').value = translationLang;
+
     document.getElementById('createAlert').innerHTML = '';
     document.getElementById('uploadProgress').classList.add('hidden');
     document.getElementById('imagePreviews').innerHTML = '';
@@ -831,6 +1370,10 @@ async function editExperience(experienceId) {
         document.getElementById('minPrice').value = experience.min_price ?? '';
         document.getElementById('maxPrice').value = experience.max_price ?? '';
         document.getElementById('priceTier').value = experience.price_tier ?? '';
+        fillPriceModelFields(experience);
+
+        fillAttributeFields(experience);
+        await loadTranslations(experienceId);
 
         uploadedImages = [];
         if (experience.images?.length) {
@@ -842,7 +1385,8 @@ async function editExperience(experienceId) {
                     uploaded: true,
                     url: img.image_url,
                     imageId: img.image_id,
-                    isPrimary: !!img.is_primary
+                    isPrimary: !!img.is_primary,
+                    caption: img.caption || ''
                 });
             });
 
@@ -907,6 +1451,18 @@ function showAlert(elementId, message, type) {
     }
 }
 
+/**
+ * Escape text before putting it in innerHTML (questions come from the public)
+ */
+function escapeHtml(value = '') {
+    return String(value)
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#039;');
+}
+
 /**
  * Logout
  */
@@ -256,6 +256,9 @@ async function refreshKpis() {
 
   // Keep chart in sync with filters
   await refreshDailyActivity();
+
+  // Photo list follows the same filters
+  await refreshPhotoViews();
 }
 
 
@@ -452,6 +455,9 @@ async function refreshTopReferrers() {
     counts.set(src, (counts.get(src) || 0) + 1);
   });
 
+  // Split "share" by who shared it (tracked share links, sql/share_links.sql)
+  if (counts.has('share')) await splitShareReferrers(counts, { businessId, start });
+
   // If no data, show an empty chart message in console and clear chart
   if (!counts.size) {
     if (referrerChart) {
@@ -519,15 +525,51 @@ async function refreshTopReferrers() {
   referrerChart.data.datasets[0].backgroundColor = colors;
   referrerChart.update();
 }
+// Replaces part of the 'share' count with one entry per sharer + channel
+// ("share:Aoife:email"). Opens from untracked links stay under plain 'share'.
+async function splitShareReferrers(counts, { businessId, start }) {
+  const { data, error } = await supabaseClient.rpc('share_referrers', {
+    p_business_id: businessId,
+    p_since: start,
+    p_experience_id: currentExperienceId || null
+  });
+
+  if (error) {
+    console.warn('share_referrers error:', error.message);
+    return;
+  }
+
+  let attributed = 0;
+  (data || []).forEach((r) => {
+    const key = `share:${r.sharer_name || ''}:${r.channel || ''}`;
+    counts.set(key, (counts.get(key) || 0) + r.opens);
+    attributed += r.opens;
+  });
+
+  const rest = (counts.get('share') || 0) - attributed;
+  if (rest > 0) counts.set('share', rest);
+  else counts.delete('share');
+}
+
 // Logs as finder search share etc, working for finder and direct else not wired
 function prettySource(src) {
   const s = String(src || '').toLowerCase();
 
+  // Tracked share link: "share:<first name>:<channel>"
+  if (s.startsWith('share:')) {
+    const [, name, channel] = String(src).split(':');
+    const how = { native: 'app', copy: 'link', email: 'email' }[channel];
+    return `Shared by ${name || 'a visitor'}${how ? ` (${how})` : ''}`;
+  }
+
   if (s === 'direct') return 'Direct';
   if (s === 'finder') return 'Finder';
   if (s === 'search') return 'Search';
   if (s === 'share') return 'Share';
   if (s === 'experiences') return 'Explore page';
+  if (s === 'compare') return 'Compare page';
+  if (s === 'gift') return 'Gift card';
+  if (s === 'similar') return 'Similar experiences';
 
   // fallback: Title Case
   return s.charAt(0).toUpperCase() + s.slice(1);
@@ -700,6 +742,42 @@ function escapeHtml(value = '') {
     .replaceAll("'", '&#039;');
 }
 
+// ---------------------------
+// Most viewed photos (gallery thumbnail clicks + lightbox views)
+// ---------------------------
+async function refreshPhotoViews() {
+  const box = document.getElementById('photoViews');
+  if (!box || !currentBusiness) return;
+
+  const { data, error } = await supabaseClient.rpc('photo_views', {
+    p_business_id: currentBusiness.business_id,
+    p_since: sinceISO(currentDays),
+    p_experience_id: currentExperienceId || null
+  });
+
+  if (error) {
+    console.warn('photo_views error:', error.message);
+    box.innerHTML = '<p class="muted">Photo stats are not available.</p>';
+    return;
+  }
+
+  const rows = (data || []).slice(0, 8);
+  if (!rows.length) {
+    box.innerHTML = '<p class="muted">No photo views in this period yet.</p>';
+    return;
+  }
+
+  box.innerHTML = rows.map(r => `
+    <div class="photo-views-row">
+      <img src="${escapeHtml(r.image_url)}" alt="" loading="lazy" />
+      <div class="photo-views-info">
+        ${currentExperienceId ? '' : `<strong>${escapeHtml(r.experience_title || 'Experience')}</strong>`}
+        <span>${formatNumber(r.lightbox_views)} gallery views • ${formatNumber(r.thumbnail_clicks)} thumbnail clicks</span>
+      </div>
+    </div>
+  `).join('');
+}
+
 //BAR CHART FUNNEL SAVES TO BOOKINGS VIEWS TO BOOKINGS AND VIEWS TO SAVES
 function renderFunnel({ views, saves, clicks }) {
   const box = document.getElementById('funnelBreakdown');
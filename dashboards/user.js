@@ -2,6 +2,7 @@
 // - Handles auth + profile info
 // - Favorites tab: loads favorites directly from DB (no Explore section)
 // - Allows user to remove favorites (heart button)
+// - Compare toggle on each favourite (lib/compareTray.js)
 // - Simple section switching (profile / favorites)
 
 let currentUser = null;               // Supabase auth user
@@ -11,6 +12,9 @@ let favoriteExperienceIds = new Set(); // Set of experience_ids the user has fav
 document.addEventListener('DOMContentLoaded', async () => {
     console.log("User dashboard loaded");
 
+    // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+    await initSiteLanguage();
+
     // 1) Check if user is logged in via Supabase auth
     const { data: { user }, error } = await supabaseClient.auth.getUser();
     if (error) console.warn('Auth getUser warning:', error.message);
@@ -23,6 +27,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     currentUser = user;
 
+    // Compare tray (links back up to ../compare.html)
+    initCompareTray({ basePath: '../' });
+
     // 2) Load user profile info (name, email, role)
     await loadUserInfo();
 
@@ -64,9 +71,9 @@ async function loadUserInfo() {
 
     document.getElementById('userInfo').innerHTML = `
         <p style="color: var(--text-secondary);">
-            <strong>Name:</strong> ${fullName}<br>
-            <strong>Email:</strong> ${email}<br>
-            <strong>Role:</strong> ${role}
+            <strong>${t('user.name')}:</strong> ${fullName}<br>
+            <strong>${t('user.email')}:</strong> ${email}<br>
+            <strong>${t('user.role')}:</strong> ${role}
         </p>
     `;
 }
@@ -101,7 +108,7 @@ async function loadFavorites() {
         // 2) Fetch the experiences for those IDs
         const { data: exps, error: expErr } = await supabaseClient
             .from('experiences')
-            .select('experience_id, title, county, min_price, max_price, status, is_published')
+            .select(`experience_id, title, county, min_price, max_price, price_unit, group_price_size, child_price, concession_price, status, is_published, ${TRANSLATION_SELECT}`)
             .in('experience_id', ids)
             .order('created_at', { ascending: false });
 
@@ -116,7 +123,7 @@ async function loadFavorites() {
         console.error('Error loading favorites:', err);
         const container = document.getElementById('favoritesList');
         if (container) {
-            container.innerHTML = '<p class="alert alert-error">Error loading favorites</p>';
+            container.innerHTML = `<p class="alert alert-error">${t('user.favouritesError')}</p>`;
         }
     }
 }
@@ -131,7 +138,7 @@ function renderFavoritesList(favorites) {
     if (!favorites.length) {
         container.innerHTML = `
             <div style="padding:2rem;text-align:center;color:var(--text-secondary);">
-                You have no favorites yet. Go to <a href="../experiences.html"><strong>Explore</strong></a> and add some!
+                ${t('user.noFavourites')}
             </div>
         `;
         return;
@@ -142,18 +149,18 @@ function renderFavoritesList(favorites) {
 
     favorites.forEach(exp => {
         const card = template.content.cloneNode(true);
+        applyTranslations(card); // template text isn't in the document when initSiteLanguage() runs
 
         // Title
-        card.querySelector('[data-field="title"]').textContent = exp.title || 'Untitled';
+        card.querySelector('[data-field="title"]').textContent = localizeExperience(exp).title || t('user.untitled');
 
         // Meta (for now just county)
-        card.querySelector('[data-field="meta"]').textContent = exp.county || 'Location TBD';
+        card.querySelector('[data-field="meta"]').textContent = exp.county || t('user.locationTbd');
 
-        // Price formatting
-        const price = (exp.min_price != null && exp.max_price != null)
-            ? `€${exp.min_price} – €${exp.max_price}`
-            : (exp.min_price != null ? `From €${exp.min_price}` : 'Price TBD');
-        card.querySelector('[data-field="price"]').textContent = price;
+        // Price per person / per group + any child or concession price (lib/experienceFilters.js)
+        const price = formatExperiencePrice(exp) || t('card.priceTbd');
+        const reduced = formatReducedPrices(exp);
+        card.querySelector('[data-field="price"]').textContent = reduced ? `${price} • ${reduced}` : price;
 
         // View details link
         const viewLink = card.querySelector('[data-field="viewLink"]');
@@ -165,11 +172,19 @@ function renderFavoritesList(favorites) {
         const favBtn = card.querySelector('.favorite-toggle');
         favBtn.addEventListener('click', () => toggleFavorite(exp.experience_id));
 
+        // Compare toggle (adds to / removes from the compare tray)
+        const compareBtn = card.querySelector('.compare-toggle');
+        if (compareBtn) {
+            compareBtn.dataset.compareId = exp.experience_id;
+            compareBtn.dataset.compareTitle = exp.title || 'Experience';
+        }
+
         fragment.appendChild(card);
     });
 
     container.innerHTML = '';
     container.appendChild(fragment);
+    bindCompareToggles(container);
 }
 
 /* ======================
@@ -195,7 +210,7 @@ async function toggleFavorite(experienceId) {
             if (error) throw error;
 
             favoriteExperienceIds.delete(experienceId);
-            showToast('Removed from favorites', 'info');
+            showToast(t('user.removed'), 'info');
         } else {
             // Add back (in case you reuse this on other pages later)
             const { error } = await supabaseClient
@@ -208,7 +223,7 @@ async function toggleFavorite(experienceId) {
             if (error) throw error;
 
             favoriteExperienceIds.add(experienceId);
-            showToast('Added to favorites', 'success');
+            showToast(t('user.added'), 'success');
         }
 
         // Reload favorites list from DB (single source of truth)
@@ -216,7 +231,7 @@ async function toggleFavorite(experienceId) {
 
     } catch (err) {
         console.error('Error toggling favorite:', err);
-        showToast('Error updating favorites', 'error');
+        showToast(t('user.updateError'), 'error');
     }
 }
 
@@ -278,7 +293,7 @@ async function handleLogout() {
         window.location.href = '../landing.html';
     } catch (err) {
         console.error('Logout error:', err);
-        showToast('Error logging out', 'error');
+        showToast(t('user.logoutError'), 'error');
     }
 }
 
@@ -11,30 +11,73 @@ let authUser = null;
 let currentExperienceId = null;
 let isFavorited = false;
 
+// Reviews: the logged-in user's own review (if any), the stars picked in the form,
+// and reviews this user has already reported
+let myReview = null;
+let reviewRating = 0;
+let reportedReviewIds = new Set();
+
+// What the Share button shares (set once the experience has loaded)
+let shareInfo = { title: 'ExperienceMe', text: '' };
+
+// Experience the meta tags / JSON-LD were built from (the rating is added when reviews load)
+let seoExperience = null;
+
+// Gallery: every photo in display_order, the one on show, and the photo events
+// already logged on this page load (so flicking back and forth counts once)
+let galleryImages = [];
+let galleryIndex = 0;
+let loggedPhotoEvents = new Set();
+let lightboxOpener = null; // element to give focus back to when the lightbox closes
+
+// Sessions calendar: active sessions, the month on show, the picked day and what the
+// .ics files / booking links need from the experience
+let experienceSessions = [];
+let calendarMonth = null;        // Date, first of the month
+let selectedSessionDate = null;  // 'YYYY-MM-DD'
+let sessionContext = { title: '', location: '', bookingUrl: '', durationMinutes: null };
+
 // ---------------------------
 // DOM Ready
 // ---------------------------
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('✅ detailed_experience.js loaded');
 
+  // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+  await initSiteLanguage();
+
+  // Who is logged in (null for guests), used by favourites + reviews
+  const { data: { user } } = await supabaseClient.auth.getUser();
+  authUser = user || null;
+
   // Update nav based on login state. Iteration 5 added await
   await setNavState(authUser);
 
   // Wire up buttons/links that always exist on this page
   bindStaticEvents();
-
-  // Read experience id from the URL (e.g. detailed_experience.html?id=123)
-  const experienceId = new URLSearchParams(window.location.search).get('id');
+  bindReviewEvents();
+  bindQuestionEvents();
+  bindGalleryEvents();
+  bindSessionEvents();
+
+  // Read experience id from the URL (e.g. detailed_experience.html?id=123),
+  // prerendered snapshots (experience/<id>.html) carry it on <body> instead, and the
+  // vercel.json fallback for a snapshot that isn't built yet only has it in the path
+  const experienceId = new URLSearchParams(window.location.search).get('id') ||
+    document.body.dataset.experienceId ||
+    decodeURIComponent(window.location.pathname.match(/\/experience\/([^/]+)\.html$/)?.[1] || '');
 
   // If no ID, show an error message and stop
   if (!experienceId) {
-    showError('Missing experience id in URL.');
+    showError(t('detail.missingId'));
     return;
   }
 
   // Load and render the experience data
   currentExperienceId = experienceId;
   await loadAndRenderExperience(experienceId);
+  await loadReviews(experienceId);
+  await loadQuestions(experienceId);
 
   // Iteration 4: log a "view" once per 30 minutes
   await logViewOnce(experienceId);
@@ -92,6 +135,7 @@ function bindStaticEvents() {
   const btnSignOutBusiness = document.getElementById('btnSignOutBusiness'); // Iteration 5 sign out button wire up
   const btnShare   = document.getElementById('btnShare');
   const btnSave    = document.getElementById('btnSave');
+  const btnGiftCard = document.getElementById('btnGiftCard');
 
   // Sign out (works for both user + business nav)
   const signOutHandler = async () => {
@@ -99,21 +143,36 @@ function bindStaticEvents() {
       await supabaseClient.auth.signOut();
       window.location.href = 'landing.html';
     } catch {
-      alert('Could not sign out. Please try again.');
+      alert(t('detail.signOutError'));
     }
   };
 
   btnSignOut?.addEventListener('click', signOutHandler);
   btnSignOutBusiness?.addEventListener('click', signOutHandler);
 
-  // Share link (copy URL to clipboard)
+  // Share: the device share sheet when there is one, otherwise copy link / email
   btnShare?.addEventListener('click', async () => {
-    try {
-      await navigator.clipboard.writeText(window.location.href);
-      alert('Link copied!');
-    } catch {
-      alert('Could not copy link. You can copy from the address bar.');
+    if (!currentExperienceId) return;
+
+    if (navigator.share) {
+      await shareExperience('native');
+      return;
     }
+
+    document.getElementById('shareMenu')?.classList.toggle('hidden');
+  });
+
+  document.querySelectorAll('#shareMenu [data-share-channel]').forEach((btn) => {
+    btn.addEventListener('click', async () => {
+      document.getElementById('shareMenu')?.classList.add('hidden');
+      await shareExperience(btn.dataset.shareChannel);
+    });
+  });
+
+  // Printable gift card for this experience
+  btnGiftCard?.addEventListener('click', () => {
+    if (!currentExperienceId) return;
+    window.location.href = `gift_card.html?id=${encodeURIComponent(currentExperienceId)}`;
   });
 
   // Save / favourite
@@ -151,12 +210,26 @@ async function loadAndRenderExperience(experienceId) {
         duration_minutes,
         min_price,
         max_price,
+        price_unit,
+        group_price_size,
+        child_price,
+        concession_price,
         price_tier,
         status,
         is_published,
         booking_url,
         what_you_do,
         whats_included,
+        wheelchair_accessible,
+        kid_friendly,
+        dog_friendly,
+        is_indoor,
+        min_age,
+        fitness_level,
+        group_size_min,
+        group_size_max,
+        languages,
+        ${TRANSLATION_SELECT},
         business:business_id (
           business_name,
           website_url,
@@ -164,7 +237,8 @@ async function loadAndRenderExperience(experienceId) {
           business_description,
           business_image_url
         ),
-        image ( image_url, is_primary, display_order )
+        image ( image_url, is_primary, display_order, caption ),
+        experience_category ( category_id )
       `)
       .eq('experience_id', experienceId)
       .eq('status', 'approved')
@@ -174,7 +248,7 @@ async function loadAndRenderExperience(experienceId) {
     // If Supabase returns an error or no record, show a friendly message
     if (error || !exp) {
       console.error('Error loading experience:', error);
-      showError('Could not load this experience.');
+      showError(t('detail.loadError'));
       return;
     }
 
@@ -189,9 +263,13 @@ async function loadAndRenderExperience(experienceId) {
     // Render all detail sections
     renderDetail(exp);
 
+    // Session calendar + "You might also like" row (neither blocks the rest of the page)
+    loadSessions(exp);
+    loadSimilarExperiences(exp);
+
   } catch (err) {
     console.error('Error in loadAndRenderExperience:', err);
-    showError('Something went wrong.');
+    showError(t('detail.error'));
   }
 }
 
@@ -207,9 +285,6 @@ function renderDetail(exp) {
   const expMeta         = document.getElementById('expMeta');
   const expDescription  = document.getElementById('expDescription');
 
-  const mainImage       = document.getElementById('mainImage');
-  const thumbsRow       = document.getElementById('thumbsRow');
-
   const hostLogoWrap    = document.getElementById('hostLogoWrap');
   const hostLogo        = document.getElementById('hostLogo');
   const hostName        = document.getElementById('hostName');
@@ -217,6 +292,7 @@ function renderDetail(exp) {
   const hostDescription = document.getElementById('hostDescription');
 
   const priceFrom       = document.getElementById('priceFrom');
+  const priceUnit       = document.getElementById('priceUnit');
   const priceTier       = document.getElementById('priceTier');
   const priceRange      = document.getElementById('priceRange');
   const badgePill       = document.getElementById('badgePill');
@@ -225,36 +301,41 @@ function renderDetail(exp) {
 
   const whatYouDoList      = document.getElementById('whatYouDoList');
   const whatsIncludedList  = document.getElementById('whatsIncludedList');
+  const translationNote    = document.getElementById('translationNote');
+
+  // Title, descriptions + lists in the site language (lib/i18n.js); link previews stay English
+  const shown = localizeExperience(exp);
+  translationNote?.classList.toggle('hidden', shown.isTranslated);
 
   // ---------------------------
   // Title + breadcrumb
   // ---------------------------
-  setText(expTitle, exp.title || 'Experience');
-  setText(crumbLocation, exp.county || 'Ireland');
+  setText(expTitle, shown.title || t('detail.untitled'));
+  setText(crumbLocation, exp.county || t('detail.ireland'));
 
   // ---------------------------
   // Description (prefer full event_description)
   // ---------------------------
   const description =
-    (exp.event_description && exp.event_description.trim()) ||
-    (exp.short_description && exp.short_description.trim()) ||
-    'No description provided yet.';
+    (shown.event_description && shown.event_description.trim()) ||
+    (shown.short_description && shown.short_description.trim()) ||
+    t('detail.noDescription');
   setText(expDescription, description);
 
   // ---------------------------
   // Meta line (county + duration)
   // ---------------------------
-  const durationText = exp.duration_minutes ? `${exp.duration_minutes} mins` : 'Duration TBD';
-  const metaParts = [exp.county || 'Ireland', durationText].filter(Boolean);
+  const durationText = formatDuration(exp.duration_minutes) || t('detail.durationTbd');
+  const metaParts = [exp.county || t('detail.ireland'), durationText].filter(Boolean);
   setText(expMeta, metaParts.join(' • '));
 
   // ---------------------------
   // Host (business) block
   // ---------------------------
   const biz = exp.business || {};
-  setText(hostName, biz.business_name || 'Business');
-  setText(hostLocation, biz.location_text || (exp.county ? `${exp.county}, Ireland` : 'Ireland'));
-  setText(hostDescription, (biz.business_description || '').trim() || 'Business description coming soon.');
+  setText(hostName, biz.business_name || t('detail.business'));
+  setText(hostLocation, biz.location_text || (exp.county ? t('detail.inIreland', { county: exp.county }) : t('detail.ireland')));
+  setText(hostDescription, (biz.business_description || '').trim() || t('detail.hostComingSoon'));
 
   // Show/hide host logo
   if (biz.business_image_url && hostLogoWrap && hostLogo) {
@@ -267,19 +348,18 @@ function renderDetail(exp) {
   // ---------------------------
   // Pricing
   // ---------------------------
-  setText(priceFrom, exp.min_price != null ? `€${toMoney(exp.min_price)}` : '€—');
+  // Same wording as the cards, Finder and compare page (lib/experienceFilters.js)
+  const fromAmount = formatPriceAmount(exp.min_price);
+  setText(priceFrom, fromAmount || t('card.priceTbd'));
+  document.getElementById('priceFromLabel')?.classList.toggle('hidden', !fromAmount);
   setText(priceTier, exp.price_tier || '—');
+  setText(priceRange, formatExperiencePrice(exp) || t('card.priceTbd'));
 
-  const range =
-    (exp.min_price != null && exp.max_price != null)
-      ? `€${toMoney(exp.min_price)} - €${toMoney(exp.max_price)}`
-      : (exp.min_price != null)
-        ? `From €${toMoney(exp.min_price)}`
-        : '—';
-  setText(priceRange, range);
+  // Per person or per group, plus child / concession prices (sql/experience_pricing.sql)
+  renderPriceModel(exp, priceUnit);
 
   // Small badge pill (duration or generic info)
-  setText(badgePill, exp.duration_minutes ? `${exp.duration_minutes} mins` : 'Info');
+  setText(badgePill, formatDuration(exp.duration_minutes) || t('detail.info'));
 
   // ---------------------------
   // Booking URL (prefer booking_url, fall back to business website_url)
@@ -303,7 +383,7 @@ function renderDetail(exp) {
   }
 
   // ---------------------------
-  // Images + thumbnails
+  // Images + gallery
   // ---------------------------
   const images = Array.isArray(exp.image) ? exp.image : [];
 
@@ -312,65 +392,279 @@ function renderDetail(exp) {
     .slice()
     .sort((a, b) => (a.display_order ?? 999) - (b.display_order ?? 999));
 
-  // Choose primary image, else first image, else placeholder
+  // Primary image first on screen, else the first image, else a placeholder
   const primary = sorted.find(i => i.is_primary) || sorted[0];
-  const mainUrl =
-    primary?.image_url ||
-    `https://via.placeholder.com/1200x800?text=${encodeURIComponent(exp.title || 'Experience')}`;
 
-  if (mainImage) mainImage.src = mainUrl;
+  galleryImages = sorted
+    .filter(img => img.image_url)
+    .map((img, i, all) => ({
+      url: img.image_url,
+      caption: (img.caption || '').trim(),
+      alt: (img.caption || '').trim()
+        || t('gallery.photoAlt', { title: shown.title || t('detail.untitled'), number: i + 1, total: all.length })
+    }));
 
-  // Render thumbnail row
-  renderThumbnails(sorted);
+  renderThumbnails(galleryImages);
+  showGalleryImage(Math.max(0, galleryImages.findIndex(img => img.url === primary?.image_url)), shown.title);
+
+  // Title, link preview tags, JSON-LD + what the Share button sends
+  updateSocialMeta(exp);
 
   // ---------------------------
   // Lists (what you'll do / what's included)
   // ---------------------------
-  renderList(whatYouDoList, splitToItems(exp.what_you_do));
-  renderList(whatsIncludedList, splitToItems(exp.whats_included));
+  renderList(whatYouDoList, splitToItems(shown.what_you_do));
+  renderList(whatsIncludedList, splitToItems(shown.whats_included));
+
+  // ---------------------------
+  // Good to know (accessibility + suitability icons)
+  // ---------------------------
+  renderAttributes(exp);
+}
+
+// What the headline price covers + the per-person, child and concession rows.
+// Rows stay hidden when the business hasn't set them.
+function renderPriceModel(exp, priceUnit) {
+  const hasPrice = exp.min_price != null;
+  const groupPrice = isGroupPrice(exp);
+
+  setText(priceUnit, !hasPrice ? '' : groupPrice
+    ? t('detail.perGroup', { size: exp.group_price_size })
+    : t('detail.perPerson'));
+
+  const perPerson = perPersonPriceRange(exp);
+  const perPersonText = perPerson && perPerson.high !== perPerson.low
+    ? `${formatPriceAmount(perPerson.low)} – ${formatPriceAmount(perPerson.high)}`
+    : formatPriceAmount(perPerson?.low);
+
+  const rows = [
+    { id: 'pricePerPerson', text: groupPrice ? perPersonText : '' },
+    { id: 'childPrice', text: formatPriceAmount(exp.child_price) },
+    { id: 'concessionPrice', text: formatPriceAmount(exp.concession_price) }
+  ];
+
+  rows.forEach(({ id, text }) => {
+    setText(document.getElementById(id), text);
+    document.getElementById(`${id}Row`)?.classList.toggle('hidden', !text);
+  });
+}
+
+// Wheelchair access, ages, fitness, group size, languages... (lib/experienceFilters.js)
+function renderAttributes(exp) {
+  const section = document.getElementById('attributesSection');
+  const list = document.getElementById('attributesList');
+  if (!section || !list) return;
+
+  const badges = experienceAttributeBadges(exp);
+  list.innerHTML = badges.map(b => `
+    <li${b.hint ? ` title="${escapeHtml(b.hint)}"` : ''}>
+      <span class="detail-attribute-icon" aria-hidden="true">${b.icon}</span>
+      <span>${escapeHtml(b.label)}</span>
+    </li>
+  `).join('');
+
+  section.classList.toggle('hidden', !badges.length);
 }
 
 // ---------------------------
-// Thumbnails
+// Gallery: thumbnails + lightbox
 // ---------------------------
-// Renders up to 4 thumbnails into the thumbs row.
-// Clicking a thumbnail swaps the main image.
+// Every photo gets a thumbnail (lazy loaded). Clicking one swaps the main image,
+// clicking the main image opens the fullscreen lightbox.
 function renderThumbnails(images) {
   const thumbsRow = document.getElementById('thumbsRow');
-  const mainImage = document.getElementById('mainImage');
   if (!thumbsRow) return;
 
-  if (!images || !images.length) {
-    thumbsRow.innerHTML = '';
-    return;
-  }
-
-  const thumbs = images.slice(0, 4);
-
   // Clear then build thumbnails using DOM methods
   thumbsRow.innerHTML = '';
 
-  thumbs.forEach((img) => {
-    const url = img.image_url || '';
-    const thumb = document.createElement('div');
+  // A single photo doesn't need a thumbnail row
+  if (!images || images.length < 2) return;
+
+  images.forEach((img, index) => {
+    const thumb = document.createElement('button');
+    thumb.type = 'button';
     thumb.className = 'detail-thumb';
-    thumb.dataset.url = url;
+    thumb.dataset.index = String(index);
+    thumb.setAttribute('aria-label', t('gallery.showPhoto', { number: index + 1 }));
 
     const imageEl = document.createElement('img');
-    imageEl.src = url;
-    imageEl.alt = 'Thumbnail';
+    imageEl.src = img.url;
+    imageEl.alt = img.alt;
+    imageEl.loading = 'lazy';
 
     thumb.appendChild(imageEl);
     thumbsRow.appendChild(thumb);
   });
+}
 
-  // Click handler (swap main image)
-  thumbsRow.querySelectorAll('.detail-thumb').forEach((thumb) => {
-    thumb.addEventListener('click', () => {
-      const url = thumb.dataset.url || '';
-      if (mainImage && url) mainImage.src = url;
-    });
+// Puts photo <index> in the main image slot (placeholder when there are none)
+function showGalleryImage(index, title) {
+  const mainImage = document.getElementById('mainImage');
+  const caption = document.getElementById('mainImageCaption');
+  const btnOpen = document.getElementById('btnOpenGallery');
+  const img = galleryImages[index];
+
+  galleryIndex = img ? index : 0;
+
+  if (mainImage) {
+    mainImage.src = img?.url || `https://via.placeholder.com/1200x800?text=${encodeURIComponent(title || t('detail.untitled'))}`;
+    mainImage.alt = img?.alt || t('gallery.imageAlt');
+    mainImage.classList.toggle('is-zoomable', !!img);
+  }
+
+  if (caption) {
+    caption.textContent = img?.caption || '';
+    caption.classList.toggle('hidden', !img?.caption);
+  }
+
+  if (btnOpen) {
+    btnOpen.textContent = t('gallery.viewAll', { count: galleryImages.length });
+    btnOpen.classList.toggle('hidden', galleryImages.length < 2);
+  }
+
+  document.querySelectorAll('#thumbsRow .detail-thumb').forEach((thumb) => {
+    thumb.classList.toggle('is-active', Number(thumb.dataset.index) === galleryIndex);
+  });
+}
+
+function bindGalleryEvents() {
+  const lightbox = document.getElementById('lightbox');
+
+  document.getElementById('thumbsRow')?.addEventListener('click', (e) => {
+    const thumb = e.target.closest('.detail-thumb');
+    if (!thumb) return;
+
+    const index = Number(thumb.dataset.index);
+    showGalleryImage(index);
+    logPhotoEvent('thumbnail_click', galleryImages[index]?.url);
+  });
+
+  document.getElementById('mainImage')?.addEventListener('click', () => openLightbox(galleryIndex));
+  document.getElementById('btnOpenGallery')?.addEventListener('click', () => openLightbox(galleryIndex));
+
+  document.getElementById('btnLightboxClose')?.addEventListener('click', closeLightbox);
+  document.getElementById('btnLightboxPrev')?.addEventListener('click', () => stepLightbox(-1));
+  document.getElementById('btnLightboxNext')?.addEventListener('click', () => stepLightbox(1));
+
+  // Clicking the dark backdrop closes, clicking the photo doesn't
+  lightbox?.addEventListener('click', (e) => {
+    if (e.target === lightbox) closeLightbox();
+  });
+
+  // Keyboard: arrows to move, Escape to close, Tab stays inside the dialog
+  document.addEventListener('keydown', (e) => {
+    if (!lightbox || lightbox.classList.contains('hidden')) return;
+
+    if (e.key === 'Escape') closeLightbox();
+    else if (e.key === 'ArrowLeft') stepLightbox(-1);
+    else if (e.key === 'ArrowRight') stepLightbox(1);
+    else if (e.key === 'Tab') trapLightboxFocus(e);
   });
+
+  // Swipe left / right on touch screens
+  let touchStartX = null;
+  lightbox?.addEventListener('touchstart', (e) => {
+    touchStartX = e.changedTouches[0]?.clientX ?? null;
+  }, { passive: true });
+
+  lightbox?.addEventListener('touchend', (e) => {
+    if (touchStartX === null) return;
+    const dx = (e.changedTouches[0]?.clientX ?? touchStartX) - touchStartX;
+    touchStartX = null;
+
+    if (Math.abs(dx) > 40) stepLightbox(dx < 0 ? 1 : -1);
+  });
+}
+
+function openLightbox(index) {
+  const lightbox = document.getElementById('lightbox');
+  if (!lightbox || !galleryImages.length) return;
+
+  lightboxOpener = document.activeElement;
+  lightbox.classList.remove('hidden');
+  document.body.classList.add('lightbox-open');
+
+  renderLightbox(index);
+  document.getElementById('btnLightboxClose')?.focus();
+}
+
+function closeLightbox() {
+  const lightbox = document.getElementById('lightbox');
+  if (!lightbox || lightbox.classList.contains('hidden')) return;
+
+  lightbox.classList.add('hidden');
+  document.body.classList.remove('lightbox-open');
+
+  // Leave the page showing the photo they stopped on
+  showGalleryImage(galleryIndex);
+  lightboxOpener?.focus?.();
+}
+
+// Wraps around at both ends
+function stepLightbox(delta) {
+  if (galleryImages.length < 2) return;
+  renderLightbox((galleryIndex + delta + galleryImages.length) % galleryImages.length);
+}
+
+function renderLightbox(index) {
+  const img = galleryImages[index];
+  if (!img) return;
+
+  galleryIndex = index;
+
+  const imageEl = document.getElementById('lightboxImage');
+  if (imageEl) {
+    imageEl.src = img.url;
+    imageEl.alt = img.alt;
+  }
+
+  const caption = document.getElementById('lightboxCaption');
+  if (caption) caption.textContent = img.caption;
+
+  const counter = document.getElementById('lightboxCounter');
+  if (counter) counter.textContent = `${index + 1} / ${galleryImages.length}`;
+
+  const single = galleryImages.length < 2;
+  document.getElementById('btnLightboxPrev')?.classList.toggle('hidden', single);
+  document.getElementById('btnLightboxNext')?.classList.toggle('hidden', single);
+
+  // Only the photo on screen is loaded up front, warm up its neighbours
+  [index - 1, index + 1].forEach((i) => {
+    const next = galleryImages[(i + galleryImages.length) % galleryImages.length];
+    if (next) new Image().src = next.url;
+  });
+
+  logPhotoEvent('lightbox_view', img.url);
+}
+
+function trapLightboxFocus(e) {
+  const focusable = [...document.querySelectorAll('#lightbox button')]
+    .filter(btn => !btn.classList.contains('hidden'));
+  if (!focusable.length) return;
+
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+// Photo interest for the business metrics page (sql/image_gallery.sql), once per
+// photo per kind of interaction per page load
+function logPhotoEvent(eventType, imageUrl) {
+  if (!currentExperienceId || !imageUrl) return;
+
+  const key = `${eventType}:${imageUrl}`;
+  if (loggedPhotoEvents.has(key)) return;
+  loggedPhotoEvents.add(key);
+
+  logEvent({ experienceId: currentExperienceId, eventType, imageUrl });
 }
 
 
@@ -417,7 +711,7 @@ async function toggleFavorite(experienceId) {
     }
   } catch (err) {
     console.error('Error toggling favourite:', err);
-    alert('Error updating favourites.');
+    alert(t('detail.favouritesError'));
   }
 }
 
@@ -430,60 +724,849 @@ function updateSaveButtonUI() {
 
   // If user is not logged in, show disabled-style save button
   if (!authUser) {
-    btnSave.textContent = '♡ Save';
-    btnSave.title = 'Log in to save favourites';
+    btnSave.textContent = t('detail.save');
+    btnSave.title = t('detail.loginToSave');
     btnSave.style.opacity = '0.7';
     return;
   }
 
   // Logged in: show saved state based on isFavorited
   btnSave.style.opacity = '1';
-  btnSave.textContent = isFavorited ? '♥ Saved' : '♡ Save';
-  btnSave.title = isFavorited ? 'Remove from favourites' : 'Add to favourites';
+  btnSave.textContent = isFavorited ? t('detail.saved') : t('detail.save');
+  btnSave.title = isFavorited ? t('detail.removeFavourite') : t('detail.addFavourite');
 }
 
 
 // ---------------------------
-// List + text helpers
+// Reviews + star ratings (sql/reviews.sql)
+// ---------------------------
+// One review per user per experience: the form edits it if it already exists.
+// Other people's reviews get a Report button (3 reports hides a review).
+async function loadReviews(experienceId) {
+  const reviewsList = document.getElementById('reviewsList');
+  if (!reviewsList) return;
+
+  try {
+    const columns = 'review_id, user_id, reviewer_name, rating, body, is_hidden, created_at, updated_at';
+
+    const [reviewsRes, myReviewRes, statsRes, reportsRes] = await Promise.all([
+      supabaseClient
+        .from('review')
+        .select(columns)
+        .eq('experience_id', experienceId)
+        .order('created_at', { ascending: false })
+        .limit(50),
+      // The user's own review on its own: it may be older than the 50 above
+      authUser
+        ? supabaseClient.from('review').select(columns).eq('experience_id', experienceId).eq('user_id', authUser.id).maybeSingle()
+        : Promise.resolve({ data: null, error: null }),
+      // Average + count over ALL visible reviews (the list above is capped)
+      supabaseClient
+        .from('experience_listing_v')
+        .select('avg_rating, review_count')
+        .eq('experience_id', experienceId)
+        .maybeSingle(),
+      authUser
+        ? supabaseClient.from('review_report').select('review_id').eq('reporter_id', authUser.id)
+        : Promise.resolve({ data: [], error: null })
+    ]);
+
+    if (reviewsRes.error) throw reviewsRes.error;
+    if (myReviewRes.error) throw myReviewRes.error;
+    if (statsRes.error) console.warn('Rating summary error:', statsRes.error);
+    if (reportsRes.error) console.warn('Report lookup error:', reportsRes.error);
+
+    myReview = myReviewRes.data || null;
+
+    // Keep the user's own review in the list even when it is older than the latest 50
+    const reviews = reviewsRes.data || [];
+    if (myReview && !reviews.some(r => r.review_id === myReview.review_id)) reviews.unshift(myReview);
+    reportedReviewIds = new Set((reportsRes.data || []).map(r => r.review_id));
+
+    renderRatingSummary(statsRes.data);
+    renderReviewForm();
+    renderReviews(reviews);
+  } catch (err) {
+    console.error('Error loading reviews:', err);
+    reviewsList.innerHTML = `<p class="muted">${escapeHtml(t('reviews.loadError'))}</p>`;
+  }
+}
+
+function renderRatingSummary(stats) {
+  const text = formatRating(stats?.avg_rating, stats?.review_count);
+  updateStructuredDataRating(stats);
+
+  const expRating = document.getElementById('expRating');
+  if (expRating) {
+    expRating.textContent = text;
+    expRating.classList.toggle('hidden', !text);
+  }
+
+  setText(document.getElementById('reviewsSummary'), text || t('reviews.none'));
+}
+
+function renderReviews(reviews) {
+  const reviewsList = document.getElementById('reviewsList');
+  if (!reviewsList) return;
+
+  if (!reviews.length) {
+    reviewsList.innerHTML = `<p class="muted">${escapeHtml(t('reviews.beFirst'))}</p>`;
+    return;
+  }
+
+  reviewsList.innerHTML = reviews.map((r) => {
+    const isMine = authUser && r.user_id === authUser.id;
+    const edited = new Date(r.updated_at) - new Date(r.created_at) > 60 * 1000;
+    const date = formatDisplayDate(r.created_at);
+
+    let action = '';
+    if (isMine) {
+      action = `<span class="review-flag">${escapeHtml(t(r.is_hidden ? 'reviews.hidden' : 'reviews.yours'))}</span>`;
+    } else if (authUser) {
+      action = reportedReviewIds.has(r.review_id)
+        ? `<span class="review-flag">${escapeHtml(t('reviews.reported'))}</span>`
+        : `<button type="button" class="review-report" data-report-id="${r.review_id}">${escapeHtml(t('reviews.report'))}</button>`;
+    }
+
+    return `
+      <div class="review-item${isMine ? ' is-mine' : ''}">
+        <div class="review-top">
+          <span class="review-stars" aria-label="${escapeHtml(t('reviews.stars', { rating: r.rating }))}">${renderStars(r.rating)}</span>
+          <strong>${escapeHtml(r.reviewer_name || t('reviews.member'))}</strong>
+          <span class="muted">${date}${edited ? ` ${escapeHtml(t('reviews.edited'))}` : ''}</span>
+          ${action}
+        </div>
+        ${r.body ? `<p class="review-body">${escapeHtml(r.body)}</p>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+// 4 -> "★★★★☆"
+function renderStars(rating) {
+  const n = Math.max(0, Math.min(5, Math.round(Number(rating) || 0)));
+  return '★'.repeat(n) + '☆'.repeat(5 - n);
+}
+
+// Guests get a login prompt; logged-in users get the form, pre-filled with their review
+function renderReviewForm() {
+  const form = document.getElementById('reviewForm');
+  const loginPrompt = document.getElementById('reviewLoginPrompt');
+  if (!form) return;
+
+  form.classList.toggle('hidden', !authUser);
+  loginPrompt?.classList.toggle('hidden', !!authUser);
+  if (!authUser) return;
+
+  reviewRating = myReview?.rating || 0;
+  document.getElementById('reviewBody').value = myReview?.body || '';
+  document.getElementById('btnSubmitReview').textContent = myReview ? t('reviews.update') : t('reviews.post');
+  document.getElementById('btnDeleteReview')?.classList.toggle('hidden', !myReview);
+  updateStarInput();
+}
+
+function updateStarInput() {
+  document.querySelectorAll('#starInput .star-btn').forEach((btn) => {
+    const value = Number(btn.dataset.value);
+    btn.classList.toggle('active', value <= reviewRating);
+    btn.setAttribute('aria-checked', String(value === reviewRating));
+  });
+}
+
+function bindReviewEvents() {
+  document.querySelectorAll('#starInput .star-btn').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      reviewRating = Number(btn.dataset.value);
+      updateStarInput();
+    });
+  });
+
+  document.getElementById('reviewForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await submitReview();
+  });
+
+  document.getElementById('btnDeleteReview')?.addEventListener('click', deleteMyReview);
+
+  // Report buttons are re-rendered with the list, so delegate
+  document.getElementById('reviewsList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-report-id]');
+    if (btn) reportReview(btn.getAttribute('data-report-id'));
+  });
+}
+
+async function submitReview() {
+  if (!authUser || !currentExperienceId) return;
+
+  if (reviewRating < 1 || reviewRating > 5) {
+    alert(t('reviews.pickStars'));
+    return;
+  }
+
+  const body = document.getElementById('reviewBody').value.trim() || null;
+
+  try {
+    if (myReview) {
+      const { error } = await supabaseClient
+        .from('review')
+        .update({ rating: reviewRating, body })
+        .eq('review_id', myReview.review_id);
+
+      if (error) throw error;
+    } else {
+      // user_id (auth.uid()) and reviewer_name (first name from users) are filled in by the database
+      const { error } = await supabaseClient
+        .from('review')
+        .insert({
+          experience_id: currentExperienceId,
+          rating: reviewRating,
+          body
+        });
+
+      if (error) throw error;
+    }
+
+    await loadReviews(currentExperienceId);
+  } catch (err) {
+    console.error('Error saving review:', err);
+    // 23505 = unique violation: already reviewed (e.g. in another tab)
+    // 42501 = row-level security: businesses can't review their own experiences
+    const message = err?.code === '23505'
+      ? t('reviews.already')
+      : err?.code === '42501' ? t('reviews.ownExperience') : t('reviews.saveError');
+    alert(message);
+  }
+}
+
+async function deleteMyReview() {
+  if (!myReview || !confirm(t('reviews.confirmDelete'))) return;
+
+  try {
+    const { error } = await supabaseClient
+      .from('review')
+      .delete()
+      .eq('review_id', myReview.review_id);
+
+    if (error) throw error;
+
+    await loadReviews(currentExperienceId);
+  } catch (err) {
+    console.error('Error deleting review:', err);
+    alert(t('reviews.deleteError'));
+  }
+}
+
+async function reportReview(reviewId) {
+  const reason = prompt(t('reviews.reportPrompt'));
+  if (reason === null) return; // cancelled
+
+  try {
+    const { error } = await supabaseClient
+      .from('review_report')
+      .insert({ review_id: reviewId, reason: reason.trim().slice(0, 500) || null });
+
+    // Already reported counts as done
+    if (error && error.code !== '23505') throw error;
+
+    reportedReviewIds.add(reviewId);
+    await loadReviews(currentExperienceId);
+    alert(t('reviews.reportThanks'));
+  } catch (err) {
+    console.error('Error reporting review:', err);
+    alert(t('reviews.reportError'));
+  }
+}
+
+
 // ---------------------------
+// Sessions calendar (sql/experience_sessions.sql, lib/experienceSessions.js)
+// ---------------------------
+// Month grid with the days the experience runs. Picking a day lists its sessions, each
+// with a booking link (deep link when the business set one) and an .ics download.
+// Hidden when nothing is scheduled in the next year.
+const SESSION_LOOKAHEAD_MONTHS = 12;
+
+async function loadSessions(exp) {
+  const section = document.getElementById('availabilitySection');
+  if (!section) return;
+
+  sessionContext = {
+    title: exp.title || t('detail.untitled'),
+    location: exp.business?.location_text || (exp.county ? t('detail.inIreland', { county: exp.county }) : ''),
+    bookingUrl: exp.booking_url || exp.business?.website_url || '',
+    durationMinutes: exp.duration_minutes
+  };
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('experience_session')
+      .select('session_id, start_date, end_date, weekdays, start_time, end_time, capacity, booking_url')
+      .eq('experience_id', exp.experience_id)
+      .eq('is_active', true)
+      .order('start_time');
+
+    if (error) throw error;
+
+    experienceSessions = data || [];
+
+    const firstDate = upcomingSessionDates()[0];
+    if (!firstDate) {
+      section.classList.add('hidden');
+      return;
+    }
+
+    const first = parseDateKey(firstDate);
+    calendarMonth = new Date(first.getFullYear(), first.getMonth(), 1);
+    selectedSessionDate = firstDate;
+
+    renderSessionCalendar();
+    renderSessionDay(firstDate);
+    section.classList.remove('hidden');
+  } catch (err) {
+    console.warn('Sessions error:', err);
+  }
+}
+
+// Dates with at least one session, today up to the end of the lookahead window
+function upcomingSessionDates(fromKey = toDateKey(new Date()), toKey = sessionLookaheadEnd()) {
+  const dates = new Set();
+  experienceSessions.forEach((s) => sessionDatesBetween(s, fromKey, toKey).forEach(d => dates.add(d)));
+  return [...dates].sort();
+}
+
+function sessionLookaheadEnd() {
+  const today = new Date();
+  return toDateKey(new Date(today.getFullYear(), today.getMonth() + SESSION_LOOKAHEAD_MONTHS + 1, 0));
+}
+
+function renderSessionCalendar() {
+  const grid = document.getElementById('availabilityCalendar');
+  if (!grid || !calendarMonth) return;
+
+  const year = calendarMonth.getFullYear();
+  const month = calendarMonth.getMonth();
+  const todayKey = toDateKey(new Date());
+  const monthEnd = toDateKey(new Date(year, month + 1, 0));
+  const runDays = new Set(upcomingSessionDates(toDateKey(calendarMonth), monthEnd));
+
+  setText(document.getElementById('calMonthLabel'),
+    calendarMonth.toLocaleDateString(siteLocale(), { month: 'long', year: 'numeric' }));
+
+  // Previous: not before this month. Next: not past the lookahead window
+  const now = new Date();
+  const monthsAhead = (year - now.getFullYear()) * 12 + (month - now.getMonth());
+  document.getElementById('btnCalPrev').disabled = monthsAhead <= 0;
+  document.getElementById('btnCalNext').disabled = monthsAhead >= SESSION_LOOKAHEAD_MONTHS;
+
+  // Monday-first week rows, blanks before the 1st
+  // 1 Jan 2024 was a Monday: short day names in the site language
+  const headers = Array.from({ length: 7 }, (_, i) => new Date(2024, 0, 1 + i).toLocaleDateString(siteLocale(), { weekday: 'short' }))
+    .map(d => `<span class="availability-weekday">${escapeHtml(d)}</span>`);
+  const blanks = Array.from({ length: (calendarMonth.getDay() + 6) % 7 }, () => '<span></span>');
+
+  const days = [];
+  for (let day = 1; day <= new Date(year, month + 1, 0).getDate(); day++) {
+    const key = toDateKey(new Date(year, month, day));
+
+    if (!runDays.has(key)) {
+      days.push(`<span class="availability-date${key < todayKey ? ' is-past' : ''}">${day}</span>`);
+      continue;
+    }
+
+    days.push(`
+      <button type="button" class="availability-date has-sessions${key === selectedSessionDate ? ' is-selected' : ''}"
+              data-date="${key}" aria-pressed="${key === selectedSessionDate}"
+              aria-label="${escapeHtml(t('sessions.available', { date: formatDateKey(key, { weekday: 'long', day: 'numeric', month: 'long' }) }))}">${day}</button>
+    `);
+  }
+
+  grid.innerHTML = [...headers, ...blanks, ...days].join('');
+}
+
+function renderSessionDay(dateKey) {
+  const box = document.getElementById('availabilityDay');
+  if (!box) return;
+
+  const sessions = experienceSessions.filter(s => sessionRunsOn(s, dateKey));
+  if (!sessions.length) {
+    box.innerHTML = `<p class="muted">${escapeHtml(t('sessions.pickDay'))}</p>`;
+    return;
+  }
+
+  box.innerHTML = `
+    <p class="availability-day-title">${escapeHtml(formatDateKey(dateKey, { weekday: 'long', day: 'numeric', month: 'long' }))}</p>
+    ${sessions.map((s) => {
+      const bookingUrl = sessionBookingUrl(s, dateKey, sessionContext.bookingUrl);
+      return `
+        <div class="availability-session">
+          <div>
+            <strong>${escapeHtml(formatSessionTimes(s))}</strong>
+            ${s.capacity ? `<span class="muted">${escapeHtml(tCount('sessions.upTo', s.capacity))}</span>` : ''}
+          </div>
+          <div class="availability-session-actions">
+            ${bookingUrl ? `<a class="btn-small" href="${escapeHtml(bookingUrl)}" target="_blank" rel="noopener" data-action="book">${escapeHtml(t('sessions.book'))}</a>` : ''}
+            <button class="btn-small" type="button" data-action="ics" data-session-id="${s.session_id}" data-date="${dateKey}">${escapeHtml(t('sessions.addToCalendar'))}</button>
+          </div>
+        </div>
+      `;
+    }).join('')}
+  `;
+}
+
+function bindSessionEvents() {
+  const moveMonth = (delta) => {
+    if (!calendarMonth) return;
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + delta, 1);
+    renderSessionCalendar();
+  };
+
+  document.getElementById('btnCalPrev')?.addEventListener('click', () => moveMonth(-1));
+  document.getElementById('btnCalNext')?.addEventListener('click', () => moveMonth(1));
+
+  document.getElementById('availabilityCalendar')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-date]');
+    if (!btn) return;
+
+    selectedSessionDate = btn.dataset.date;
+    renderSessionCalendar();
+    renderSessionDay(selectedSessionDate);
+  });
+
+  document.getElementById('availabilityDay')?.addEventListener('click', (e) => {
+    const target = e.target.closest('[data-action]');
+    if (!target || !currentExperienceId) return;
+
+    // Session booking links count as booking clicks too (link opens in a new tab, no waiting)
+    if (target.dataset.action === 'book') logBookingClickOnce(currentExperienceId);
+    if (target.dataset.action === 'ics') downloadSessionIcs(target.dataset.sessionId, target.dataset.date);
+  });
+}
+
+function downloadSessionIcs(sessionId, dateKey) {
+  const session = experienceSessions.find(s => s.session_id === sessionId);
+  if (!session) return;
+
+  const ics = buildSessionIcs({
+    session,
+    dateKey,
+    title: sessionContext.title,
+    location: sessionContext.location,
+    description: t('sessions.icsBooking', {
+      url: sessionBookingUrl(session, dateKey, sessionContext.bookingUrl) || t('sessions.icsSeePage')
+    }),
+    url: experiencePageUrl(currentExperienceId, document.baseURI),
+    durationMinutes: sessionContext.durationMinutes
+  });
+
+  const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${sessionContext.title.replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'experience'}-${dateKey}.ics`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+
+// ---------------------------
+// Similar experiences ("You might also like")
+// ---------------------------
+// Candidates = experiences sharing a category or the county, topped up with popular
+// ones. Each gets points for what it has in common, most popular wins ties.
+// Links carry src=similar so businesses see this traffic in their referrer chart.
+const SIMILAR_COUNT = 4;
+const SIMILAR_POOL_SIZE = 40;
+
+const SIMILAR_WEIGHTS = {
+  category: 3,  // per shared category
+  county: 2,
+  price: 1.5,   // same price band (PRICE_PRESETS)
+  duration: 1   // same DURATION_RANGES bucket
+};
+
+async function loadSimilarExperiences(exp) {
+  const section = document.getElementById('similarSection');
+  const list = document.getElementById('similarList');
+  if (!section || !list) return;
+
+  try {
+    const categoryIds = (exp.experience_category || []).map(link => link.category_id);
+    const candidates = await fetchSimilarCandidates(exp, categoryIds);
+
+    const similar = candidates
+      .map(c => ({ ...c, similarity: similarityScore(exp, categoryIds, c) }))
+      .sort((a, b) => (b.similarity - a.similarity) || ((b.view_count || 0) - (a.view_count || 0)))
+      .slice(0, SIMILAR_COUNT);
+
+    if (!similar.length) return;
+
+    list.innerHTML = similar.map(renderSimilarCard).join('');
+    section.classList.remove('hidden');
+  } catch (err) {
+    console.warn('Similar experiences error:', err);
+  }
+}
+
+// experience_listing_v = approved + published only, current one excluded
+async function fetchSimilarCandidates(exp, categoryIds) {
+  const columns = `
+    experience_id,
+    title,
+    county,
+    min_price,
+    max_price,
+    price_unit,
+    group_price_size,
+    duration_minutes,
+    view_count,
+    avg_rating,
+    review_count,
+    image(image_url, is_primary),
+    experience_category(category_id),
+    ${TRANSLATION_SELECT}
+  `;
+
+  let relatedIds = [];
+  if (categoryIds.length) {
+    const { data, error } = await supabaseClient
+      .from('experience_category')
+      .select('experience_id')
+      .in('category_id', categoryIds)
+      .neq('experience_id', exp.experience_id)
+      .limit(200);
+
+    if (error) throw error;
+    relatedIds = [...new Set((data || []).map(r => r.experience_id))].slice(0, 100);
+  }
+
+  // Same category OR same county
+  const conditions = [];
+  if (relatedIds.length) conditions.push(`experience_id.in.(${relatedIds.join(',')})`);
+  if (exp.county) conditions.push(`county.eq."${String(exp.county).replaceAll('"', '')}"`);
+
+  let pool = [];
+  if (conditions.length) {
+    const { data, error } = await supabaseClient
+      .from('experience_listing_v')
+      .select(columns)
+      .neq('experience_id', exp.experience_id)
+      .or(conditions.join(','))
+      .order('view_count', { ascending: false })
+      .limit(SIMILAR_POOL_SIZE);
+
+    if (error) throw error;
+    pool = data || [];
+  }
+
+  // Not enough in common: top up with popular experiences so the row isn't empty
+  if (pool.length < SIMILAR_COUNT) {
+    const { data, error } = await supabaseClient
+      .from('experience_listing_v')
+      .select(columns)
+      .neq('experience_id', exp.experience_id)
+      .order('view_count', { ascending: false })
+      .limit(SIMILAR_COUNT * 2);
+
+    if (error) throw error;
+
+    const seen = new Set(pool.map(c => c.experience_id));
+    pool = pool.concat((data || []).filter(c => !seen.has(c.experience_id)));
+  }
+
+  return pool;
+}
+
+function similarityScore(exp, categoryIds, candidate) {
+  let score = 0;
+
+  const sharedCategories = (candidate.experience_category || [])
+    .filter(link => categoryIds.includes(link.category_id)).length;
+  score += sharedCategories * SIMILAR_WEIGHTS.category;
+
+  if (exp.county && candidate.county === exp.county) score += SIMILAR_WEIGHTS.county;
+
+  const band = priceBandFor(perPersonPrice(exp));
+  if (band && priceRangeOverlaps(candidate, band)) score += SIMILAR_WEIGHTS.price;
+
+  const duration = durationKeyFor(exp.duration_minutes);
+  if (duration && durationMatches(candidate.duration_minutes, [duration])) score += SIMILAR_WEIGHTS.duration;
+
+  return score;
+}
+
+// The PRICE_PRESETS band a price falls in (e.g. 60 -> €50 – €100)
+function priceBandFor(price) {
+  const n = Number(price);
+  if (price == null || !Number.isFinite(n)) return null;
+
+  return PRICE_PRESETS.find(p => (p.priceMin === null || n >= p.priceMin) && (p.priceMax === null || n < p.priceMax)) || null;
+}
+
+// The DURATION_RANGES key a duration falls in
+function durationKeyFor(minutes) {
+  return DURATION_RANGES.find(d => durationMatches(minutes, [d.key]))?.key || null;
+}
+
+function renderSimilarCard(exp) {
+  const title = escapeHtml(localizeExperience(exp).title || t('detail.untitled'));
+  const imgs = exp.image || [];
+  const imgUrl = (imgs.find(i => i.is_primary) || imgs[0])?.image_url || 'https://via.placeholder.com/300x200';
+  const fromPrice = formatExperiencePrice(exp, { range: false });
+  const price = escapeHtml(fromPrice ? t('card.from', { price: fromPrice }) : t('card.priceTbd'));
+  const duration = formatDuration(exp.duration_minutes);
+  const rating = formatRating(exp.avg_rating, exp.review_count);
+  const url = `detailed_experience.html?id=${encodeURIComponent(exp.experience_id)}&src=similar`;
+
+  return `
+    <a class="similar-card" href="${url}">
+      <img src="${imgUrl}" alt="${title}" loading="lazy" />
+      <div class="similar-card-body">
+        <strong>${title}</strong>
+        <span class="muted">${escapeHtml(exp.county || t('detail.ireland'))} • ${price}${duration ? ` • ${duration}` : ''}</span>
+        ${rating ? `<span class="similar-rating">${rating}</span>` : ''}
+      </div>
+    </a>
+  `;
+}
+
+
+// ---------------------------
+// Sharing (sql/share_links.sql)
+// ---------------------------
+// Every share gets its own link: ?id=<experience>&src=share&sid=<share_id>.
+// Views from that link are logged with the share_id, so the business metrics
+// referrer chart can credit the person who shared it.
+// The share sheet / clipboard need the click's user activation, so nothing is
+// awaited before them (Safari refuses once it has expired).
+async function shareExperience(channel) {
+  const url = createShareUrl(channel);
+
+  // Log the share itself (source = how the sharer got here)
+  logEvent({ experienceId: currentExperienceId, eventType: 'share' });
+
+  if (channel === 'native') {
+    try {
+      await navigator.share({ title: shareInfo.title, text: shareInfo.text, url });
+    } catch (err) {
+      // AbortError = user closed the share sheet, nothing to do.
+      // Anything else: offer copy link / email instead
+      if (err?.name === 'AbortError') return;
+      console.warn('Web Share error:', err);
+      document.getElementById('shareMenu')?.classList.remove('hidden');
+    }
+    return;
+  }
+
+  if (channel === 'email') {
+    const subject = encodeURIComponent(t('detail.shareSubject', { title: shareInfo.title }));
+    const body = encodeURIComponent(`${shareInfo.text}\n\n${url}`);
+    window.location.href = `mailto:?subject=${subject}&body=${body}`;
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    alert(t('detail.linkCopied'));
+  } catch {
+    window.prompt(t('detail.copyPrompt'), url);
+  }
+}
+
+// Returns the link to share straight away and saves its share_link row in the
+// background. If saving fails the link still works: the unknown sid is dropped
+// when the view is logged (sql/share_links.sql), it just can't be credited to anyone.
+function createShareUrl(channel) {
+  const url = new URL(experiencePageUrl(currentExperienceId, document.baseURI));
+  const shareId = makeShareId();
+
+  url.searchParams.set('src', 'share');
+  url.searchParams.set('sid', shareId);
+
+  saveShareLink(shareId, channel);
+
+  return url.toString();
+}
+
+async function saveShareLink(shareId, channel) {
+  try {
+    const { error } = await supabaseClient
+      .from('share_link')
+      .insert({
+        share_id: shareId,
+        experience_id: currentExperienceId,
+        user_id: authUser?.id ?? null,
+        session_id: await getOrCreateVisitorSessionId(),
+        channel
+      });
+
+    if (error) throw error;
+  } catch (err) {
+    console.warn('share_link insert warning:', err?.message || err);
+  }
+}
+
+// 10 random lowercase letters / digits
+function makeShareId() {
+  const chars = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  return Array.from(bytes, b => chars[b % chars.length]).join('');
+}
+
+// ---------------------------
+// Search + link preview tags (lib/experienceSeo.js)
+// ---------------------------
+// The page renders client-side, so title, meta tags, canonical link and JSON-LD are
+// filled in once the experience loads. scripts/prerender_experiences.js writes the
+// same tags into static snapshots for crawlers and link unfurlers that don't run scripts.
+function updateSocialMeta(exp) {
+  seoExperience = exp;
+
+  // document.baseURI so prerendered snapshots (<base href="../">) still point at the real page
+  const url = experiencePageUrl(exp.experience_id, document.baseURI);
+  const meta = buildExperienceMeta(exp, url);
+
+  document.title = meta.title;
+  shareInfo = { title: exp.title || 'ExperienceMe', text: meta.description };
+
+  const setMeta = (attr, key, value) => {
+    const el = document.querySelector(`meta[${attr}="${key}"]`);
+    if (el) el.setAttribute('content', value || '');
+  };
+
+  setMeta('name', 'description', meta.description);
+  setMeta('property', 'og:title', meta.title);
+  setMeta('property', 'og:description', meta.description);
+  setMeta('property', 'og:image', meta.image);
+  setMeta('property', 'og:url', url);
+  setMeta('name', 'twitter:title', meta.title);
+  setMeta('name', 'twitter:description', meta.description);
+  setMeta('name', 'twitter:image', meta.image);
+
+  document.getElementById('canonicalLink')?.setAttribute('href', url);
+
+  const jsonLd = document.getElementById('experienceJsonLd');
+  if (jsonLd) jsonLd.textContent = jsonLdText(buildExperienceJsonLd(exp, url));
+}
+
+// The star rating arrives with the reviews, after renderDetail
+function updateStructuredDataRating(stats) {
+  if (!seoExperience) return;
+  updateSocialMeta({ ...seoExperience, avg_rating: stats?.avg_rating, review_count: stats?.review_count });
+}
+
+
+// ---------------------------
+// Questions + answers (sql/experience_questions.sql)
+// ---------------------------
+// Public list = answered questions. The asker also sees their own pending ones.
+async function loadQuestions(experienceId) {
+  const questionsList = document.getElementById('questionsList');
+  if (!questionsList) return;
+
+  const form = document.getElementById('questionForm');
+  form?.classList.toggle('hidden', !authUser);
+  document.getElementById('questionLoginPrompt')?.classList.toggle('hidden', !!authUser);
+
+  try {
+    // RLS decides which rows come back (answered + visible, or asked by this user)
+    const { data, error } = await supabaseClient
+      .from('experience_question')
+      .select('question_id, user_id, asker_name, question, answer, answered_at, is_hidden, created_at')
+      .eq('experience_id', experienceId)
+      .order('created_at', { ascending: false })
+      .limit(50);
+
+    if (error) throw error;
 
-// Convert a text block into bullet list items.
-// Supports newline OR comma separated input.
-// Also strips leading bullets/dashes like "- item" or "• item".
-function splitToItems(text) {
-  const raw = String(text || '').trim();
-  if (!raw) return [];
+    renderQuestions((data || []).filter(q => !q.is_hidden));
+  } catch (err) {
+    console.error('Error loading questions:', err);
+    questionsList.innerHTML = `<p class="muted">${escapeHtml(t('qa.loadError'))}</p>`;
+  }
+}
 
-  let parts = raw.split('\n').map(s => s.trim()).filter(Boolean);
+function renderQuestions(questions) {
+  const questionsList = document.getElementById('questionsList');
+  if (!questionsList) return;
 
-  // If it's a single line but contains commas, treat as comma-separated
-  if (parts.length <= 1 && raw.includes(',')) {
-    parts = raw.split(',').map(s => s.trim()).filter(Boolean);
+  if (!questions.length) {
+    questionsList.innerHTML = `<p class="muted">${escapeHtml(t('qa.none'))}</p>`;
+    return;
   }
 
-  return parts
-    .map(p => p.replace(/^[-•\u2022]\s*/, '').trim())
-    .filter(Boolean);
+  questionsList.innerHTML = questions.map((q) => {
+    const isMine = authUser && q.user_id === authUser.id;
+
+    const answer = q.answer
+      ? `<p class="qa-answer"><strong>${escapeHtml(t('qa.answer'))}</strong> ${escapeHtml(q.answer)} <span class="muted">(${formatDisplayDate(q.answered_at)})</span></p>`
+      : `<p class="muted">${escapeHtml(t('qa.waiting'))}</p>`;
+
+    return `
+      <div class="review-item${isMine ? ' is-mine' : ''}">
+        <div class="review-top">
+          <strong>${escapeHtml(t('qa.question', { question: q.question }))}</strong>
+        </div>
+        <p class="muted qa-asker">${escapeHtml(t('qa.askedBy', { name: q.asker_name || t('reviews.member'), date: formatDisplayDate(q.created_at) }))}</p>
+        ${answer}
+      </div>
+    `;
+  }).join('');
 }
 
-// Render bullet list into a UL element
+function bindQuestionEvents() {
+  document.getElementById('questionForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    await askQuestion();
+  });
+}
+
+async function askQuestion() {
+  if (!authUser || !currentExperienceId) return;
+
+  const textarea = document.getElementById('questionText');
+  const question = textarea.value.trim();
+  if (question.length < 3) {
+    alert(t('qa.typeFirst'));
+    return;
+  }
+
+  try {
+    // user_id (auth.uid()) and asker_name (their first name) are filled in by the database
+    const { error } = await supabaseClient
+      .from('experience_question')
+      .insert({
+        experience_id: currentExperienceId,
+        question
+      });
+
+    if (error) throw error;
+
+    textarea.value = '';
+    await loadQuestions(currentExperienceId);
+  } catch (err) {
+    console.error('Error asking question:', err);
+    alert(t('qa.sendError'));
+  }
+}
+
+
+// ---------------------------
+// List + text helpers
+// ---------------------------
+
+// Render bullet list into a UL element (items come from splitToItems in lib/listText.js)
 function renderList(ulEl, items) {
   if (!ulEl) return;
 
   if (!items || !items.length) {
-    ulEl.innerHTML = '<li>Details coming soon.</li>';
+    ulEl.innerHTML = `<li>${escapeHtml(t('detail.comingSoon'))}</li>`;
     return;
   }
 
   ulEl.innerHTML = items.map(i => `<li>${escapeHtml(i)}</li>`).join('');
 }
 
-// Format price numbers as whole euros (no decimals)
-function toMoney(value) {
-  const n = Number(value);
-  return Number.isFinite(n) ? n.toFixed(0) : '—';
-}
-
 
 // ---------------------------
 // UI helpers
@@ -497,7 +1580,7 @@ function showError(message) {
   if (!detailError) return;
 
   detailError.classList.remove('hidden');
-  detailError.textContent = message || 'Something went wrong loading this experience.';
+  detailError.textContent = message || t('detail.errorDefault');
 }
 
 function hideError() {
@@ -550,19 +1633,34 @@ function getSourceFromUrl() {
   return (src || 'direct').toLowerCase();
 }
 
+// Share id from a shared link (?src=share&sid=...), null otherwise
+function getShareIdFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const sid = (params.get('sid') || '').toLowerCase();
+  return params.get('src') === 'share' && /^[a-z0-9]{6,32}$/.test(sid) ? sid : null;
+}
+
 // Insert a row into event_metric
-async function logEvent({ experienceId, eventType, source }) {
+async function logEvent({ experienceId, eventType, source, imageUrl }) {
   const sessionId = await getOrCreateVisitorSessionId();
   const { data: { user } } = await supabaseClient.auth.getUser();
 
   const payload = {
     experience_id: experienceId,
-    event_type: eventType,               // 'view' | 'booking_click' | 'share'
+    event_type: eventType,               // 'view' | 'booking_click' | 'share' | 'thumbnail_click' | 'lightbox_view'
     source: source || getSourceFromUrl(),
     session_id: sessionId,
     user_id: user?.id ?? null            // optional (guest = null)
   };
 
+  // Views from a shared link remember which share they came from
+  // (an unknown sid is dropped by a trigger in sql/share_links.sql, so the view still counts)
+  const shareId = getShareIdFromUrl();
+  if (shareId && eventType === 'view') payload.share_id = shareId;
+
+  // Gallery events say which photo (sql/image_gallery.sql)
+  if (imageUrl) payload.image_url = imageUrl;
+
   const { error } = await supabaseClient.from('event_metric').insert(payload);
   if (error) console.warn('logEvent insert warning:', error.message);
 }
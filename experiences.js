@@ -1,30 +1,85 @@
 /**
  * experiences.js
- *  - Load filter dropdowns (category + county)
+ *  - Load filter options (category + county tick lists)
  *  - Load experiences (approved + published)
- *  - Apply filters (search, county, budget, category)
+ *  - Apply filters (search, counties, price range, duration, date, categories) + sort order
+ *    Several categories / counties can be ticked: OR inside a facet, AND across facets
+ *    Price range matches on overlap with the experience's own price range per person (group prices split)
+ *    Date keeps experiences with a session that day (experience_ids_on_date())
+ *    Suitability (wheelchair, kids, dogs, indoor) needs EVERY ticked option, group size / youngest age
+ *    have to fit what the experience takes, fitness + language are OR lists
+ *  - Live result counts next to every category / county / duration / suitability / fitness /
+ *    language option, the price range and the date + who's coming boxes
+ *    (counted in the database by experience_facet_counts(), sql/experience_facet_counts.sql)
+ *  - Cards show county, from price (per person or per group) and duration, title + description in the site language (lib/i18n.js)
+ *  - Search box suggestions (lib/searchSuggest.js): business / category / county picks apply a filter here
+ *  - Compare toggle on each card (lib/compareTray.js)
+ *  - Paginate results (load more button + infinite scroll)
+ *  - URL always matches what's on screen: every applied filter / sort / page change pushes a
+ *    history entry, back + forward restore the filters and results
  *  - Keep nav state correct (guest vs user) + sign out
  */
 // Wait for DOM to be fully loaded before running any JS
 // experiences.js
+// =============================
+// Pagination state
+// =============================
+const PAGE_SIZE = 12;          // cards fetched per page (Supabase range)
+let currentPage = 0;           // how many pages are currently rendered in the grid
+let totalCount = 0;            // total matches for the current filters (exact count from Supabase)
+let activeSearch = null;       // filters + category IDs used for the pages already on screen
+let isLoadingPage = false;     // stops the scroll observer and button firing at the same time
+let loadToken = 0;             // bumped per new search, pages that arrive for an older one are dropped
+let pageObserver = null;       // IntersectionObserver watching #scrollSentinel
+
+// =============================
+// Facet count state
+// =============================
+let facetTimer = null;         // debounce for live counts while options are being ticked
+let facetToken = 0;            // bumped per count request, older responses are dropped
+
+// Price range control ({ get, set }, see initPriceRangeControl in lib/experienceFilters.js)
+let priceControl = null;
+
+// Experiences with a session on a date ({ date, ids: Set }), last date looked up
+let dateIdsCache = null;
+
+// We restore the scroll position ourselves once the cards are back on the page
+if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
 // Entry point: run only when the HTML has loaded
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('✅ experiences.js loaded', { supabaseClient: typeof supabaseClient });
 
+  // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+  await initSiteLanguage();
+
   // 1) Update nav based on whether user is logged in or not
   await updateNavForAuthState();
 
   // Wire up all page event buttons (search, filters, reset, etc.)
   bindEvents();
 
-  // Load filter dropdown options FIRST (category/county/budget)
+  // Compare tray along the bottom of the page (filled from the card toggles)
+  initCompareTray();
+
+  // Load filter dropdown options FIRST (category/county/duration + sort), price range is static
   await loadFilterOptions();
+  fillSortSelect(document.getElementById('sortSelect'), DEFAULT_SORT);
 
   // Update the filter options from the URL, new Iteration 5
   applyFiltersFromURL();
 
-  // Fetch + render experiences using whatever the UI filters currently are
-  await loadExperiences();
+  // Fetch + render experiences using whatever the UI filters currently are.
+  // If the URL has ?page=3 (coming back from a detail page) we load all 3 pages in one go.
+  // 'replace' tidies the URL (e.g. old ?budget= links) without adding a history entry.
+  await loadExperiences({ pages: getPageFromURL(), historyMode: 'replace' });
+
+  // Put the user back where they were before they clicked into an experience
+  restoreScrollPosition();
+
+  // Infinite scroll: load the next page when the sentinel below the grid comes into view
+  setupInfiniteScroll();
 });
 
 // =============================
@@ -73,37 +128,87 @@ function bindEvents() {
   const btnApplyFilters = document.getElementById('btnApplyFilters');
   const btnClearFilters = document.getElementById('btnClearFilters');
 
-  const categorySelect = document.getElementById('categorySelect');
-  const countySelect   = document.getElementById('countySelect');
-  const budgetSelect   = document.getElementById('budgetSelect');
-
   const heroSearch     = document.getElementById('heroSearch');
   const btnHeroSearch  = document.getElementById('btnHeroSearch');
+  const sortSelect     = document.getElementById('sortSelect');
+  const dateFilter     = document.getElementById('dateFilter');
+  const groupSizeFilter   = document.getElementById('groupSizeFilter');
+  const youngestAgeFilter = document.getElementById('youngestAgeFilter');
 
   // Apply filters button: reload experiences using current filter values
   btnApplyFilters?.addEventListener('click', async () => {
+    syncSortOptions();
     await loadExperiences();
   });
 
   // Clear filters button: reset all inputs, then reload experiences
   btnClearFilters?.addEventListener('click', async () => {
-    if (categorySelect) categorySelect.value = '';
-    if (countySelect)   countySelect.value = '';
-    if (budgetSelect)   budgetSelect.value = '';
+    setCheckedValues('categoryOptions', []);
+    setCheckedValues('countyOptions', []);
+    setCheckedValues('durationOptions', []);
+    setCheckedValues('suitabilityOptions', []);
+    setCheckedValues('fitnessOptions', []);
+    setCheckedValues('languageOptions', []);
+    priceControl?.set({});
+    if (dateFilter)     dateFilter.value = '';
+    if (groupSizeFilter)   groupSizeFilter.value = '';
+    if (youngestAgeFilter) youngestAgeFilter.value = '';
     if (heroSearch)     heroSearch.value = '';
 
+    syncSortOptions({ resetToDefault: true });
     await loadExperiences();
   });
 
-  // Search button in hero: reload experiences
+  // Typeahead under the search box. Experience picks open the detail page (handled in the lib)
+  attachSearchSuggest(heroSearch, { onPick: applySearchSuggestion });
+
+  // Search button in hero: new search starts on "Best match"
   btnHeroSearch?.addEventListener('click', async () => {
+    syncSortOptions({ resetToDefault: true });
     await loadExperiences();
   });
 
-  // Enter key in hero search input: reload experiences
+  // Enter key in hero search input: same as the search button
   heroSearch?.addEventListener('keydown', async (e) => {
-    if (e.key === 'Enter') await loadExperiences();
+    if (e.key !== 'Enter') return;
+    syncSortOptions({ resetToDefault: true });
+    await loadExperiences();
+  });
+
+  // Facet counts update live as options are ticked, before Apply is pressed
+  document.getElementById('categoryOptions')?.addEventListener('change', updateFacetCounts);
+  document.getElementById('countyOptions')?.addEventListener('change', updateFacetCounts);
+  document.getElementById('durationOptions')?.addEventListener('change', updateFacetCounts);
+  document.getElementById('suitabilityOptions')?.addEventListener('change', updateFacetCounts);
+  document.getElementById('fitnessOptions')?.addEventListener('change', updateFacetCounts);
+  document.getElementById('languageOptions')?.addEventListener('change', updateFacetCounts);
+  groupSizeFilter?.addEventListener('input', updateFacetCounts);
+  youngestAgeFilter?.addEventListener('input', updateFacetCounts);
+  priceControl = initPriceRangeControl(document.getElementById('priceRange'), updateFacetCounts);
+
+  // Date: no past days
+  if (dateFilter) dateFilter.min = todayDateKey();
+  dateFilter?.addEventListener('change', updateFacetCounts);
+
+  // Sort dropdown: re-run the search in the new order (loadExperiences puts ?sort= in the URL)
+  sortSelect?.addEventListener('change', async () => {
+    await loadExperiences();
   });
+
+  // Back / forward between filtered views: put the UI back the way the URL says, then reload.
+  // 'none' because the browser has already moved to this history entry.
+  window.addEventListener('popstate', async () => {
+    applyFiltersFromURL();
+    await loadExperiences({ pages: getPageFromURL(), historyMode: 'none' });
+  });
+
+  // Load more button (also the fallback when IntersectionObserver isn't available)
+  document.getElementById('btnLoadMore')?.addEventListener('click', async () => {
+    await loadMoreExperiences();
+  });
+
+  // Remember scroll position if the user leaves the page some other way (nav links, refresh)
+  window.addEventListener('pagehide', saveScrollPosition);
   // Sign Out functionality for users and business users
   const btnSignOut = document.getElementById('btnSignOut');
   const btnSignOutBusiness = document.getElementById('btnSignOutBusiness');
@@ -118,45 +223,115 @@ function bindEvents() {
 
 }
 
+// A business / category / county picked from the search suggestions.
+// Categories + counties are ticked on top of what's already ticked (the typed text was only
+// used to find them, so it's cleared). A business becomes the search text, which
+// search_experiences() matches on business name.
+async function applySearchSuggestion(item) {
+  const heroSearch = document.getElementById('heroSearch');
+  if (!heroSearch) return;
+
+  if (item.type === 'business') {
+    heroSearch.value = item.label;
+  } else {
+    heroSearch.value = '';
+    const containerId = item.type === 'category' ? 'categoryOptions' : 'countyOptions';
+    setCheckedValues(containerId, [...getCheckedValues(containerId), item.value]);
+  }
+
+  syncSortOptions({ resetToDefault: true });
+  await loadExperiences();
+}
+
 // Iteration 5, to make filtering actually work
 function applyFiltersFromURL() {
   const params = new URLSearchParams(window.location.search);
 
   const q = (params.get('q') || '').trim();
-  const categoryId = (params.get('category_id') || '').trim();
-  const county = (params.get('county') || '').trim();
-  const budget = (params.get('budget') || '').trim();
+  // category_id / county can hold several comma separated values (?county=Cork,Kerry)
+  const categoryIds = decodeListParam(params.get('category_id'));
+  const counties = decodeListParam(params.get('county'));
+  // ?price_min= / ?price_max= (old ?budget= links are mapped onto a range)
+  const priceRange = readPriceRangeFromParams(params);
+  const durations = normaliseDurationKeys(decodeListParam(params.get('duration')));
+  const date = normaliseDateParam(params.get('date'));
+  const suitability = normaliseSuitabilityKeys(decodeListParam(params.get('suitable')));
+  const fitness = normaliseFitnessKeys(decodeListParam(params.get('fitness')));
+  const languages = normaliseLanguageCodes(decodeListParam(params.get('language')));
+  const groupSize = normaliseGroupSize(params.get('group'));
+  const youngestAge = normaliseYoungestAge(params.get('age'));
+  const sort = normaliseSortKey(params.get('sort'), !!q);
 
   const heroSearch = document.getElementById('heroSearch');
-  const categorySelect = document.getElementById('categorySelect');
-  const countySelect = document.getElementById('countySelect');
-  const budgetSelect = document.getElementById('budgetSelect');
-
-  if (heroSearch && q) heroSearch.value = q;
-  if (categorySelect && categoryId) categorySelect.value = categoryId;
-  if (countySelect && county) countySelect.value = county;
-  if (budgetSelect && budget) budgetSelect.value = budget;
-
-  console.log('✅ Applied URL filters:', { q, categoryId, county });
+  const sortSelect = document.getElementById('sortSelect');
+  const dateFilter = document.getElementById('dateFilter');
+  const groupSizeFilter = document.getElementById('groupSizeFilter');
+  const youngestAgeFilter = document.getElementById('youngestAgeFilter');
+
+  // Always set (even to '') so going back to an unfiltered URL clears the box
+  if (heroSearch) heroSearch.value = q;
+  setCheckedValues('categoryOptions', categoryIds);
+  setCheckedValues('countyOptions', counties);
+  setCheckedValues('durationOptions', durations);
+  priceControl?.set(priceRange);
+  if (dateFilter) dateFilter.value = date;
+  setCheckedValues('suitabilityOptions', suitability);
+  setCheckedValues('fitnessOptions', fitness);
+  setCheckedValues('languageOptions', languages);
+  if (groupSizeFilter) groupSizeFilter.value = groupSize ?? '';
+  if (youngestAgeFilter) youngestAgeFilter.value = youngestAge ?? '';
+  fillSortSelect(sortSelect, sort, !!q);
+
+  console.log('✅ Applied URL filters:', {
+    q, categoryIds, counties, priceRange, durations, date, suitability, fitness, languages, groupSize, youngestAge, sort
+  });
 }
 
 
 // =============================
-// Load dropdown options for category + county
+// Load filter options for category + county + duration + suitability
 // =============================
-// Fetches categories + counties from Supabase and fills the <select> dropdowns.
+// Fetches categories + counties from Supabase and fills the tick lists.
+// Duration buckets, suitability, fitness levels and languages are fixed (lib/experienceFilters.js).
 async function loadFilterOptions() {
-  // Grab dropdowns directly from the DOM (Option B style)
-  const categorySelect = document.getElementById('categorySelect');
-  const countySelect   = document.getElementById('countySelect');
+  // Grab option containers directly from the DOM (Option B style)
+  const categoryOptions = document.getElementById('categoryOptions');
+  const countyOptions   = document.getElementById('countyOptions');
+  const durationOptions = document.getElementById('durationOptions');
+
+  if (durationOptions) {
+    renderCheckboxOptions(durationOptions, 'duration', DURATION_RANGES.map((d) => ({
+      value: d.key,
+      label: d.label
+    })));
+  }
+
+  const suitabilityOptions = document.getElementById('suitabilityOptions');
+  if (suitabilityOptions) {
+    renderCheckboxOptions(suitabilityOptions, 'suitable', SUITABILITY_OPTIONS.map((s) => ({
+      value: s.key,
+      label: `${s.icon} ${s.label}`
+    })));
+  }
 
-  // If the dropdowns don't exist on this page, stop safely
-  if (!categorySelect || !countySelect) return;
+  const fitnessOptions = document.getElementById('fitnessOptions');
+  if (fitnessOptions) {
+    renderCheckboxOptions(fitnessOptions, 'fitness', FITNESS_LEVELS.map((f) => ({
+      value: f.key,
+      label: f.label
+    })));
+  }
+
+  const languageOptions = document.getElementById('languageOptions');
+  if (languageOptions) {
+    renderCheckboxOptions(languageOptions, 'language', EXPERIENCE_LANGUAGES.map((l) => ({
+      value: l.code,
+      label: l.label
+    })));
+  }
 
-  // prevents duplicate options if function is called more than once
-  // Keeps the first option and clears the rest for category and county
-  categorySelect.querySelectorAll('option:not(:first-child)').forEach(o => o.remove());
-  countySelect.querySelectorAll('option:not(:first-child)').forEach(o => o.remove());
+  // If the lists don't exist on this page, stop safely
+  if (!categoryOptions || !countyOptions) return;
 
   // -----------------------------
   // Load categories
@@ -169,14 +344,13 @@ async function loadFilterOptions() {
 
     if (error) throw error;
 
-    (categories || []).forEach((cat) => {
-      const opt = document.createElement('option');
-      opt.value = cat.category_id;
-      opt.textContent = cat.category_name;
-      categorySelect.appendChild(opt);
-    });
+    renderCheckboxOptions(categoryOptions, 'category', (categories || []).map((cat) => ({
+      value: cat.category_id,
+      label: cat.category_name
+    })));
   } catch (err) {
     console.error('Failed to load categories:', err);
+    categoryOptions.innerHTML = `<p class="muted">${escapeHtml(t('filters.categoriesError'))}</p>`;
   }
 
   // -----------------------------
@@ -190,65 +364,136 @@ async function loadFilterOptions() {
 
     if (error) throw error;
 
-    (counties || []).forEach((c) => {
-      const opt = document.createElement('option');
-      opt.value = c.county_id;
-      opt.textContent = c.county_id;
-      countySelect.appendChild(opt);
-    });
+    renderCheckboxOptions(countyOptions, 'county', (counties || []).map((c) => ({
+      value: c.county_id,
+      label: c.county_id
+    })));
   } catch (err) {
     console.error('Failed to load counties:', err);
+    countyOptions.innerHTML = `<p class="muted">${escapeHtml(t('filters.countiesError'))}</p>`;
   }
 }
 
+// Builds a list of checkboxes (one per option) inside a filter block.
+// Replaces whatever was there, so calling it twice doesn't duplicate options.
+function renderCheckboxOptions(container, name, options) {
+  if (!options.length) {
+    container.innerHTML = `<p class="muted">${escapeHtml(t('filters.noneYet'))}</p>`;
+    return;
+  }
+
+  container.innerHTML = options.map((o) => `
+    <label class="filter-option">
+      <input type="checkbox" name="${name}" value="${escapeHtml(o.value)}" />
+      <span class="filter-option-label">${escapeHtml(o.label)}</span>
+    </label>
+  `).join('');
+}
+
+// Values of the ticked checkboxes inside a container
+function getCheckedValues(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return [];
+
+  return [...container.querySelectorAll('input[type="checkbox"]:checked')].map((input) => input.value);
+}
+
+// Tick exactly the given values (used by URL deep links + Clear)
+function setCheckedValues(containerId, values) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const wanted = new Set(values);
+  container.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+    input.checked = wanted.has(input.value);
+  });
+}
+
 // =============================
 // Read filters from UI
 // =============================
 function getFilters() {
   // Grab filter inputs directly from the DOM
   const heroSearch     = document.getElementById('heroSearch');
-  const categorySelect = document.getElementById('categorySelect');
-  const countySelect   = document.getElementById('countySelect');
-  const budgetSelect   = document.getElementById('budgetSelect');
+  const sortSelect     = document.getElementById('sortSelect');
+
+  const searchText = (heroSearch?.value || '').trim();
 
   return {
     // Text search (trim removes extra spaces at the start/end)
-    searchText: (heroSearch?.value || '').trim(),
+    searchText,
+
+    // Ticked categories / counties (empty array means "no filter")
+    categoryIds: getCheckedValues('categoryOptions'),
+    counties: getCheckedValues('countyOptions'),
+
+    // Ticked duration buckets (keys from DURATION_RANGES)
+    durations: getCheckedValues('durationOptions'),
 
-    // Dropdown values (empty string means "no filter")
-    categoryId: categorySelect?.value || '',
-    county: countySelect?.value || '',
-    budget: budgetSelect?.value || '',
+    // Price range ({ priceMin, priceMax }, null on a side means no limit)
+    priceRange: priceControl ? priceControl.get() : normalisePriceRange(),
+
+    // Day it has to run on ('YYYY-MM-DD', '' means any day)
+    date: normaliseDateParam(document.getElementById('dateFilter')?.value),
+
+    // Suitability keys (all must hold), fitness levels + language codes (any of them)
+    suitability: getCheckedValues('suitabilityOptions'),
+    fitness: getCheckedValues('fitnessOptions'),
+    languages: getCheckedValues('languageOptions'),
+
+    // People in the group + youngest person's age (null means not asked)
+    groupSize: normaliseGroupSize(document.getElementById('groupSizeFilter')?.value),
+    youngestAge: normaliseYoungestAge(document.getElementById('youngestAgeFilter')?.value),
+
+    // Sort order (see EXPERIENCE_SORTS in lib/experienceFilters.js)
+    sort: normaliseSortKey(sortSelect?.value, !!searchText),
   };
 }
 
-// =============================
-// Category filter helper
-// =============================
-
-//Looks up which experiences belong to a selected category and returns their IDs so you can filter the experiences list properly.
+// Re-fill the sort dropdown when search text appears/disappears ("Best match" needs a search).
+// resetToDefault is used for a fresh search so it starts on the default order again.
+function syncSortOptions({ resetToDefault = false } = {}) {
+  const heroSearch = document.getElementById('heroSearch');
+  const sortSelect = document.getElementById('sortSelect');
+  if (!sortSelect) return;
 
-async function getExperienceIdsForCategory(categoryId) {
-  if (!categoryId) return null; // means return all experiences when category isn't filtered
+  const hasSearch = !!(heroSearch?.value || '').trim();
+  fillSortSelect(sortSelect, resetToDefault ? '' : sortSelect.value, hasSearch);
+}
 
-  const { data, error } = await supabaseClient
-    .from('experience_category')
-    .select('experience_id')
-    .eq('category_id', categoryId);
+// =============================
+// Date filter helper
+// =============================
+// Experiences with a session on that day (weekly sessions inside their season count too).
+// Cached for the last date so load more and re-applying the same date share one lookup.
+async function getExperienceIdsForDate(date) {
+  if (!date) return null;
+  if (dateIdsCache?.date === date) return [...dateIdsCache.ids];
 
+  const { data, error } = await supabaseClient.rpc('experience_ids_on_date', { p_date: date });
   if (error) throw error;
 
-  const ids = (data || []).map((r) => r.experience_id).filter(Boolean);
+  const ids = [...new Set((data || []).map((r) => r.experience_id).filter(Boolean))];
+  dateIdsCache = { date, ids: new Set(ids) };
   return ids;
 }
 
+// Local 'YYYY-MM-DD' for the date input's min
+function todayDateKey() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
 // =============================
 // Main loader of experiences
 // =============================
 // =============================
 // Load + render experiences
 // =============================
-async function loadExperiences() {
+// Loads the first `pages` pages for the current filters and replaces the grid.
+// Anything that changes the filters calls this, so it always starts again from page 1.
+// historyMode: 'push' (user changed something), 'replace' (first load) or 'none' (back/forward)
+async function loadExperiences({ pages = 1, historyMode = 'push' } = {}) {
   // Grab UI elements directly from the DOM
   const resultsMeta = document.getElementById('resultsMeta');
   const experiencesGrid = document.getElementById('experiencesGrid');
@@ -257,127 +502,506 @@ async function loadExperiences() {
   if (!resultsMeta || !experiencesGrid) return;
 
   // Show loading state while we fetch data
-  resultsMeta.textContent = 'Loading experiences...';
-  experiencesGrid.innerHTML = '<div class="loading">Loading...</div>';
+  resultsMeta.textContent = t('results.loading');
+  experiencesGrid.innerHTML = `<div class="loading">${escapeHtml(t('results.loadingShort'))}</div>`;
+
+  // Reset paging for the new search (and make any request still in flight stale)
+  const token = ++loadToken;
+  const isStale = () => token !== loadToken;
+  currentPage = 0;
+  totalCount = 0;
+  activeSearch = null;
+  updateLoadMoreUI();
 
   // Read current filters from the UI
-  const { searchText, categoryId, county, budget } = getFilters();
-  console.log('Filters:', { searchText, categoryId, county, budget }); // Debug in console
+  const filters = getFilters();
+  console.log('Filters:', filters); // Debug in console
 
   try {
+    isLoadingPage = true;
+
     // ------------------------------------------------------------
-    // If a category is selected, fetch matching experience IDs first
+    // If categories are ticked, fetch matching experience IDs first
     //    (This avoids needing an inner join on the category linking table.)
     // ------------------------------------------------------------
     let categoryExperienceIds = null;
 
-    if (categoryId) {
-      categoryExperienceIds = await getExperienceIdsForCategory(categoryId);
+    if (filters.categoryIds.length) {
+      categoryExperienceIds = await getExperienceIdsForCategories(filters.categoryIds);
+      if (isStale()) return;
 
       // If nothing matches this category, we can exit early
       if (!categoryExperienceIds.length) {
-        resultsMeta.textContent = '0 experiences found';
-        experiencesGrid.innerHTML = '<div class="no-results">No experiences found</div>';
+        resultsMeta.textContent = tCount('results.found', 0);
+        experiencesGrid.innerHTML = `<div class="no-results">${escapeHtml(t('results.none'))}</div>`;
+        await refreshFacetCounts();
         return;
       }
     }
 
-    // ------------------------------------------------------------
-    // Build base experiences query
-    // ------------------------------------------------------------
-    let query = supabaseClient
-      .from('experiences')
-      .select(`
-        experience_id,
-        title,
-        event_description,
-        county,
-        min_price,
-        max_price,
-        business:business_id(business_name),
-        image(image_url, is_primary)
-      `)
-      .in('status', ['approved', 'Approved'])
-      .eq('is_published', true); // Problem child during iteration 3
-
-    // ------------------------------------------------------------
-    // Apply filters to the query
-    // ------------------------------------------------------------
-
-    // Text search across title or description of experience, implementing type of key word search
-    if (searchText) {
-      query = query.or(`title.ilike.%${searchText}%,event_description.ilike.%${searchText}%`);
-    }
+    // Same for a date: only experiences with a session that day
+    let dateExperienceIds = null;
 
-    // County filter
-    if (county) {
-      query = query.eq('county', county);
-    }
+    if (filters.date) {
+      dateExperienceIds = await getExperienceIdsForDate(filters.date);
+      if (isStale()) return;
 
-    // Budget filter (based on min_price)
-    if (budget) {
-      if (budget === 'under_50') query = query.lte('min_price', 50);
-      if (budget === '50_100') query = query.gte('min_price', 50).lte('min_price', 100);
-      if (budget === '100_200') query = query.gte('min_price', 100).lte('min_price', 200);
-      if (budget === '200_plus') query = query.gte('min_price', 200);
+      if (!dateExperienceIds.length) {
+        resultsMeta.textContent = tCount('results.found', 0);
+        experiencesGrid.innerHTML = `<div class="no-results">${escapeHtml(t('results.noneOnDate'))}</div>`;
+        await refreshFacetCounts();
+        return;
+      }
     }
 
-    // Category filter: only include experiences whose IDs are in our category list
-    if (Array.isArray(categoryExperienceIds)) {
-      query = query.in('experience_id', categoryExperienceIds);
-    }
+    // Remember what we searched for so "load more" asks for the same thing
+    activeSearch = { filters, categoryExperienceIds, dateExperienceIds };
 
     // ------------------------------------------------------------
-    // Run query
+    // Run query for pages 1..N in a single range request
     // ------------------------------------------------------------
-    const { data: experiences, error } = await query;
+    const pageCount = Math.max(1, pages);
+    const { data: experiences, count, error } = await buildExperiencesQuery(activeSearch)
+      .range(0, pageCount * PAGE_SIZE - 1);
+
+    if (isStale()) return;
     if (error) throw error;
 
     const list = experiences || [];
-    resultsMeta.textContent = `${list.length} experiences found`;
-    console.log('Experiences returned:', list.length, list);
+    totalCount = count ?? list.length;
+
+    // If the URL asked for more pages than exist, only count the pages we actually got
+    currentPage = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+    console.log('Experiences returned:', list.length, 'of', totalCount, list);
 
     // ------------------------------------------------------------
     // Render results into the grid
     // ------------------------------------------------------------
     renderExperiences(list);
+    updateResultsMeta();
+
+    // Counts next to each filter option (only refetches when the search text changed)
+    await refreshFacetCounts();
 
   } catch (err) {
+    if (isStale()) return;
     console.error('Error loading experiences:', err);
 
     // Show user-friendly error message
-    resultsMeta.textContent = 'Error loading experiences';
+    resultsMeta.textContent = t('results.errorShort');
     experiencesGrid.innerHTML =
-      '<div class="no-results">Something went wrong loading experiences.</div>';
+      `<div class="no-results">${escapeHtml(t('results.error'))}</div>`;
+    activeSearch = null;
+  } finally {
+    // A newer search owns the loading flag, the grid and the URL now
+    if (!isStale()) {
+      isLoadingPage = false;
+      updateLoadMoreUI();
+
+      // Runs for results, 0 results and errors alike so the URL always describes this search
+      syncURLWithFilters(filters, currentPage, historyMode);
+    }
+  }
+}
+
+// Fetch the next page for the current search and append it to the grid
+async function loadMoreExperiences() {
+  if (isLoadingPage || !activeSearch || !hasMorePages()) return;
+
+  const token = loadToken;
+  isLoadingPage = true;
+  updateLoadMoreUI();
+
+  try {
+    const from = currentPage * PAGE_SIZE;
+    const { data: experiences, count, error } = await buildExperiencesQuery(activeSearch)
+      .range(from, from + PAGE_SIZE - 1);
+
+    // The filters changed while this page was loading: it belongs to the old results
+    if (token !== loadToken) return;
+    if (error) throw error;
+
+    const list = experiences || [];
+    totalCount = count ?? totalCount;
+
+    if (list.length) {
+      currentPage += 1;
+      renderExperiences(list, { append: true });
+      // Replace, not push: infinite scroll would otherwise leave one Back step per page
+      syncURLWithFilters(activeSearch.filters, currentPage, 'replace');
+    }
+
+    updateResultsMeta();
+  } catch (err) {
+    if (token !== loadToken) return;
+    console.error('Error loading more experiences:', err);
+    const resultsMeta = document.getElementById('resultsMeta');
+    if (resultsMeta) resultsMeta.textContent = t('results.errorMore');
+  } finally {
+    if (token === loadToken) {
+      isLoadingPage = false;
+      updateLoadMoreUI();
+    }
   }
 }
 
+// Builds the experiences query for a search. Returns the query WITHOUT a range
+// so the caller decides which slice (first load vs load more) it wants.
+function buildExperiencesQuery({ filters, categoryExperienceIds, dateExperienceIds }) {
+  const { searchText, counties, priceRange, durations, sort } = filters;
+
+  const columns = `
+    experience_id,
+    title,
+    event_description,
+    county,
+    min_price,
+    max_price,
+    price_unit,
+    group_price_size,
+    duration_minutes,
+    avg_rating,
+    review_count,
+    business:business_id(business_name),
+    image(image_url, is_primary),
+    ${TRANSLATION_SELECT}
+  `;
+
+  // ------------------------------------------------------------
+  // Build base experiences query
+  // experience_listing_v = experiences + view_count/save_count so we can sort by popularity
+  // With search text we go through search_experiences() instead: it returns the same
+  // listing rows, ranked (weighted full-text + typo tolerance), so everything below still chains.
+  // count: 'exact' gives us the total number of matches alongside the current page
+  // ------------------------------------------------------------
+  let query = searchText
+    ? supabaseClient
+      .rpc('search_experiences', { q: searchText }, { count: 'exact' })
+      .select(columns)
+    : supabaseClient
+      .from('experience_listing_v')
+      .select(columns, { count: 'exact' });
+
+  query = query
+    .in('status', ['approved', 'Approved'])
+    .eq('is_published', true); // Problem child during iteration 3
+
+  // ------------------------------------------------------------
+  // Apply filters to the query
+  // ------------------------------------------------------------
+
+  // County filter (any of the ticked counties)
+  if (counties.length) {
+    query = query.in('county', counties);
+  }
+
+  // Price range: the experience's per-person min..max price has to overlap the wanted range
+  query = applyPriceRange(query, priceRange);
+
+  // Duration: any of the ticked buckets ("half day" OR "full day")
+  query = applyDurationFilter(query, durations);
+
+  // Accessibility + suitability: ticked needs, fitness, language, group size, youngest age
+  query = applySuitabilityFilters(query, filters);
+
+  // Category filter: only include experiences whose IDs are in our category list
+  if (Array.isArray(categoryExperienceIds)) {
+    query = query.in('experience_id', categoryExperienceIds);
+  }
+
+  // Date filter: only experiences with a session that day (ANDed with the category list)
+  if (Array.isArray(dateExperienceIds)) {
+    query = query.in('experience_id', dateExperienceIds);
+  }
+
+  // Sort order from the dropdown (shared with the Finder, ties broken so pages never overlap)
+  return applyExperienceSort(query, sort, !!searchText);
+}
+
+// =============================
+// Facet counts
+// =============================
+// For each option we count how many experiences you would get if you ticked it,
+// keeping every OTHER active filter. The counting happens in the database
+// (sql/experience_facet_counts.sql), so only the numbers come back.
+async function refreshFacetCounts() {
+  clearTimeout(facetTimer);
+  const token = ++facetToken;
+
+  try {
+    const filters = getFilters();
+    const { data, error } = await supabaseClient.rpc('experience_facet_counts', {
+      p_q: filters.searchText || null,
+      p_filters: buildFacetFilters(filters)
+    });
+
+    if (error) throw error;
+    if (token !== facetToken) return; // options changed again while this was running
+
+    // facet -> value -> hits (options that aren't listed have 0)
+    const counts = {};
+    (data || []).forEach((row) => {
+      counts[row.facet] = counts[row.facet] || new Map();
+      counts[row.facet].set(String(row.value), row.hits);
+    });
+
+    renderFacetCounts(counts, filters);
+  } catch (err) {
+    // Counts are a helper, the results themselves are already on screen
+    console.warn('Could not load facet counts:', err);
+  }
+}
+
+// Recount using whatever is currently ticked (even if Apply hasn't been pressed yet).
+// Debounced so quick ticking sends one request.
+function updateFacetCounts() {
+  clearTimeout(facetTimer);
+  facetTimer = setTimeout(refreshFacetCounts, 250);
+}
+
+// The current filters in the shape experience_facet_counts() expects. The duration
+// buckets, price quick picks and suitability keys are sent along, so they stay
+// defined in lib/experienceFilters.js only.
+function buildFacetFilters(filters) {
+  const bucket = (d) => ({ key: d.key, min: d.minMinutes, max: d.maxMinutes });
+  const durations = normaliseDurationKeys(filters.durations);
+  const { priceMin, priceMax } = normalisePriceRange(filters.priceRange);
+
+  return {
+    categories: filters.categoryIds,
+    counties: filters.counties,
+    durations: DURATION_RANGES.filter((d) => durations.includes(d.key)).map(bucket),
+    duration_options: DURATION_RANGES.map(bucket),
+    price_min: priceMin,
+    price_max: priceMax,
+    price_presets: PRICE_PRESETS.map((p) => ({ key: p.key, min: p.priceMin, max: p.priceMax })),
+    date: filters.date || null,
+    suitability: normaliseSuitabilityKeys(filters.suitability),
+    suitability_options: SUITABILITY_OPTIONS.map((o) => o.key),
+    fitness: normaliseFitnessKeys(filters.fitness),
+    languages: normaliseLanguageCodes(filters.languages),
+    group_size: filters.groupSize,
+    youngest_age: filters.youngestAge
+  };
+}
+
+function renderFacetCounts(counts, { date, groupSize, youngestAge }) {
+  const countFor = (facet) => (value) => counts[facet]?.get(String(value)) || 0;
+  const matches = countFor('all')('matches');
+
+  setOptionCounts('categoryOptions', countFor('category'));
+  setOptionCounts('countyOptions', countFor('county'));
+  setOptionCounts('durationOptions', countFor('duration'));
+  setOptionCounts('suitabilityOptions', countFor('suitability'));
+  setOptionCounts('fitnessOptions', countFor('fitness'));
+  setOptionCounts('languageOptions', countFor('language'));
+  setPriceCounts(countFor('price'), matches);
+
+  const dateFilterCount = document.getElementById('dateFilterCount');
+  if (dateFilterCount) dateFilterCount.textContent = date ? `(${matches})` : '';
+
+  const whoFilterCount = document.getElementById('whoFilterCount');
+  const askedWho = groupSize !== null || youngestAge !== null;
+  if (whoFilterCount) whoFilterCount.textContent = askedWho ? `(${matches})` : '';
+}
+
+// Writes "(n)" next to each checkbox and greys out options that would give 0 results.
+// Ticked options stay enabled so they can always be unticked.
+function setOptionCounts(containerId, countFor) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.querySelectorAll('.filter-option').forEach((label) => {
+    const input = label.querySelector('input');
+    if (!input) return;
+
+    const count = countFor(input.value);
+    let badge = label.querySelector('.facet-count');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'facet-count';
+      label.appendChild(badge);
+    }
+
+    badge.textContent = `(${count})`;
+    input.disabled = count === 0 && !input.checked;
+    label.classList.toggle('is-empty', input.disabled);
+  });
+}
+
+// Same idea for the price range: "(n)" on each quick pick chip and next to the
+// summary for the range currently set on the sliders / inputs
+function setPriceCounts(presetCount, matches) {
+  const priceRangeCount = document.getElementById('priceRangeCount');
+  if (priceRangeCount) priceRangeCount.textContent = `(${matches})`;
+
+  document.querySelectorAll('#priceRange [data-preset]').forEach((btn) => {
+    const preset = PRICE_PRESETS.find((p) => p.key === btn.dataset.preset);
+    if (!preset) return;
+
+    const count = presetCount(preset.key);
+    let badge = btn.querySelector('.facet-count');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'facet-count';
+      btn.appendChild(badge);
+    }
+
+    badge.textContent = ` (${count})`;
+    btn.disabled = count === 0 && !btn.classList.contains('active');
+  });
+}
+
+// =============================
+// Pagination helpers
+// =============================
+function hasMorePages() {
+  return currentPage * PAGE_SIZE < totalCount;
+}
+
+// "Showing 12 of 40 experiences"
+function updateResultsMeta() {
+  const resultsMeta = document.getElementById('resultsMeta');
+  if (!resultsMeta) return;
+
+  if (!totalCount) {
+    resultsMeta.textContent = tCount('results.found', 0);
+    return;
+  }
+
+  const shown = Math.min(currentPage * PAGE_SIZE, totalCount);
+  resultsMeta.textContent = shown < totalCount
+    ? t('results.showing', { shown, total: totalCount })
+    : tCount('results.found', totalCount);
+}
+
+// Show/hide the load more button depending on whether there is anything left to fetch
+function updateLoadMoreUI() {
+  const loadMoreWrap = document.getElementById('loadMoreWrap');
+  const btnLoadMore = document.getElementById('btnLoadMore');
+  if (!loadMoreWrap || !btnLoadMore) return;
+
+  loadMoreWrap.classList.toggle('hidden', !activeSearch || !hasMorePages());
+  btnLoadMore.disabled = isLoadingPage;
+  btnLoadMore.textContent = isLoadingPage ? t('results.loadingShort') : t('results.loadMore');
+}
+
+// Watch the sentinel under the grid and load the next page as it scrolls into view
+function setupInfiniteScroll() {
+  const sentinel = document.getElementById('scrollSentinel');
+  if (!sentinel || !('IntersectionObserver' in window)) return; // button still works
+
+  pageObserver = new IntersectionObserver((entries) => {
+    if (entries.some((entry) => entry.isIntersecting)) loadMoreExperiences();
+  }, { rootMargin: '400px 0px' });
+
+  pageObserver.observe(sentinel);
+}
+
+// Read ?page= from the URL (defaults to 1, ignores junk values)
+function getPageFromURL() {
+  const page = parseInt(new URLSearchParams(window.location.search).get('page') || '1', 10);
+  return Number.isFinite(page) && page > 0 ? page : 1;
+}
+
+// Rebuild the query string from the filters that produced the results on screen
+// (same format the landing page / Finder links use), plus ?page= so back-navigation
+// from a detail page lands on the same page of results.
+// ?src= isn't a filter, it's carried over untouched for tracking.
+function syncURLWithFilters(filters, page, historyMode = 'push') {
+  if (historyMode === 'none') return;
+
+  const params = buildExploreParams({
+    q: filters.searchText,
+    categoryIds: filters.categoryIds,
+    counties: filters.counties,
+    priceRange: filters.priceRange,
+    durations: filters.durations,
+    date: filters.date,
+    suitability: filters.suitability,
+    fitness: filters.fitness,
+    languages: filters.languages,
+    groupSize: filters.groupSize,
+    youngestAge: filters.youngestAge,
+    sort: filters.sort,
+    src: new URLSearchParams(window.location.search).get('src') || ''
+  });
+  if (page > 1) params.set('page', String(page));
+
+  // Commas are fine in a query string and keep shared links readable (county=Cork,Kerry)
+  const query = params.toString().replace(/%2C/gi, ',');
+  const search = query ? `?${query}` : '';
+  if (search === window.location.search) return; // e.g. Apply pressed twice, no new entry
+
+  const url = `${window.location.pathname}${search}`;
+  if (historyMode === 'replace') history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+
+// =============================
+// Scroll position (back-navigation)
+// =============================
+// Keyed on the full query string so each filtered view remembers its own position
+function scrollStorageKey() {
+  return `explore_scroll:${window.location.search}`;
+}
+
+function saveScrollPosition() {
+  try {
+    sessionStorage.setItem(scrollStorageKey(), String(window.scrollY));
+  } catch {
+    // sessionStorage can be blocked (private mode), scroll restore is just a nice-to-have
+  }
+}
+
+function restoreScrollPosition() {
+  let saved = null;
+  try {
+    saved = sessionStorage.getItem(scrollStorageKey());
+    sessionStorage.removeItem(scrollStorageKey());
+  } catch {
+    return;
+  }
+
+  const y = Number(saved);
+  if (saved !== null && Number.isFinite(y)) window.scrollTo(0, y);
+}
+
 // =============================
 // Render experiences into the results grid
 // =============================
 // Converts the experiences array into HTML cards and injects into #experiencesGrid.
-function renderExperiences(experiences) {
+// With { append: true } the cards are added after the ones already shown (load more).
+function renderExperiences(experiences, { append = false } = {}) {
   const experiencesGrid = document.getElementById('experiencesGrid');
   if (!experiencesGrid) return;
 
   // If there are no results, show a friendly message
   if (!experiences || !experiences.length) {
-    experiencesGrid.innerHTML = '<div class="no-results">No experiences found</div>';
+    if (!append) experiencesGrid.innerHTML = `<div class="no-results">${escapeHtml(t('results.none'))}</div>`;
     return;
   }
 
+  // Search text the cards were fetched with (used to highlight matched words)
+  const searchText = activeSearch?.filters?.searchText || '';
+
   // Build all cards as one HTML string (map + join avoids commas)
-  experiencesGrid.innerHTML = experiences
-    .map((exp) => {
+  const cardsHtml = experiences
+    .map((row) => {
+      // Title + description in the site language where the business has translated them (lib/i18n.js)
+      const exp = localizeExperience(row);
+
       // Pick primary image if available, else use a placeholder
       const imgUrl = getPrimaryImageUrl(exp) || 'https://via.placeholder.com/300x200';
 
       // Escape text to prevent broken HTML / XSS issues
       const title = escapeHtml(exp.title || 'Experience');
       const county = escapeHtml(exp.county || 'Ireland');
-      const desc = escapeHtml((exp.event_description || '').slice(0, 110));
+      const desc = escapeHtml(makeSnippet(exp.event_description, searchText, 110));
       const businessName = escapeHtml(exp.business?.business_name || '');
-      const fromPrice = formatEuro(exp.min_price);
+      const fromPrice = formatExperiencePrice(exp, { range: false });
+      const duration = formatDuration(exp.duration_minutes);
+      const rating = formatRating(exp.avg_rating, exp.review_count);
 
       return `
         <div class="experience-card" data-id="${exp.experience_id}">
@@ -388,25 +1012,35 @@ function renderExperiences(experiences) {
             loading="lazy"
           />
           <div class="experience-card-body">
-            <h3>${title}</h3>
-            <p class="location">${county} • From ${fromPrice}</p>
-            <p class="description">${desc}${desc.length ? '...' : ''}</p>
-            <p class="business">${businessName}</p>
+            <h3>${highlightMatches(title, searchText)}</h3>
+            <p class="location">${county} • ${escapeHtml(fromPrice ? t('card.from', { price: fromPrice }) : t('card.priceTbd'))}${duration ? ` • ${duration}` : ''}</p>
+            <p class="description">${highlightMatches(desc, searchText)}${desc.length ? '...' : ''}</p>
+            <p class="business">${highlightMatches(businessName, searchText)}</p>
+            ${rating ? `<p class="rating">${rating}</p>` : ''}
+            <button type="button" class="compare-toggle" data-compare-id="${exp.experience_id}" data-compare-title="${title}"></button>
           </div>
         </div>
       `;
     })
     .join('');
 
-  // Add click listeners to each card (keeps HTML clean: no inline onclick)
-  experiencesGrid.querySelectorAll('.experience-card').forEach((card) => {
+  if (append) experiencesGrid.insertAdjacentHTML('beforeend', cardsHtml);
+  else experiencesGrid.innerHTML = cardsHtml;
+
+  // Add click listeners to each new card (keeps HTML clean: no inline onclick)
+  experiencesGrid.querySelectorAll('.experience-card:not([data-bound])').forEach((card) => {
+    card.dataset.bound = 'true';
     card.addEventListener('click', () => {
       const id = card.getAttribute('data-id');
       if (id) {
+        // Remember where we were so the back button returns to this card
+        saveScrollPosition();
         window.location.href = `detailed_experience.html?id=${encodeURIComponent(id)}`;
       }
     });
   });
+
+  bindCompareToggles(experiencesGrid);
 }
 
 // =============================
@@ -418,11 +1052,48 @@ function getPrimaryImageUrl(exp) {
   const primary = imgs.find((i) => i.is_primary) || imgs[0]; // try to find the one marked primary
   return primary?.image_url || ''; // return its URL or empty string
 }
-//Format euro sign and round
-function formatEuro(value) {
-  const n = Number(value);
-  if (!Number.isFinite(n)) return '€0';
-  return `€${n.toFixed(0)}`;
+
+// =============================
+// Search highlighting
+// =============================
+// Split the search box into words worth highlighting ("the" and single letters are skipped)
+function getSearchTerms(searchText) {
+  const words = String(searchText || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter((w) => w.length >= 3))];
+}
+
+// Wraps matched words in <mark>. Expects text that is ALREADY escaped.
+// Longer terms match on their first few letters so stems and typos still light up
+// (e.g. "kayack" highlights "kayaking", the same way the search itself matched it).
+function highlightMatches(escapedText, searchText) {
+  const terms = getSearchTerms(searchText);
+  if (!escapedText || !terms.length) return escapedText;
+
+  const patterns = terms.map((term) => {
+    const stem = term.length >= 5 ? term.slice(0, Math.max(4, term.length - 2)) : term;
+    return stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  // Lookbehind skips matches in the middle of a word and inside entities like &amp;
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}&#])((?:${patterns.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+  return escapedText.replace(regex, '<mark>$1</mark>');
+}
+
+// Short description for a card. When searching, start near the first matched word
+// so the highlight is actually visible in the snippet.
+function makeSnippet(text, searchText, maxLength) {
+  const raw = String(text || '');
+  const lower = raw.toLowerCase();
+
+  const firstHit = getSearchTerms(searchText)
+    .map((term) => lower.indexOf(term.slice(0, 4)))
+    .filter((i) => i >= 0)
+    .sort((a, b) => a - b)[0];
+
+  if (firstHit === undefined || firstHit < maxLength - 30) return raw.slice(0, maxLength);
+
+  const start = raw.lastIndexOf(' ', Math.max(0, firstHit - 30)) + 1;
+  return `…${raw.slice(start, start + maxLength)}`;
 }
 
 // Minimal HTML escape to avoid broken markup when titles/descriptions contain symbols
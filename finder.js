@@ -1,72 +1,152 @@
 // finder.js
-// Simple interactive filtering: answers -> filters -> live matches
+// Interactive filtering: answers -> filters -> scored + ranked live matches
+// Step-by-step quiz (or all questions at once) ending in a shareable results view
 
 // ---------------------------
 // Finder state (store selections here)
 // ---------------------------
 const state = {
-  recipient: '',   // partner/friend/family/etc not used for filtering yet, just UX
-  occasion: '',    // birthday/anniversary/etc not used for filtering yet, just UX
-  type: '',        // maps to category_id for filtering
+  answers: {},     // question_id -> [answer_id, ...] for the chip questions in finderConfig
   county: '',
-  budget: ''
+  priceRange: normalisePriceRange(),   // { priceMin, priceMax }, shared with Explore (lib/experienceFilters.js)
+  durations: [],   // DURATION_RANGES keys, several can be picked
+  suitability: [], // SUITABILITY_OPTIONS keys, all of them have to hold
+  fitness: [],     // FITNESS_LEVELS keys, any of them
+  languages: [],   // EXPERIENCE_LANGUAGES codes, any of them
+  groupSize: null, // people going, null = not asked
+  youngestAge: null, // youngest person's age, null = not asked
+  sort: 'relevance'   // "Best match" = match score, or any Explore sort mode (lib/experienceFilters.js)
 };
 
 // ---------------------------
-// Options
-// ---------------------------
-const RECIPIENTS = ['Partner', 'Family member', 'Friend', 'Colleague', 'Other'];
-const OCCASIONS = ['Birthday', 'Anniversary', 'Thank you', 'Valentines', 'Just because'];
-const TYPES = [
-  { label: 'Food & drink', key: 'food' },
-  { label: 'Outdoors', key: 'outdoors' },
-  { label: 'Wellness', key: 'wellness' },
-  { label: 'Adventure', key: 'adventure' },
-  { label: 'Arts & creativity', key: 'arts' }
-];
-
-// IMPORTANT:
-// Category types linking to supabase
-const TYPE_TO_CATEGORY_ID = {
-  food:      'b97c14aa-cd1e-4f9d-8670-6d7cb0ab5cd4',
-  outdoors:  '50f6b39a-2399-43fa-a661-b85930e8f1d3',
-  wellness:  'da794edb-3c5b-4f8b-aae6-29b22454fc6e',
-  adventure: 'cd35ad00-dad3-4bb6-b0a9-c9709a74df4d',
-  arts:      'f9a0e772-bbfd-4292-9ba4-a4f857b18135'
+// Finder configuration (from Supabase, edited in the admin dashboard)
+// ---------------------------
+// Questions + answer chips come from finder_question / finder_answer / finder_answer_weight
+// (sql/finder_config.sql). Each question is
+//   { question_id, prompt, kind, multiple, score_weight, show_if_answer_id, answers: [{ answer_id, label, reason, category_id, weights }] }
+//   kind 'category' -> picked answers filter by their category_id
+//   kind 'score'    -> picked answers feed the match score: weights = { category_id: 0..1 }
+//   show_if_answer_id -> only asked once that answer is picked (branching)
+let finderConfig = [];
+
+// ---------------------------
+// Quiz + results view
+// ---------------------------
+let finderMode = 'quiz';  // 'quiz' = one question card at a time, 'all' = every card on the page
+let quizStep = 0;         // index into the visible question cards
+let matchToken = 0;       // bumped per match refresh, answers that arrive for an older one are dropped
+
+const FINDER_RESULT_COUNT = 6; // matches on the results view
+
+// ---------------------------
+// Match scoring
+// ---------------------------
+// How much each built-in part of the score counts. Score questions use their own
+// score_weight. Only answered questions take part, popularity always does
+// (so with no answers the most popular come first).
+const FINDER_WEIGHTS = {
+  category: 2,
+  county: 2,
+  budget: 2,
+  popularity: 1
 };
 
+const FINDER_DEFAULT_AFFINITY = 0.3; // category with no weight set for a score answer
+const FINDER_POOL_SIZE = 200;  // most viewed candidates scored for "Best match" (score columns only)
+const FINDER_MATCH_COUNT = 3;  // shown in the live panel (FINDER_RESULT_COUNT on the results view)
+
+// ---------------------------
+// Close matches (filter relaxation)
+// ---------------------------
+// When nothing matches exactly, the filters are loosened one step at a time
+// (see relaxationSteps) so the panel never ends up empty.
+// Counties that share a border, for "nearby" (Republic of Ireland only).
+const NEIGHBOURING_COUNTIES = {
+  Carlow: ['Kildare', 'Wicklow', 'Wexford', 'Kilkenny', 'Laois'],
+  Cavan: ['Leitrim', 'Longford', 'Westmeath', 'Meath', 'Monaghan'],
+  Clare: ['Galway', 'Tipperary', 'Limerick'],
+  Cork: ['Kerry', 'Limerick', 'Tipperary', 'Waterford'],
+  Donegal: ['Leitrim'],
+  Dublin: ['Meath', 'Kildare', 'Wicklow'],
+  Galway: ['Mayo', 'Roscommon', 'Offaly', 'Tipperary', 'Clare'],
+  Kerry: ['Cork', 'Limerick'],
+  Kildare: ['Dublin', 'Meath', 'Offaly', 'Laois', 'Carlow', 'Wicklow'],
+  Kilkenny: ['Carlow', 'Laois', 'Tipperary', 'Waterford', 'Wexford'],
+  Laois: ['Offaly', 'Kildare', 'Carlow', 'Kilkenny', 'Tipperary'],
+  Leitrim: ['Donegal', 'Sligo', 'Roscommon', 'Longford', 'Cavan'],
+  Limerick: ['Clare', 'Tipperary', 'Cork', 'Kerry'],
+  Longford: ['Leitrim', 'Roscommon', 'Westmeath', 'Cavan'],
+  Louth: ['Meath', 'Monaghan'],
+  Mayo: ['Sligo', 'Roscommon', 'Galway'],
+  Meath: ['Louth', 'Monaghan', 'Cavan', 'Westmeath', 'Offaly', 'Kildare', 'Dublin'],
+  Monaghan: ['Cavan', 'Meath', 'Louth'],
+  Offaly: ['Westmeath', 'Meath', 'Kildare', 'Laois', 'Tipperary', 'Galway', 'Roscommon'],
+  Roscommon: ['Sligo', 'Leitrim', 'Longford', 'Westmeath', 'Offaly', 'Galway', 'Mayo'],
+  Sligo: ['Mayo', 'Roscommon', 'Leitrim'],
+  Tipperary: ['Galway', 'Offaly', 'Laois', 'Kilkenny', 'Waterford', 'Cork', 'Limerick', 'Clare'],
+  Waterford: ['Cork', 'Tipperary', 'Kilkenny', 'Wexford'],
+  Westmeath: ['Longford', 'Cavan', 'Meath', 'Offaly', 'Roscommon'],
+  Wexford: ['Wicklow', 'Carlow', 'Kilkenny', 'Waterford'],
+  Wicklow: ['Dublin', 'Kildare', 'Carlow', 'Wexford']
+};
+
+const FINDER_NEARBY_COUNTY_FIT = 0.6; // county factor for a neighbouring county
+
+let finderCounties = []; // county_id values from the county table (filled by loadCountyOptions)
+
 // ---------------------------
 // DOM Ready
 // ---------------------------
 document.addEventListener('DOMContentLoaded', async () => {
+  // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+  await initSiteLanguage();
+
   // Basic nav state
   await updateNavForAuthState();
   bindNavEvents();
 
-  // Build chip UI
-  renderChipRow('recipientChips', RECIPIENTS, (value) => {
-    state.recipient = value;
+  // Compare tray along the bottom of the page (filled from the match card toggles)
+  initCompareTray();
+
+  // Chip questions are whatever the admins have configured
+  finderConfig = await loadFinderConfig();
+  renderFinderQuestions();
+
+  // Time available: chips show the labels, state keeps the DURATION_RANGES keys
+  renderChipRow('durationChips', DURATION_RANGES.map(d => d.label), (labels) => {
+    state.durations = DURATION_RANGES.filter(d => labels.includes(d.label)).map(d => d.key);
     refreshMatches();
-  });
+  }, { multiple: true });
 
-  renderChipRow('occasionChips', OCCASIONS, (value) => {
-    state.occasion = value;
+  // Needs + fitness: same idea, chips show labels, state keeps the keys
+  renderChipRow('suitabilityChips', SUITABILITY_OPTIONS.map(s => s.label), (labels) => {
+    state.suitability = SUITABILITY_OPTIONS.filter(s => labels.includes(s.label)).map(s => s.key);
     refreshMatches();
-  });
+  }, { multiple: true });
 
-  renderChipRow('typeChips', TYPES.map(t => t.label), (value) => {
-    state.type = value;
+  renderChipRow('fitnessChips', FITNESS_LEVELS.map(f => f.label), (labels) => {
+    state.fitness = FITNESS_LEVELS.filter(f => labels.includes(f.label)).map(f => f.key);
     refreshMatches();
-  });
+  }, { multiple: true });
+
+  renderChipRow('languageChips', EXPERIENCE_LANGUAGES.map(l => l.label), (labels) => {
+    state.languages = EXPERIENCE_LANGUAGES.filter(l => labels.includes(l.label)).map(l => l.code);
+    refreshMatches();
+  }, { multiple: true });
 
   // Load counties into dropdown
   await loadCountyOptions();
 
   // Bind dropdowns + buttons
   bindFinderEvents();
+  bindQuizEvents();
+  bindResultsEvents();
 
-  // First refresh (optional)
-  refreshMatches();
+  // Back/forward between the questions and the results view
+  window.addEventListener('popstate', showViewFromURL);
+
+  // A shared / revisited results link opens straight on the results
+  showViewFromURL();
 });
 
 // ---------------------------
@@ -121,10 +201,142 @@ function bindNavEvents() {
 }
 
 
+// ---------------------------
+// Finder config: load + render chip questions
+// ---------------------------
+async function loadFinderConfig() {
+  try {
+    const [questionsRes, answersRes, weightsRes] = await Promise.all([
+      supabaseClient
+        .from('finder_question')
+        .select('question_id, prompt, kind, multiple, score_weight, show_if_answer_id, role')
+        .eq('is_active', true)
+        .order('sort_order'),
+      supabaseClient
+        .from('finder_answer')
+        .select('answer_id, question_id, label, reason, category_id')
+        .eq('is_active', true)
+        .order('sort_order'),
+      supabaseClient
+        .from('finder_answer_weight')
+        .select('answer_id, category_id, weight')
+    ]);
+
+    [questionsRes, answersRes, weightsRes].forEach(({ error }) => {
+      if (error) throw error;
+    });
+
+    const answers = answersRes.data || [];
+    const weights = weightsRes.data || [];
+
+    return (questionsRes.data || []).map(q => ({
+      ...q,
+      score_weight: Number(q.score_weight) || 0,
+      answers: answers
+        .filter(a => a.question_id === q.question_id)
+        .map(a => ({
+          ...a,
+          weights: Object.fromEntries(weights
+            .filter(w => w.answer_id === a.answer_id)
+            .map(w => [w.category_id, Number(w.weight)]))
+        }))
+    })).filter(q => q.answers.length);
+  } catch (err) {
+    console.error('Failed to load Finder config:', err);
+    return [];
+  }
+}
+
+// One question card per configured question, above the county / budget / time cards
+function renderFinderQuestions() {
+  const container = document.getElementById('finderQuestions');
+  if (!container) return;
+
+  if (!finderConfig.length) {
+    container.innerHTML = `<div class="no-results">${escapeHtml(t('finder.notSetUp'))}</div>`;
+  } else {
+    container.innerHTML = finderConfig.map(q => `
+      <div class="question-card" data-question-id="${escapeHtml(q.question_id)}">
+        <div class="question-top">
+          <span class="question-kicker" data-kicker=""></span>
+        </div>
+        <p class="finder-label">
+          ${escapeHtml(q.prompt)}
+          ${q.multiple ? `<span class="muted">${escapeHtml(t('finder.pickMany'))}</span>` : ''}
+        </p>
+        <div class="chip-row" id="finderChips-${escapeHtml(q.question_id)}"></div>
+      </div>
+    `).join('');
+
+    finderConfig.forEach((q) => {
+      // Chips show labels, state keeps answer ids (labels are unique per question)
+      const toIds = (labels) => q.answers.filter(a => labels.includes(a.label)).map(a => a.answer_id);
+
+      renderChipRow(`finderChips-${q.question_id}`, q.answers.map(a => a.label), (value) => {
+        state.answers[q.question_id] = toIds(Array.isArray(value) ? value : [value]);
+        applyBranching();
+        refreshMatches();
+      }, { multiple: q.multiple });
+    });
+  }
+
+  applyBranching();
+}
+
+// "Question 1", "Question 2"... across the configured and the fixed cards the user can see.
+// data-kicker holds the UI string key of the fixed part after the number ("Budget").
+function numberQuestionCards() {
+  document.querySelectorAll('.question-card:not(.branch-hidden) .question-kicker[data-kicker]').forEach((el, i) => {
+    const number = t('finder.question', { number: i + 1 });
+    el.textContent = el.dataset.kicker ? `${number} ${t(el.dataset.kicker)}` : number;
+  });
+}
+
+// Shows only the questions whose show_if answer is picked. A hidden question
+// loses its answers so they stop counting. Loops because hiding one question
+// can hide another that depended on it.
+function applyBranching() {
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+
+    finderConfig.forEach((q) => {
+      if (isQuestionAsked(q) || !(state.answers[q.question_id] || []).length) return;
+      delete state.answers[q.question_id];
+      changed = true;
+    });
+  }
+
+  finderConfig.forEach((q) => {
+    const card = document.querySelector(`.question-card[data-question-id="${CSS.escape(q.question_id)}"]`);
+    if (!card) return;
+
+    const asked = isQuestionAsked(q);
+    card.classList.toggle('branch-hidden', !asked);
+    if (!asked) card.querySelectorAll('.chip.active').forEach(c => c.classList.remove('active'));
+  });
+
+  numberQuestionCards();
+  renderQuizStep();
+}
+
+function isQuestionAsked(question) {
+  if (!question.show_if_answer_id) return true;
+  return Object.values(state.answers).some(ids => ids.includes(question.show_if_answer_id));
+}
+
+// Picked answers for a question (full answer objects)
+function pickedAnswers(question) {
+  const ids = state.answers[question.question_id] || [];
+  return question.answers.filter(a => ids.includes(a.answer_id));
+}
+
 // ---------------------------
 // UI building blocks
 // ---------------------------
-function renderChipRow(containerId, values, onPick) {
+// With { multiple: true } each chip toggles on its own and onPick gets the array of active labels
+function renderChipRow(containerId, values, onPick, { multiple = false } = {}) {
   const el = document.getElementById(containerId);
   if (!el) return;
 
@@ -137,6 +349,13 @@ function renderChipRow(containerId, values, onPick) {
     btn.textContent = v;
 
     btn.addEventListener('click', () => {
+      if (multiple) {
+        btn.classList.toggle('active');
+        const active = [...el.querySelectorAll('.chip.active')].map(c => c.textContent);
+        onPick(active);
+        return;
+      }
+
       // Toggle behaviour: clicking the same chip unselects it
       const isActive = btn.classList.contains('active');
       el.querySelectorAll('.chip').forEach(c => c.classList.remove('active'));
@@ -165,6 +384,8 @@ async function loadCountyOptions() {
 
     if (error) throw error;
 
+    finderCounties = (data || []).map(c => c.county_id);
+
     (data || []).forEach((c) => {
       const opt = document.createElement('option');
       opt.value = c.county_id;
@@ -176,20 +397,45 @@ async function loadCountyOptions() {
   }
 }
 
+// Price range control ({ get, set }) + a short delay so dragging a slider
+// doesn't fire a query for every step
+let priceControl = null;
+let priceRefreshTimer = null;
+let whoRefreshTimer = null;
+
 function bindFinderEvents() {
   const countySelect = document.getElementById('countySelect');
-  const budgetSelect = document.getElementById('budgetSelect');
+  const sortSelect = document.getElementById('sortSelect');
+
+  // hasSearch = true so "Best match" (the match score) is offered here
+  fillSortSelect(sortSelect, state.sort, true);
 
   countySelect?.addEventListener('change', () => {
     state.county = countySelect.value || '';
     refreshMatches();
   });
 
-  budgetSelect?.addEventListener('change', () => {
-    state.budget = budgetSelect.value || '';
+  priceControl = initPriceRangeControl(document.getElementById('priceRange'), (range) => {
+    state.priceRange = range;
+    clearTimeout(priceRefreshTimer);
+    priceRefreshTimer = setTimeout(refreshMatches, 250);
+  });
+
+  sortSelect?.addEventListener('change', () => {
+    state.sort = normaliseSortKey(sortSelect.value, true);
     refreshMatches();
   });
 
+  // Who's coming: typed numbers, so wait for a pause like the price control
+  const groupSizeInput = document.getElementById('groupSizeInput');
+  const youngestAgeInput = document.getElementById('youngestAgeInput');
+  [groupSizeInput, youngestAgeInput].forEach(input => input?.addEventListener('input', () => {
+    state.groupSize = normaliseGroupSize(groupSizeInput?.value);
+    state.youngestAge = normaliseYoungestAge(youngestAgeInput?.value);
+    clearTimeout(whoRefreshTimer);
+    whoRefreshTimer = setTimeout(refreshMatches, 250);
+  }));
+
   document.getElementById('btnReset')?.addEventListener('click', () => {
     resetFinder();
     refreshMatches();
@@ -198,46 +444,309 @@ function bindFinderEvents() {
   document.getElementById('btnSeeMatches')?.addEventListener('click', () => {
     goToExperiencesWithFinderFilters();
   });
+
+  document.getElementById('btnShowResults')?.addEventListener('click', openResults);
+}
+
+// ---------------------------
+// Quiz: one question card at a time
+// ---------------------------
+function bindQuizEvents() {
+  document.querySelectorAll('.finder-mode [data-mode]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      finderMode = btn.dataset.mode;
+      document.querySelectorAll('.finder-mode [data-mode]').forEach(b => b.classList.toggle('active', b === btn));
+      renderQuizStep();
+    });
+  });
+
+  document.getElementById('btnQuizBack')?.addEventListener('click', () => {
+    quizStep -= 1;
+    renderQuizStep();
+  });
+
+  document.getElementById('btnQuizNext')?.addEventListener('click', () => {
+    if (quizStep >= visibleQuestionCards().length - 1) {
+      openResults();
+      return;
+    }
+    quizStep += 1;
+    renderQuizStep();
+  });
+}
+
+function visibleQuestionCards() {
+  return [...document.querySelectorAll('#finderSteps .question-card:not(.branch-hidden)')];
+}
+
+// Shows the current step + progress in quiz mode, everything in "all" mode.
+// Re-run whenever branching changes which cards are visible.
+function renderQuizStep() {
+  const panel = document.getElementById('finderPanel');
+  const cards = visibleQuestionCards();
+  const isQuiz = finderMode === 'quiz';
+
+  panel?.classList.toggle('is-quiz', isQuiz);
+  quizStep = Math.max(0, Math.min(quizStep, cards.length - 1));
+
+  document.querySelectorAll('#finderSteps .question-card').forEach((card) => {
+    card.classList.toggle('quiz-hidden', isQuiz && card !== cards[quizStep]);
+  });
+
+  const total = cards.length;
+  const fill = document.getElementById('quizProgressFill');
+  const text = document.getElementById('quizProgressText');
+  if (fill) fill.style.width = total ? `${((quizStep + 1) / total) * 100}%` : '0%';
+  if (text) text.textContent = total ? t('finder.questionOf', { number: quizStep + 1, total }) : '';
+
+  const back = document.getElementById('btnQuizBack');
+  const next = document.getElementById('btnQuizNext');
+  if (back) back.disabled = quizStep === 0;
+  if (next) next.textContent = quizStep >= total - 1 ? t('finder.seeResults') : t('finder.next');
 }
 
 function resetFinder() {
-  state.recipient = '';
-  state.occasion = '';
-  state.type = '';
+  state.answers = {};
   state.county = '';
-  state.budget = '';
-
-  // Clear dropdowns
+  state.priceRange = normalisePriceRange();
+  state.durations = [];
+  state.suitability = [];
+  state.fitness = [];
+  state.languages = [];
+  state.groupSize = null;
+  state.youngestAge = null;
+  state.sort = 'relevance';
+
+  // Clear dropdowns + number inputs
   const countySelect = document.getElementById('countySelect');
-  const budgetSelect = document.getElementById('budgetSelect');
+  const sortSelect = document.getElementById('sortSelect');
   if (countySelect) countySelect.value = '';
-  if (budgetSelect) budgetSelect.value = '';
+  setInputValue('groupSizeInput', '');
+  setInputValue('youngestAgeInput', '');
+  priceControl?.set(state.priceRange);
+  if (sortSelect) sortSelect.value = state.sort;
 
-  // Clear chip highlights
-  document.querySelectorAll('.chip-row').forEach(row => {
+  // Clear chip highlights (not the step by step / all questions switch)
+  document.querySelectorAll('.chip-row:not(.finder-mode)').forEach(row => {
     row.querySelectorAll('.chip').forEach(c => c.classList.remove('active'));
   });
+
+  quizStep = 0;
+  applyBranching();
+}
+
+// ---------------------------
+// Results view + its URL
+// ---------------------------
+// finder.html?view=results&recipient=Colleague&group_size=The+whole+team&type=Outdoors,Wellness
+//   &county=Cork&price_max=100&duration=half_day&suitable=wheelchair&fitness=easy&language=ga
+//   &group=4&age=8&sort=price_asc
+// Chip questions use their question_id and answer labels (labels are unique per question),
+// county / price / duration / needs / fitness / language / who's coming use the same params as Explore.
+function buildFinderParams() {
+  const filters = buildFiltersFromState();
+  const params = new URLSearchParams({ view: 'results' });
+
+  finderConfig.forEach((q) => {
+    const labels = pickedAnswers(q).map(a => a.label);
+    if (labels.length) params.set(q.question_id, encodeListParam(labels));
+  });
+
+  buildExploreParams({
+    counties: filters.counties,
+    priceRange: filters.priceRange,
+    durations: filters.durations,
+    suitability: filters.suitability,
+    fitness: filters.fitness,
+    languages: filters.languages,
+    groupSize: filters.groupSize,
+    youngestAge: filters.youngestAge
+  }).forEach((value, key) => params.set(key, value));
+
+  if (filters.sort !== 'relevance') params.set('sort', filters.sort);
+
+  return params;
+}
+
+// Reverse of buildFinderParams: URL -> state -> inputs. Unknown labels are ignored.
+function applyFinderParams(params) {
+  state.answers = {};
+
+  finderConfig.forEach((q) => {
+    const labels = decodeListParam(params.get(q.question_id));
+    const ids = q.answers.filter(a => labels.includes(a.label)).map(a => a.answer_id);
+    if (ids.length) state.answers[q.question_id] = q.multiple ? ids : ids.slice(0, 1);
+  });
+
+  const county = params.get('county') || '';
+  state.county = finderCounties.includes(county) ? county : '';
+  state.priceRange = readPriceRangeFromParams(params);
+  state.durations = normaliseDurationKeys(decodeListParam(params.get('duration')));
+  state.suitability = normaliseSuitabilityKeys(decodeListParam(params.get('suitable')));
+  state.fitness = normaliseFitnessKeys(decodeListParam(params.get('fitness')));
+  state.languages = normaliseLanguageCodes(decodeListParam(params.get('language')));
+  state.groupSize = normaliseGroupSize(params.get('group'));
+  state.youngestAge = normaliseYoungestAge(params.get('age'));
+  state.sort = normaliseSortKey(params.get('sort') || 'relevance', true);
+
+  syncInputsFromState();
+}
+
+// Puts the chips / dropdowns / price control back in line with state
+function syncInputsFromState() {
+  finderConfig.forEach((q) => {
+    const labels = pickedAnswers(q).map(a => a.label);
+    document.querySelectorAll(`#finderChips-${CSS.escape(q.question_id)} .chip`).forEach((c) => {
+      c.classList.toggle('active', labels.includes(c.textContent));
+    });
+  });
+
+  const durationLabels = DURATION_RANGES.filter(d => state.durations.includes(d.key)).map(d => d.label);
+  document.querySelectorAll('#durationChips .chip').forEach((c) => {
+    c.classList.toggle('active', durationLabels.includes(c.textContent));
+  });
+
+  const suitabilityLabels = SUITABILITY_OPTIONS.filter(s => state.suitability.includes(s.key)).map(s => s.label);
+  document.querySelectorAll('#suitabilityChips .chip').forEach((c) => {
+    c.classList.toggle('active', suitabilityLabels.includes(c.textContent));
+  });
+
+  const fitnessLabels = FITNESS_LEVELS.filter(f => state.fitness.includes(f.key)).map(f => f.label);
+  document.querySelectorAll('#fitnessChips .chip').forEach((c) => {
+    c.classList.toggle('active', fitnessLabels.includes(c.textContent));
+  });
+
+  const languageLabels = EXPERIENCE_LANGUAGES.filter(l => state.languages.includes(l.code)).map(l => l.label);
+  document.querySelectorAll('#languageChips .chip').forEach((c) => {
+    c.classList.toggle('active', languageLabels.includes(c.textContent));
+  });
+
+  setInputValue('groupSizeInput', state.groupSize ?? '');
+  setInputValue('youngestAgeInput', state.youngestAge ?? '');
+
+  const countySelect = document.getElementById('countySelect');
+  const sortSelect = document.getElementById('sortSelect');
+  if (countySelect) countySelect.value = state.county;
+  if (sortSelect) sortSelect.value = state.sort;
+  priceControl?.set(state.priceRange);
+
+  applyBranching();
+}
+
+function setInputValue(id, value) {
+  const input = document.getElementById(id);
+  if (input) input.value = value;
+}
+
+function openResults() {
+  history.pushState(null, '', `finder.html?${buildFinderParams().toString()}`);
+  showViewFromURL();
+  window.scrollTo(0, 0);
+}
+
+// ?view=results -> results view built from the URL, anything else -> the questions
+function showViewFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const showResults = params.get('view') === 'results';
+
+  document.querySelector('.finder-layout')?.classList.toggle('hidden', showResults);
+  document.getElementById('finderResults')?.classList.toggle('hidden', !showResults);
+
+  if (showResults) {
+    applyFinderParams(params);
+    renderResultsView();
+  } else {
+    refreshMatches();
+  }
+}
+
+async function renderResultsView() {
+  const summary = document.getElementById('resultsSummary');
+  if (summary) summary.textContent = describeAnswers();
+
+  await renderMatchList(document.getElementById('resultsList'), FINDER_RESULT_COUNT);
+}
+
+// "Colleague · The whole team · Cork · Up to €100 · Half day · Wheelchair accessible · Easy fitness"
+function describeAnswers() {
+  const parts = finderConfig.flatMap(q => pickedAnswers(q).map(a => a.label));
+
+  if (state.county) parts.push(state.county);
+  if (hasPriceRange(state.priceRange)) parts.push(formatPriceRange(state.priceRange));
+  DURATION_RANGES.filter(d => state.durations.includes(d.key)).forEach(d => parts.push(d.label));
+  SUITABILITY_OPTIONS.filter(s => state.suitability.includes(s.key)).forEach(s => parts.push(s.label));
+  FITNESS_LEVELS.filter(f => state.fitness.includes(f.key))
+    .forEach(f => parts.push(filterText('badge.fitness', '{level} fitness', { level: f.label })));
+  const languages = EXPERIENCE_LANGUAGES.filter(l => state.languages.includes(l.code)).map(l => l.label);
+  if (languages.length) parts.push(filterText('badge.languages', 'In {languages}', { languages: languages.join(', ') }));
+  if (state.groupSize !== null) parts.push(t('finder.people', { count: state.groupSize }));
+  if (state.youngestAge !== null) parts.push(t('finder.youngest', { age: state.youngestAge }));
+
+  return parts.length ? t('finder.basedOn', { answers: parts.join(' · ') }) : t('finder.noAnswers');
+}
+
+function bindResultsEvents() {
+  document.getElementById('btnEditAnswers')?.addEventListener('click', () => {
+    history.pushState(null, '', 'finder.html');
+    showViewFromURL();
+  });
+
+  document.getElementById('btnCopyResultsLink')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      btn.textContent = t('finder.linkCopied');
+    } catch (err) {
+      window.prompt(t('finder.copyPrompt'), window.location.href);
+    }
+    setTimeout(() => { btn.textContent = t('finder.copyLink'); }, 2000);
+  });
+
+  document.getElementById('btnResultsExplore')?.addEventListener('click', goToExperiencesWithFinderFilters);
 }
 
 // ---------------------------
 // Core: refresh matches
 // ---------------------------
 async function refreshMatches() {
-  const matchesList = document.getElementById('matchesList');
+  await renderMatchList(document.getElementById('matchesList'), FINDER_MATCH_COUNT);
+}
+
+// Live panel (top 3) and results view (top 6) share this
+async function renderMatchList(matchesList, count) {
   if (!matchesList) return;
 
-  matchesList.innerHTML = '<div class="loading">Loading matches...</div>';
+  const token = ++matchToken;
+  const isStale = () => token !== matchToken;
+
+  matchesList.innerHTML = `<div class="loading">${escapeHtml(t('finder.loadingMatches'))}</div>`;
 
   try {
     const filters = buildFiltersFromState();
-    const results = await fetchMatches(filters);
+    let results = await fetchMatches(filters, count);
+    if (isStale()) return;
+
+    let closeMatches = false;
 
+    // Nothing exact: loosen the filters step by step until something turns up
     if (!results.length) {
-      matchesList.innerHTML = '<div class="no-results">No matches yet — try different options.</div>';
+      results = await findCloseMatches(filters, count);
+      if (isStale()) return;
+      closeMatches = true;
+    }
+
+    if (!results.length) {
+      matchesList.innerHTML = `<div class="no-results">${escapeHtml(t('finder.noMatches'))}</div>`;
       return;
     }
 
-    matchesList.innerHTML = results.map(renderMatchCard).join('');
+    const note = closeMatches
+      ? `<p class="matches-note">${escapeHtml(t('finder.closeNote'))}</p>`
+      : '';
+
+    matchesList.innerHTML = note + results.map(renderMatchCard).join('');
+
+    bindCompareToggles(matchesList);
 
     // Wire up View buttons
     matchesList.querySelectorAll('[data-view-id]').forEach((btn) => {
@@ -248,114 +757,431 @@ async function refreshMatches() {
     });
 
   } catch (err) {
+    if (isStale()) return;
     console.error(err);
-    matchesList.innerHTML = '<div class="no-results">Something went wrong loading matches.</div>';
+    matchesList.innerHTML = `<div class="no-results">${escapeHtml(t('finder.matchesError'))}</div>`;
   }
 }
 
 function buildFiltersFromState() {
-  // Map selected type label -> type key -> category UUID
-  const typeObj = TYPES.find(t => t.label === state.type);
-  const typeKey = typeObj?.key || '';
-  const categoryId = typeKey ? TYPE_TO_CATEGORY_ID[typeKey] : '';
+  // Answers to 'category' questions -> category UUIDs (set per answer in the admin dashboard)
+  const categoryIds = [...new Set(finderConfig
+    .filter(q => q.kind === 'category')
+    .flatMap(q => pickedAnswers(q).map(a => a.category_id))
+    .filter(Boolean))];
 
   return {
-    categoryId,
-    county: state.county,
-    budget: state.budget
+    categoryIds,
+    counties: state.county ? [state.county] : [],
+    priceRange: state.priceRange,
+    durations: state.durations,
+    suitability: state.suitability,
+    fitness: state.fitness,
+    languages: state.languages,
+    groupSize: state.groupSize,
+    youngestAge: state.youngestAge,
+    sort: state.sort
   };
 }
 
 // ---------------------------
 // Data: fetch matches from Supabase
 // ---------------------------
-async function fetchMatches({ categoryId, county, budget }) {
-  // If category is selected, find matching experience IDs via link table (3NF safe)
+// What scoreExperience() and describeRelaxation() read, and what a match card shows
+const MATCH_SCORE_SELECT = `
+  experience_id,
+  county,
+  min_price,
+  max_price,
+  price_unit,
+  group_price_size,
+  duration_minutes,
+  fitness_level,
+  view_count,
+  save_count,
+  experience_category(category_id)
+`;
+
+const MATCH_CARD_SELECT = `
+  experience_id,
+  title,
+  county,
+  min_price,
+  max_price,
+  price_unit,
+  group_price_size,
+  duration_minutes,
+  view_count,
+  save_count,
+  avg_rating,
+  review_count,
+  fitness_level,
+  business:business_id(business_name),
+  image(image_url, is_primary),
+  experience_category(category_id),
+  ${TRANSLATION_SELECT}
+`;
+
+// Top `count` matches, scored (rankMatches) against scoreFilters: the relaxed steps of
+// findCloseMatches still score against what was actually asked for.
+async function fetchMatches(filters, count = FINDER_MATCH_COUNT, scoreFilters = filters) {
+  // If categories are selected, find matching experience IDs via link table (3NF safe)
   let categoryExperienceIds = null;
 
-  if (categoryId) {
-    categoryExperienceIds = await getExperienceIdsForCategory(categoryId);
+  if (filters.categoryIds.length) {
+    categoryExperienceIds = await getExperienceIdsForCategories(filters.categoryIds);
 
     // no matches -> return early
     if (!categoryExperienceIds.length) return [];
   }
 
+  // Any sort but best match: same ordering as the Explore page, top few only
+  if (normaliseSortKey(filters.sort, true) !== 'relevance') {
+    const { data, error } = await applyExperienceSort(
+      buildMatchQuery(MATCH_CARD_SELECT, filters, categoryExperienceIds), filters.sort
+    ).limit(count);
+    if (error) throw error;
+
+    return rankMatches(data || [], scoreFilters, count);
+  }
+
+  // Best match: score a capped pool on the few columns the score needs,
+  // then load the full cards for the winners only
+  const { data: pool, error } = await buildMatchQuery(MATCH_SCORE_SELECT, filters, categoryExperienceIds)
+    .order('view_count', { ascending: false })
+    .order('experience_id', { ascending: true })
+    .limit(FINDER_POOL_SIZE);
+  if (error) throw error;
+
+  const ranked = rankMatches(pool || [], scoreFilters, count);
+  if (!ranked.length) return [];
+
+  const { data: cards, error: cardsError } = await supabaseClient
+    .from('experience_listing_v')
+    .select(MATCH_CARD_SELECT)
+    .in('experience_id', ranked.map(exp => exp.experience_id));
+  if (cardsError) throw cardsError;
+
+  const cardsById = new Map((cards || []).map(card => [card.experience_id, card]));
+  return ranked
+    .filter(exp => cardsById.has(exp.experience_id))
+    .map(exp => ({ ...exp, ...cardsById.get(exp.experience_id) }));
+}
+
+// experience_listing_v adds view_count/save_count so popularity sorts (and the score) work here too
+function buildMatchQuery(columns, {
+  counties, priceRange, durations, suitability, fitness, languages, groupSize, youngestAge
+}, categoryExperienceIds) {
   let query = supabaseClient
-    .from('experiences')
-    .select(`
-      experience_id,
-      title,
-      county,
-      min_price,
-      business:business_id(business_name),
-      image(image_url, is_primary)
-    `)
+    .from('experience_listing_v')
+    .select(columns)
     .in('status', ['approved', 'Approved'])
     .eq('is_published', true);
 
-  if (county) query = query.eq('county', county);
+  if (counties.length) query = query.in('county', counties);
 
-  if (budget === 'under_50') query = query.lte('min_price', 50);
-  if (budget === '50_100') query = query.gte('min_price', 50).lte('min_price', 100);
-  if (budget === '100_200') query = query.gte('min_price', 100).lte('min_price', 200);
-  if (budget === '200_plus') query = query.gte('min_price', 200);
+  // Overlap with the experience's own price range, same rule as Explore
+  query = applyPriceRange(query, priceRange);
+  query = applyDurationFilter(query, durations);
+
+  // Wheelchair access, kids, dogs, indoor (all must hold), fitness level, language + who's coming
+  query = applySuitabilityFilters(query, { suitability, fitness, languages, groupSize, youngestAge });
 
   if (Array.isArray(categoryExperienceIds)) {
     query = query.in('experience_id', categoryExperienceIds);
   }
 
-  // Keep it light for the live panel
-  const { data, error } = await query.limit(3);
-  if (error) throw error;
+  return query;
+}
+
+// ---------------------------
+// Close matches: relax the filters until something matches
+// ---------------------------
+// Steps build on each other (nearby counties, then one budget band wider, then
+// related categories, then any length of time, then any fitness level). Last resort is
+// the most popular experiences with no other filters, so there is almost always something
+// to show. Needs (wheelchair access, kids, dogs, indoor, language, group size, youngest age)
+// are never loosened: an experience that doesn't suit isn't a close match. Results are still scored against what was asked for.
+async function findCloseMatches(filters, count = FINDER_MATCH_COUNT) {
+  const steps = await relaxationSteps(filters);
+
+  for (const relaxed of steps) {
+    const experiences = await fetchMatches({ ...relaxed, sort: 'relevance' }, count, { ...filters, sort: 'relevance' });
+    if (!experiences.length) continue;
+
+    return experiences.map(exp => ({ ...exp, relaxed: describeRelaxation(exp, filters) }));
+  }
+
+  return [];
+}
+
+// Each step only appears when it actually loosens something
+async function relaxationSteps(filters) {
+  const steps = [];
+  let current = { ...filters };
+
+  const addStep = (changes) => {
+    current = { ...current, ...changes };
+    steps.push(current);
+  };
+
+  const nearby = filters.counties.flatMap(neighbouringCounties);
+  if (nearby.length) addStep({ counties: [...new Set([...filters.counties, ...nearby])] });
+
+  if (hasPriceRange(filters.priceRange)) addStep({ priceRange: widenPriceRange(filters.priceRange) });
 
-  return data || [];
+  if (filters.categoryIds.length) {
+    const related = await getRelatedCategoryIds(filters.categoryIds);
+    if (related.length) addStep({ categoryIds: [...filters.categoryIds, ...related] });
+  }
+
+  if (filters.durations.length) addStep({ durations: [] });
+
+  if (filters.fitness.length) addStep({ fitness: [] });
+
+  // Popular picks (that still suit)
+  steps.push({
+    categoryIds: [],
+    counties: [],
+    priceRange: normalisePriceRange(),
+    durations: [],
+    suitability: filters.suitability,
+    fitness: [],
+    languages: filters.languages,
+    groupSize: filters.groupSize,
+    youngestAge: filters.youngestAge
+  });
+
+  return steps;
 }
 
-async function getExperienceIdsForCategory(categoryId) {
+// Neighbours of a county, as county_id values that exist in the county table.
+// Compares on the bare name so "Co. Cork" and "Cork" both work.
+function neighbouringCounties(county) {
+  const bare = (name) => String(name || '').replace(/^co\.?\s+/i, '').trim().toLowerCase();
+  const key = Object.keys(NEIGHBOURING_COUNTIES).find(name => bare(name) === bare(county));
+  if (!key) return [];
+
+  const wanted = NEIGHBOURING_COUNTIES[key].map(bare);
+  return finderCounties.filter(id => wanted.includes(bare(id)));
+}
+
+// Categories that are often listed together with the picked ones
+// (other categories on the same experiences), most shared first
+async function getRelatedCategoryIds(categoryIds) {
+  const experienceIds = await getExperienceIdsForCategories(categoryIds);
+  if (!experienceIds.length) return [];
+
   const { data, error } = await supabaseClient
     .from('experience_category')
-    .select('experience_id')
-    .eq('category_id', categoryId);
+    .select('category_id')
+    .in('experience_id', experienceIds)
+    .not('category_id', 'in', `(${categoryIds.join(',')})`);
 
   if (error) throw error;
 
-  return [...new Set((data || []).map(r => r.experience_id))];
+  const counts = new Map();
+  (data || []).forEach(r => counts.set(r.category_id, (counts.get(r.category_id) || 0) + 1));
+
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+}
+
+// What this close match doesn't meet, in the user's terms
+function describeRelaxation(exp, filters) {
+  const notes = [];
+  const categoryIds = (exp.experience_category || []).map(link => link.category_id);
+
+  if (filters.counties.length && !filters.counties.includes(exp.county)) {
+    const isNearby = filters.counties.some(c => neighbouringCounties(c).includes(exp.county));
+    notes.push(isNearby
+      ? t('finder.nearbyIn', { county: exp.county || t('finder.neighbouringCounty') })
+      : t('finder.inCounty', { county: exp.county || t('finder.anotherCounty') }));
+  }
+
+  if (hasPriceRange(filters.priceRange) && !priceRangeOverlaps(exp, filters.priceRange)) {
+    const { priceMax } = filters.priceRange;
+    notes.push(priceMax !== null && perPersonPrice(exp) > priceMax ? t('finder.overBudget') : t('finder.outsideBudget'));
+  }
+
+  if (filters.categoryIds.length && !categoryIds.some(id => filters.categoryIds.includes(id))) {
+    notes.push(t('finder.similarType'));
+  }
+
+  if (filters.durations.length && !durationMatches(exp.duration_minutes, filters.durations)) {
+    notes.push(t('finder.differentTime'));
+  }
+
+  if (filters.fitness.length && !fitnessMatches(exp.fitness_level, filters.fitness)) {
+    notes.push(t('finder.differentActivity'));
+  }
+
+  return notes.length ? notes : [t('finder.popularPick')];
+}
+
+// ---------------------------
+// Scoring: rank matches + explain why
+// ---------------------------
+// Adds { score, reasons } to each experience. "Best match" re-orders by score,
+// other sorts keep the database order and just get the explanation.
+function rankMatches(experiences, filters, count = FINDER_MATCH_COUNT) {
+  const maxPopularity = Math.max(0, ...experiences.map(popularityOf));
+
+  const scored = experiences.map(exp => ({ ...exp, ...scoreExperience(exp, filters, maxPopularity) }));
+
+  if (normaliseSortKey(filters.sort, true) === 'relevance') {
+    scored.sort((a, b) => b.score - a.score);
+  }
+
+  return scored.slice(0, count);
+}
+
+// Weighted average of the answered factors, each scored 0..1.
+// Returns { score (0..1), reasons: [short strings, best first] }
+function scoreExperience(exp, filters, maxPopularity) {
+  const categoryIds = (exp.experience_category || []).map(link => link.category_id);
+  const factors = [];
+
+  // Score questions (who it's for, occasion, ...): best suitability over the picked answers
+  finderConfig.filter(q => q.kind === 'score').forEach((q) => {
+    const picked = pickedAnswers(q);
+    if (!picked.length) return;
+
+    const best = picked
+      .map(a => ({ answer: a, fit: affinityFor(a.weights, categoryIds) }))
+      .sort((x, y) => y.fit - x.fit)[0];
+
+    factors.push({ weight: q.score_weight, fit: best.fit, reason: best.answer.reason || '' });
+  });
+
+  if (filters.categoryIds.length) {
+    const matched = finderConfig
+      .filter(q => q.kind === 'category')
+      .flatMap(q => pickedAnswers(q))
+      .filter(a => a.category_id && categoryIds.includes(a.category_id));
+    factors.push({
+      weight: FINDER_WEIGHTS.category,
+      fit: matched.length ? 1 : 0,
+      reason: t('finder.asAsked', { answers: matched.map(a => a.label).join(' + ') })
+    });
+  }
+
+  if (filters.counties.length) {
+    let fit = filters.counties.includes(exp.county) ? 1 : 0;
+    if (!fit && filters.counties.some(c => neighbouringCounties(c).includes(exp.county))) fit = FINDER_NEARBY_COUNTY_FIT;
+    factors.push({ weight: FINDER_WEIGHTS.county, fit, reason: t('finder.inCounty', { county: exp.county }) });
+  }
+
+  if (hasPriceRange(filters.priceRange)) {
+    const fit = budgetFit(exp, filters.priceRange);
+    factors.push({ weight: FINDER_WEIGHTS.budget, fit, reason: fit === 1 ? t('finder.withinBudget') : t('finder.someInBudget') });
+  }
+
+  const popularity = maxPopularity > 0 ? Math.log1p(popularityOf(exp)) / Math.log1p(maxPopularity) : 0;
+  const saves = Number(exp.save_count) || 0;
+  const popularReason = saves
+    ? t('finder.popularSaves', { count: saves })
+    : t('finder.popularViews', { count: Number(exp.view_count) || 0 });
+  factors.push({ weight: FINDER_WEIGHTS.popularity, fit: popularity, reason: popularReason });
+
+  const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+  const score = totalWeight ? factors.reduce((sum, f) => sum + f.weight * f.fit, 0) / totalWeight : 0;
+
+  // Explain with the factors that actually helped, biggest contribution first
+  const reasons = factors
+    .filter(f => f.fit >= 0.7 && f.reason)
+    .sort((a, b) => b.weight * b.fit - a.weight * a.fit)
+    .map(f => f.reason);
+
+  return { score, reasons, answered: factors.length > 1 };
+}
+
+// Best suitability across the experience's categories (an experience can sit in several)
+function affinityFor(weights, categoryIds) {
+  const known = categoryIds.map(id => weights?.[id]).filter(w => Number.isFinite(w));
+  return known.length ? Math.max(...known) : FINDER_DEFAULT_AFFINITY;
+}
+
+// 1 = starts inside the range, 0.7 = only its upper prices reach it, then fades with distance
+// (per person, so a group price is split over the group first)
+function budgetFit(exp, range) {
+  const { priceMin, priceMax } = normalisePriceRange(range);
+  const low = perPersonPrice(exp);
+  if (low === null) return 0;
+
+  const insideLow = priceMin === null || low >= priceMin;
+  const insideHigh = priceMax === null || low <= priceMax;
+  if (insideLow && insideHigh) return 1;
+  if (priceRangeOverlaps(exp, range)) return 0.7;
+
+  const gap = priceMax !== null && low > priceMax ? low - priceMax : (priceMin ?? 0) - low;
+  const width = Math.max(50, (priceMax ?? priceMin ?? 0) - (priceMin ?? 0));
+  return Math.max(0, 0.5 - gap / width / 2);
+}
+
+// Views + saves (a save says more than a view)
+function popularityOf(exp) {
+  return (Number(exp.view_count) || 0) + 3 * (Number(exp.save_count) || 0);
 }
 
 // ---------------------------
 // Rendering matches (simple)
 // ---------------------------
 function renderMatchCard(exp) {
-  const title = escapeHtml(exp.title || 'Experience');
+  const title = escapeHtml(localizeExperience(exp).title || 'Experience');
   const county = escapeHtml(exp.county || 'Ireland');
   const businessName = escapeHtml(exp.business?.business_name || '');
-  const fromPrice = exp.min_price != null ? `€${Number(exp.min_price).toFixed(0)}` : '€—';
+  const fromPrice = formatExperiencePrice(exp, { range: false });
+  const duration = formatDuration(exp.duration_minutes);
+  const rating = formatRating(exp.avg_rating, exp.review_count);
   const imgUrl = getPrimaryImageUrl(exp) || 'https://via.placeholder.com/300x200';
 
+  // Score badge only once at least one question is answered (otherwise it's just popularity)
+  const scoreBadge = exp.answered
+    ? `<span class="match-score">${escapeHtml(t('finder.matchScore', { percent: Math.round(exp.score * 100) }))}</span>`
+    : '';
+  const why = (exp.reasons || []).slice(0, 3).map(escapeHtml).join(' · ');
+  const relaxed = (exp.relaxed || []).map(escapeHtml).join(' · ');
+
   return `
     <div class="match-card">
       <img class="match-img" src="${imgUrl}" alt="${title}" loading="lazy" />
       <div class="match-body">
-        <h3>${title}</h3>
-        <p class="muted">${county} • From ${fromPrice}</p>
+        <h3>${title} ${scoreBadge}</h3>
+        <p class="muted">${county} • ${escapeHtml(fromPrice ? t('card.from', { price: fromPrice }) : t('card.priceTbd'))}${duration ? ` • ${duration}` : ''}</p>
         <p class="muted">${businessName}</p>
+        ${rating ? `<p class="rating">${rating}</p>` : ''}
+        ${relaxed ? `<p class="match-relaxed"><strong>${escapeHtml(t('finder.closeMatch'))}</strong> ${relaxed}</p>` : ''}
+        ${why ? `<p class="match-why"><strong>${escapeHtml(t('finder.whyMatches'))}</strong> ${why}</p>` : ''}
+      </div>
+      <div class="match-actions">
+        <button class="btn-small" data-view-id="${exp.experience_id}">${escapeHtml(t('finder.view'))}</button>
+        <a class="btn-small" href="${giftCardUrl(exp)}">${escapeHtml(t('detail.giftCard'))}</a>
+        <button type="button" class="compare-toggle" data-compare-id="${exp.experience_id}" data-compare-title="${title}"></button>
       </div>
-      <button class="btn-small" data-view-id="${exp.experience_id}">View</button>
     </div>
   `;
 }
 
+// gift_card.html for a match, with the occasion already filled in when one is picked
+function giftCardUrl(exp) {
+  const params = new URLSearchParams({ id: exp.experience_id });
+
+  const occasion = finderConfig.find(q => q.role === 'occasion');
+  const picked = occasion ? pickedAnswers(occasion)[0] : null;
+  if (picked) params.set('occasion', picked.label);
+
+  return `gift_card.html?${params.toString()}`;
+}
+
 // ---------------------------
 // Navigate to experiences.html with filters (simple)
 // ---------------------------
 function goToExperiencesWithFinderFilters() {
   const filters = buildFiltersFromState();
 
-  const params = new URLSearchParams();
-  if (filters.county) params.set('county', filters.county);
-  if (filters.budget) params.set('budget', filters.budget);
-  if (filters.categoryId) params.set('category_id', filters.categoryId);
-  params.set('src', 'finder');
+  // Same URL format the Explore page reads (lists are comma separated).
+  // "Best match" is Finder only, Explore falls back to its default order.
+  const params = buildExploreParams({ ...filters, sort: normaliseSortKey(filters.sort), src: 'finder' });
 
   window.location.href = `experiences.html?${params.toString()}`;
 }
@@ -0,0 +1,232 @@
+/**
+ * gift_card.js
+ *  - Printable gift card for one experience (gift_card.html?id=<uuid>&occasion=Birthday)
+ *  - Opened from the detail page and from Finder matches (which pass the picked occasion)
+ *  - Print / Save as PDF uses the browser's print dialog, print styles hide everything but the card
+ *  - QR code links to the listing with src=gift so gift traffic shows in business metrics
+ */
+
+let giftExperienceId = null;
+
+// ---------------------------
+// DOM Ready
+// ---------------------------
+document.addEventListener('DOMContentLoaded', async () => {
+  console.log('✅ gift_card.js loaded');
+
+  // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+  await initSiteLanguage();
+
+  await updateNavForAuthState();
+  bindNavEvents();
+
+  const params = new URLSearchParams(window.location.search);
+  giftExperienceId = params.get('id');
+
+  if (!giftExperienceId) {
+    showGiftStatus('Missing experience id in URL.', 'alert alert-error');
+    return;
+  }
+
+  document.getElementById('giftBackLink')?.setAttribute('href', `detailed_experience.html?id=${encodeURIComponent(giftExperienceId)}`);
+
+  const occasion = document.getElementById('giftOccasion');
+  if (occasion) occasion.value = params.get('occasion') || '';
+
+  bindGiftForm();
+  loadOccasionSuggestions();
+  await loadGiftExperience(giftExperienceId);
+});
+
+// ---------------------------
+// Nav helpers (role-aware)
+// ---------------------------
+async function updateNavForAuthState() {
+  const navGuest = document.getElementById('navGuest');
+  const navUser = document.getElementById('navUser');
+  const navBusiness = document.getElementById('navBusiness');
+
+  // default
+  if (navGuest) navGuest.style.display = 'flex';
+  if (navUser) navUser.style.display = 'none';
+  if (navBusiness) navBusiness.style.display = 'none';
+
+  try {
+    const { data: { user } } = await supabaseClient.auth.getUser();
+    if (!user) return;
+
+    const { data: userRow } = await supabaseClient
+      .from('users')
+      .select('role')
+      .eq('user_id', user.id)
+      .single();
+
+    const role = userRow?.role || 'user';
+
+    if (navGuest) navGuest.style.display = 'none';
+    if (role === 'business') {
+      if (navBusiness) navBusiness.style.display = 'flex';
+    } else {
+      if (navUser) navUser.style.display = 'flex';
+    }
+  } catch (e) {
+    console.warn('Auth/nav error:', e);
+  }
+}
+
+function bindNavEvents() {
+  const signOut = async () => {
+    await supabaseClient.auth.signOut();
+    window.location.href = 'landing.html';
+  };
+
+  document.getElementById('btnSignOut')?.addEventListener('click', signOut);
+  document.getElementById('btnSignOutBusiness')?.addEventListener('click', signOut);
+}
+
+// ---------------------------
+// Load experience
+// ---------------------------
+async function loadGiftExperience(experienceId) {
+  try {
+    // experience_listing_v = approved + published only
+    const { data: exp, error } = await supabaseClient
+      .from('experience_listing_v')
+      .select(`
+        experience_id,
+        title,
+        business:business_id(business_name),
+        image(image_url, is_primary),
+        ${TRANSLATION_SELECT}
+      `)
+      .eq('experience_id', experienceId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!exp) {
+      showGiftStatus(t('gift.gone'), 'no-results');
+      return;
+    }
+
+    renderGiftExperience(localizeExperience(exp));
+    updateGiftPreview();
+
+    showGiftStatus('', 'hidden');
+    document.getElementById('giftLayout')?.classList.remove('hidden');
+  } catch (err) {
+    console.error('Error loading gift card experience:', err);
+    showGiftStatus(t('gift.error'), 'alert alert-error');
+  }
+}
+
+function renderGiftExperience(exp) {
+  const title = exp.title || 'Experience';
+  document.title = t('gift.pageTitle', { title });
+
+  setText('giftBackLink', title);
+  setText('previewTitle', title);
+  setText('previewBusiness', exp.business?.business_name ? t('gift.with', { business: exp.business.business_name }) : '');
+
+  const img = document.getElementById('giftImage');
+  if (img) {
+    img.src = getPrimaryImageUrl(exp) || 'https://via.placeholder.com/600x300';
+    img.alt = title;
+  }
+
+  renderGiftQr(buildGiftListingUrl(exp.experience_id));
+}
+
+// Absolute link to the detail page, tagged so the view counts as gift traffic
+function buildGiftListingUrl(experienceId) {
+  const url = new URL('detailed_experience.html', window.location.href);
+  url.searchParams.set('id', experienceId);
+  url.searchParams.set('src', 'gift');
+  return url.toString();
+}
+
+function renderGiftQr(url) {
+  const el = document.getElementById('giftQr');
+  if (!el) return;
+
+  el.innerHTML = '';
+
+  // CDN blocked / offline: print the link instead so the card still works
+  if (typeof QRCode === 'undefined') {
+    el.classList.add('gift-card-qr-text');
+    el.textContent = url;
+    return;
+  }
+
+  new QRCode(el, { text: url, width: 110, height: 110, correctLevel: QRCode.CorrectLevel.M });
+}
+
+// Occasion suggestions = answers to the Finder question with role 'occasion' (free text still allowed)
+async function loadOccasionSuggestions() {
+  const list = document.getElementById('giftOccasionList');
+  if (!list) return;
+
+  try {
+    const { data, error } = await supabaseClient
+      .from('finder_answer')
+      .select('label, finder_question!inner(role)')
+      .eq('finder_question.role', 'occasion')
+      .eq('is_active', true)
+      .order('sort_order');
+
+    if (error) throw error;
+
+    (data || []).forEach((row) => {
+      const opt = document.createElement('option');
+      opt.value = row.label;
+      list.appendChild(opt);
+    });
+  } catch (err) {
+    console.warn('Could not load occasions:', err);
+  }
+}
+
+// ---------------------------
+// Form -> preview
+// ---------------------------
+function bindGiftForm() {
+  ['giftTo', 'giftOccasion', 'giftMessage', 'giftFrom'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('input', updateGiftPreview);
+  });
+
+  document.getElementById('giftForm')?.addEventListener('submit', (e) => e.preventDefault());
+  document.getElementById('btnPrintGift')?.addEventListener('click', () => window.print());
+}
+
+// textContent only, so whatever is typed never becomes HTML
+function updateGiftPreview() {
+  const value = (id) => (document.getElementById(id)?.value || '').trim();
+
+  setText('previewOccasion', value('giftOccasion'));
+  setText('previewTo', value('giftTo') ? t('gift.toName', { name: value('giftTo') }) : '');
+  setText('previewMessage', value('giftMessage'));
+  setText('previewFrom', value('giftFrom') ? t('gift.fromName', { name: value('giftFrom') }) : '');
+}
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function showGiftStatus(message, className) {
+  const status = document.getElementById('giftStatus');
+  if (!status) return;
+  status.className = `${className} no-print`;
+  status.textContent = message;
+}
+
+function setText(id, text) {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.textContent = text;
+  el.classList.toggle('hidden', !text);
+}
+
+function getPrimaryImageUrl(exp) {
+  const imgs = exp?.image || [];
+  const primary = imgs.find((i) => i.is_primary) || imgs[0];
+  return primary?.image_url || '';
+}
@@ -5,6 +5,9 @@
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('Landing page loaded');
 
+    // Site language: translate tagged text + add the nav switcher (lib/i18n.js)
+    await initSiteLanguage();
+
     //Creates Anonymous Session earlier rather than later, Iteration 5
     await getOrCreateVisitorSessionId();
 
@@ -15,6 +18,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadCategories();
     await loadCounties();
 
+    // Budget quick links use the same price presets as the Explore price filter
+    displayBudgetLinks();
+
     // Check if user is already logged in (for future personalised UI)
     await checkAuthStatus();
 
@@ -176,6 +182,19 @@ function displayCounties(counties) {
     `).join(''); // smashes it all together into HTML
 }
 
+/**
+ * Display budget links (Under €50, €50 – €100, ...).
+ * No database call needed, the presets live in lib/experienceFilters.js.
+ */
+function displayBudgetLinks() {
+    const row = document.getElementById('budgetLinks');
+    if (!row) return;
+
+    row.innerHTML = PRICE_PRESETS.map(preset => `
+        <button type="button" class="chip" onclick="searchByPrice('${preset.key}')">${preset.label}</button>
+    `).join('');
+}
+
 /**
  * Search by category.
  */
@@ -202,6 +221,22 @@ function searchByCounty(countyName) {
     });
 }
 
+/**
+ * Search by price.
+ * Sends the preset as a price_min / price_max range, same as the Explore price filter
+ */
+function searchByPrice(presetKey) {
+    const preset = PRICE_PRESETS.find(p => p.key === presetKey);
+    if (!preset) return;
+
+    console.log('Searching by price:', preset.label);
+
+    goToExperiencesPage({
+        price_min: preset.priceMin,
+        price_max: preset.priceMax
+    });
+}
+
 /**
  * Handle search from hero search bar.
  */
@@ -222,6 +257,27 @@ function handleSearch() {
     });
 }
 
+/**
+ * Handle a pick from the search suggestions (lib/searchSuggest.js).
+ * Experiences open their detail page inside the lib, everything else
+ * goes to the experiences page with that filter applied.
+ */
+function handleSearchSuggestion(item) {
+    console.log('Suggestion picked:', item);
+
+    if (item.type === 'category') {
+        goToExperiencesPage({ category_id: item.value });
+    } else if (item.type === 'county') {
+        goToExperiencesPage({ county: item.value });
+    } else if (item.type === 'business') {
+        // search_experiences() matches business names, so the name works as the search text
+        goToExperiencesPage({ q: item.label });
+    }
+}
+
+// Typeahead under the hero search input
+attachSearchSuggest(document.getElementById('heroSearch'), { onPick: handleSearchSuggestion });
+
 // Allow search when user presses Enter key inside hero search input
 document.getElementById('heroSearch')?.addEventListener('keypress', function(e) {
     if (e.key === 'Enter') {
@@ -245,9 +301,11 @@ function goToExperiencesPage(params = {}) {
         url.pathname = url.pathname.replace(/\/[^\/]*$/, '/experiences.html');
     }
 
+    // Arrays (several categories / counties) use the Explore page's comma separated format
     Object.keys(params).forEach((key) => {
-        if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
-            url.searchParams.set(key, String(params[key]));
+        const value = Array.isArray(params[key]) ? encodeListParam(params[key]) : params[key];
+        if (value !== undefined && value !== null && value !== '') {
+            url.searchParams.set(key, String(value));
         }
     });
 
@@ -0,0 +1,190 @@
+// lib/compareTray.js
+// "Compare" toggles + the tray that collects up to four experiences for compare.html.
+// Used on Explore cards, Finder matches and the favourites dashboard.
+// The tray lives in localStorage so it survives page changes and shows in every tab.
+// Its text comes from lib/i18n.js (t()), so load that first.
+//
+// Usage:
+//   initCompareTray({ basePath: '' });        // '../' from dashboards/
+//   <button class="compare-toggle" data-compare-id="<uuid>" data-compare-title="Title"></button>
+//   bindCompareToggles(containerEl);         // after rendering cards
+
+const COMPARE_STORAGE_KEY = 'compare_experiences';
+const COMPARE_MAX = 4;
+
+let compareBasePath = '';
+
+// ---------------------------
+// Storage
+// ---------------------------
+// Items are { id, title } so the tray can show names without a query
+function getCompareItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+    return Array.isArray(items) ? items.filter(item => item && item.id).slice(0, COMPARE_MAX) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveCompareItems(items) {
+  localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(items.slice(0, COMPARE_MAX)));
+  refreshCompareUI();
+}
+
+function isInCompare(id) {
+  return getCompareItems().some(item => item.id === id);
+}
+
+// Adds or removes one experience. Returns false when the tray is already full.
+function toggleCompare({ id, title }) {
+  const items = getCompareItems();
+
+  if (items.some(item => item.id === id)) {
+    saveCompareItems(items.filter(item => item.id !== id));
+    return true;
+  }
+
+  if (items.length >= COMPARE_MAX) return false;
+
+  saveCompareItems([...items, { id, title: title || 'Experience' }]);
+  return true;
+}
+
+function removeFromCompare(id) {
+  saveCompareItems(getCompareItems().filter(item => item.id !== id));
+}
+
+function clearCompare() {
+  saveCompareItems([]);
+}
+
+// compare.html?ids=a,b,c (ids in the URL so a comparison can be shared)
+function buildCompareUrl(items = getCompareItems()) {
+  return `${compareBasePath}compare.html?ids=${items.map(item => encodeURIComponent(item.id)).join(',')}`;
+}
+
+// ---------------------------
+// Toggles
+// ---------------------------
+// Wires every [data-compare-id] button inside root (only once per button).
+// stopPropagation so clicking it doesn't also open the card it sits on.
+function bindCompareToggles(root = document) {
+  root.querySelectorAll('[data-compare-id]:not([data-compare-bound])').forEach((btn) => {
+    btn.dataset.compareBound = 'true';
+
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const ok = toggleCompare({ id: btn.dataset.compareId, title: btn.dataset.compareTitle });
+      if (!ok) flashCompareTray(t('compare.max', { max: COMPARE_MAX }));
+    });
+  });
+
+  refreshCompareToggles();
+}
+
+function refreshCompareToggles() {
+  const ids = new Set(getCompareItems().map(item => item.id));
+
+  document.querySelectorAll('[data-compare-id]').forEach((btn) => {
+    const selected = ids.has(btn.dataset.compareId);
+    btn.classList.toggle('active', selected);
+    btn.setAttribute('aria-pressed', String(selected));
+    btn.textContent = selected ? t('compare.comparing') : t('compare.add');
+  });
+}
+
+// ---------------------------
+// Tray
+// ---------------------------
+function initCompareTray({ basePath = '' } = {}) {
+  compareBasePath = basePath;
+
+  if (!document.getElementById('compareTray')) {
+    const tray = document.createElement('div');
+    tray.id = 'compareTray';
+    tray.className = 'compare-tray hidden';
+    tray.setAttribute('aria-live', 'polite');
+    document.body.appendChild(tray);
+  }
+
+  // Another tab changed the tray
+  window.addEventListener('storage', (e) => {
+    if (e.key === COMPARE_STORAGE_KEY) refreshCompareUI();
+  });
+
+  refreshCompareUI();
+}
+
+function refreshCompareUI() {
+  refreshCompareToggles();
+  renderCompareTray();
+}
+
+function renderCompareTray() {
+  const tray = document.getElementById('compareTray');
+  if (!tray) return;
+
+  const items = getCompareItems();
+  tray.classList.toggle('hidden', !items.length);
+  if (!items.length) return;
+
+  tray.innerHTML = '';
+
+  const list = document.createElement('div');
+  list.className = 'compare-tray-items';
+
+  items.forEach((item) => {
+    const chip = document.createElement('span');
+    chip.className = 'compare-tray-item';
+    chip.textContent = item.title;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'compare-tray-remove';
+    remove.setAttribute('aria-label', t('compare.removeItem', { title: item.title }));
+    remove.textContent = '×';
+    remove.addEventListener('click', () => removeFromCompare(item.id));
+
+    chip.appendChild(remove);
+    list.appendChild(chip);
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'compare-tray-actions';
+
+  const note = document.createElement('span');
+  note.className = 'compare-tray-note';
+  note.textContent = items.length < 2 ? t('compare.pickTwo') : t('compare.count', { count: items.length, max: COMPARE_MAX });
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'btn btn-secondary';
+  clear.textContent = t('compare.clear');
+  clear.addEventListener('click', clearCompare);
+
+  const go = document.createElement('a');
+  go.className = 'btn btn-primary';
+  go.textContent = t('compare.go');
+  if (items.length >= 2) go.href = buildCompareUrl(items);
+  else go.setAttribute('aria-disabled', 'true');
+
+  actions.append(note, clear, go);
+  tray.append(list, actions);
+}
+
+// Short message in the tray (e.g. tray full), then back to normal
+function flashCompareTray(message) {
+  const tray = document.getElementById('compareTray');
+  const note = tray?.querySelector('.compare-tray-note');
+  if (!note) {
+    alert(message);
+    return;
+  }
+
+  note.textContent = message;
+  note.classList.add('is-warning');
+  setTimeout(renderCompareTray, 2500);
+}
@@ -0,0 +1,640 @@
+// lib/experienceFilters.js
+// Shared filter + sort definitions for anything that lists experiences
+// (Explore page, Finder, landing deep links) plus the shared price wording (favourites, compare).
+// Load it after supabaseClient.js and before the page script.
+
+// ---------------------------
+// Wording
+// ---------------------------
+// The English lives in this file. Pages that load lib/i18n.js show the site language
+// instead, from UI_STRINGS keys like 'sort.newest' or 'duration.half_day'; anything
+// untranslated (and pages without i18n.js, like the business dashboard) stays English.
+function filterText(key, english, vars = {}) {
+  const text = typeof UI_STRINGS === 'undefined'
+    ? english
+    : UI_STRINGS[getSiteLanguage()]?.[key] ?? english;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// Turns each option's label (and hint) into a getter, so it reads in the current language.
+// The text key is '<prefix>.<option key>' ('<prefix>.<option key>.hint' for hints).
+function withLocalLabels(prefix, options) {
+  Object.entries(options).forEach(([entryKey, option]) => {
+    const key = option.key ?? option.code ?? entryKey;
+
+    ['label', 'hint'].filter(field => field in option).forEach((field) => {
+      const english = option[field];
+      const textKey = field === 'label' ? `${prefix}.${key}` : `${prefix}.${key}.${field}`;
+      Object.defineProperty(option, field, { get: () => filterText(textKey, english), enumerable: true });
+    });
+  });
+
+  return options;
+}
+
+// ---------------------------
+// Sort modes
+// ---------------------------
+// Keys are what goes in the URL (?sort=price_asc). Columns come from experience_listing_v,
+// which adds view_count (event_metric views) and save_count (favorite rows).
+// "relevance" has no column: it keeps the order search_experiences() returns, so it only
+// makes sense while there is search text.
+const EXPERIENCE_SORTS = withLocalLabels('sort', {
+  relevance:   { label: 'Best match',         column: null, searchOnly: true },
+  newest:      { label: 'Newest',             column: 'created_at',       ascending: false },
+  price_asc:   { label: 'Price: low to high', column: 'price_per_person', ascending: true },
+  price_desc:  { label: 'Price: high to low', column: 'price_per_person', ascending: false },
+  most_viewed: { label: 'Most viewed',        column: 'view_count',       ascending: false },
+  most_saved:  { label: 'Most saved',         column: 'save_count',       ascending: false }
+});
+
+const DEFAULT_SORT = 'newest';
+
+// Searching defaults to best match, browsing defaults to newest
+function defaultSortFor(hasSearch) {
+  return hasSearch ? 'relevance' : DEFAULT_SORT;
+}
+
+// Unknown / empty values fall back to the default so old links keep working
+function normaliseSortKey(sortKey, hasSearch = false) {
+  const key = String(sortKey || '').trim();
+  const sort = EXPERIENCE_SORTS[key];
+
+  if (!sort || (sort.searchOnly && !hasSearch)) return defaultSortFor(hasSearch);
+  return key;
+}
+
+// Adds the ORDER BY for a sort mode to a Supabase query.
+// Ties are broken by newest then experience_id so paging never repeats or skips rows.
+function applyExperienceSort(query, sortKey, hasSearch = false) {
+  const key = normaliseSortKey(sortKey, hasSearch);
+  const sort = EXPERIENCE_SORTS[key];
+
+  // Best match: search_experiences() already returns rows in rank order
+  if (!sort.column) return query;
+
+  let q = query.order(sort.column, { ascending: sort.ascending, nullsFirst: false });
+  if (sort.column !== 'created_at') q = q.order('created_at', { ascending: false });
+
+  return q.order('experience_id', { ascending: true });
+}
+
+// Fills a <select> with the sort options and selects the current one.
+// "Best match" is only offered while there is search text.
+function fillSortSelect(select, selectedKey, hasSearch = false) {
+  if (!select) return;
+
+  select.innerHTML = Object.entries(EXPERIENCE_SORTS)
+    .filter(([, sort]) => hasSearch || !sort.searchOnly)
+    .map(([key, sort]) => `<option value="${key}">${sort.label}</option>`)
+    .join('');
+
+  select.value = normaliseSortKey(selectedKey, hasSearch);
+}
+
+// ---------------------------
+// Price range
+// ---------------------------
+// A range is { priceMin, priceMax } in euro per person; null means "no limit" on that side.
+// An experience matches when its own per-person price range OVERLAPS the wanted range, so a
+// €45–€300 experience shows up for "under €50" AND for "€100–€200".
+const PRICE_RANGE_LIMITS = { min: 0, max: 500, step: 5 }; // slider scale, the top end means "500+"
+
+// Quick picks. The keys are also the old ?budget= values, so links from before the
+// price range filter still work.
+const PRICE_PRESETS = withLocalLabels('pricePreset', [
+  { key: 'under_50', label: 'Under €50',   priceMin: null, priceMax: 50 },
+  { key: '50_100',   label: '€50 – €100',  priceMin: 50,   priceMax: 100 },
+  { key: '100_200',  label: '€100 – €200', priceMin: 100,  priceMax: 200 },
+  { key: '200_plus', label: '€200+',       priceMin: 200,  priceMax: null }
+]);
+
+// Cleans up a range: non-numbers become null, negatives become 0,
+// the slider's top value means open-ended, and min/max are swapped if reversed.
+function normalisePriceRange({ priceMin = null, priceMax = null } = {}) {
+  const toNumber = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.max(0, n) : null;
+  };
+
+  let min = toNumber(priceMin);
+  let max = toNumber(priceMax);
+
+  if (min === 0) min = null;
+  if (max !== null && max >= PRICE_RANGE_LIMITS.max) max = null;
+  if (min !== null && max !== null && min > max) [min, max] = [max, min];
+
+  return { priceMin: min, priceMax: max };
+}
+
+function hasPriceRange(range) {
+  return !!range && (range.priceMin !== null || range.priceMax !== null);
+}
+
+// Reads ?price_min= / ?price_max=, falling back to an old ?budget= bucket
+function readPriceRangeFromParams(params) {
+  const priceMin = params.get('price_min');
+  const priceMax = params.get('price_max');
+
+  if (priceMin || priceMax) return normalisePriceRange({ priceMin, priceMax });
+
+  const preset = PRICE_PRESETS.find(p => p.key === (params.get('budget') || '').trim());
+  return normalisePriceRange(preset || {});
+}
+
+// Adds the overlap filter to a Supabase query on experience_listing_v
+// (price_per_person_ceiling = max_price, or min_price when there is no max, per person)
+function applyPriceRange(query, range) {
+  const { priceMin, priceMax } = normalisePriceRange(range);
+
+  let q = query;
+  if (priceMax !== null) q = q.lte('price_per_person', priceMax);
+  if (priceMin !== null) q = q.gte('price_per_person_ceiling', priceMin);
+  return q;
+}
+
+// Same rule in the browser, for rows already fetched (facet counts etc.)
+function priceRangeOverlaps(exp, range) {
+  const { priceMin, priceMax } = normalisePriceRange(range);
+  if (priceMin === null && priceMax === null) return true;
+
+  const prices = perPersonPriceRange(exp);
+  if (!prices) return false; // no price = can't match a price filter
+
+  return (priceMax === null || prices.low <= priceMax) && (priceMin === null || prices.high >= priceMin);
+}
+
+// One budget band wider on each side, using the preset edges (€50 / €100 / €200):
+// "€50 – €100" -> "Up to €200", "Up to €50" -> "Up to €100", "€200+" -> "€100+"
+function widenPriceRange(range) {
+  const { priceMin, priceMax } = normalisePriceRange(range);
+  const edges = [...new Set(PRICE_PRESETS.flatMap(p => [p.priceMin, p.priceMax]).filter(v => v !== null))]
+    .sort((a, b) => a - b);
+
+  const lower = priceMin === null ? null : [...edges].reverse().find(e => e < priceMin) ?? null;
+  const upper = priceMax === null ? null : edges.find(e => e > priceMax) ?? null;
+
+  return normalisePriceRange({ priceMin: lower, priceMax: upper });
+}
+
+// "Any price", "Up to €50", "€100 – €200", "€200+"
+function formatPriceRange(range) {
+  const { priceMin, priceMax } = normalisePriceRange(range);
+
+  if (priceMin === null && priceMax === null) return filterText('price.any', 'Any price');
+  if (priceMin === null) return filterText('price.upTo', 'Up to {price}', { price: `€${priceMax}` });
+  if (priceMax === null) return `€${priceMin}+`;
+  return `€${priceMin} – €${priceMax}`;
+}
+
+// Wires up the shared price range control markup (see experiences.html / finder.html):
+// two range sliders, two number inputs, quick pick chips and a summary line.
+// Elements are found by data-role inside `root`. Returns { get, set }.
+function initPriceRangeControl(root, onChange) {
+  if (!root) return { get: () => normalisePriceRange(), set: () => {} };
+
+  const minSlider = root.querySelector('[data-role="min-slider"]');
+  const maxSlider = root.querySelector('[data-role="max-slider"]');
+  const minInput = root.querySelector('[data-role="min-input"]');
+  const maxInput = root.querySelector('[data-role="max-input"]');
+  const presets = root.querySelector('[data-role="presets"]');
+  const summary = root.querySelector('[data-role="summary"]');
+
+  [minSlider, maxSlider].forEach((slider) => {
+    if (!slider) return;
+    slider.min = PRICE_RANGE_LIMITS.min;
+    slider.max = PRICE_RANGE_LIMITS.max;
+    slider.step = PRICE_RANGE_LIMITS.step;
+  });
+
+  if (presets) {
+    presets.innerHTML = PRICE_PRESETS
+      .map(p => `<button type="button" class="chip" data-preset="${p.key}">${p.label}</button>`)
+      .join('');
+  }
+
+  const get = () => normalisePriceRange({ priceMin: minInput?.value, priceMax: maxInput?.value });
+
+  // Push a range into every part of the control
+  const set = (range) => {
+    const { priceMin, priceMax } = normalisePriceRange(range);
+
+    if (minInput) minInput.value = priceMin ?? '';
+    if (maxInput) maxInput.value = priceMax ?? '';
+    if (minSlider) minSlider.value = priceMin ?? PRICE_RANGE_LIMITS.min;
+    if (maxSlider) maxSlider.value = priceMax ?? PRICE_RANGE_LIMITS.max;
+    if (summary) summary.textContent = formatPriceRange({ priceMin, priceMax });
+
+    presets?.querySelectorAll('[data-preset]').forEach((btn) => {
+      const p = PRICE_PRESETS.find(x => x.key === btn.dataset.preset);
+      btn.classList.toggle('active', !!p && p.priceMin === priceMin && p.priceMax === priceMax);
+    });
+  };
+
+  const changed = (range) => {
+    set(range);
+    if (onChange) onChange(get());
+  };
+
+  // Sliders: keep the two handles from crossing
+  minSlider?.addEventListener('input', () => {
+    const max = Number(maxSlider?.value ?? PRICE_RANGE_LIMITS.max);
+    const min = Math.min(Number(minSlider.value), max);
+    changed({ priceMin: min, priceMax: max });
+  });
+
+  maxSlider?.addEventListener('input', () => {
+    const min = Number(minSlider?.value ?? PRICE_RANGE_LIMITS.min);
+    const max = Math.max(Number(maxSlider.value), min);
+    changed({ priceMin: min, priceMax: max });
+  });
+
+  // Free inputs: apply once the user finishes typing (change fires on blur / Enter)
+  [minInput, maxInput].forEach((input) => {
+    input?.addEventListener('change', () => changed(get()));
+  });
+
+  // Quick picks toggle: clicking the active one clears the range
+  presets?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-preset]');
+    if (!btn) return;
+
+    const p = PRICE_PRESETS.find(x => x.key === btn.dataset.preset);
+    changed(btn.classList.contains('active') || !p ? {} : p);
+  });
+
+  set({});
+  return { get, set };
+}
+
+// ---------------------------
+// Price model (sql/experience_pricing.sql)
+// ---------------------------
+// min_price / max_price are per price_unit: per person, or for one group of
+// group_price_size people. Filters, price sorts and the Finder budget use the
+// per-person equivalent (price_per_person in experience_listing_v).
+const PRICE_UNITS = withLocalLabels('priceUnit', [
+  { key: 'person', label: 'Per person' },
+  { key: 'group',  label: 'Per group' }
+]);
+
+function isGroupPrice(exp) {
+  return exp?.price_unit === 'group' && Number(exp.group_price_size) > 0;
+}
+
+// What one person pays (a group price split evenly), null when there is no price
+function perPersonPrice(exp, price = exp?.min_price) {
+  const n = Number(price);
+  if (price == null || !Number.isFinite(n)) return null;
+  return isGroupPrice(exp) ? Math.round((n / Number(exp.group_price_size)) * 100) / 100 : n;
+}
+
+// { low, high } per person (high = low when there is no max_price), null with no price
+function perPersonPriceRange(exp) {
+  const low = perPersonPrice(exp);
+  if (low === null) return null;
+  return { low, high: perPersonPrice(exp, exp.max_price) ?? low };
+}
+
+// €60, €62.50
+function formatPriceAmount(value) {
+  const n = Number(value);
+  if (value == null || !Number.isFinite(n)) return '';
+  return `€${Number.isInteger(n) ? n : n.toFixed(2)}`;
+}
+
+// "€60 per person", "€60 – €90 per person", "€200 for a group of 4 (€50 each)", '' with no price.
+// { range: false } leaves out max_price (cards say "From ...")
+function formatExperiencePrice(exp, { range = true } = {}) {
+  const low = Number(exp?.min_price);
+  if (exp?.min_price == null || !Number.isFinite(low)) return '';
+
+  const high = Number(exp.max_price);
+  const hasRange = range && exp.max_price != null && Number.isFinite(high) && high !== low;
+  const amount = hasRange ? `${formatPriceAmount(low)} – ${formatPriceAmount(high)}` : formatPriceAmount(low);
+
+  if (!isGroupPrice(exp)) return filterText('price.perPerson', '{amount} per person', { amount });
+
+  const vars = { amount, size: Number(exp.group_price_size), each: formatPriceAmount(perPersonPrice(exp)) };
+  return hasRange
+    ? filterText('price.perGroupFrom', '{amount} for a group of {size} (from {each} each)', vars)
+    : filterText('price.perGroup', '{amount} for a group of {size} ({each} each)', vars);
+}
+
+// "Children €30 • Concessions €45", '' when neither is set
+function formatReducedPrices(exp) {
+  return [
+    exp?.child_price != null
+      ? filterText('price.children', 'Children {price}', { price: formatPriceAmount(exp.child_price) })
+      : '',
+    exp?.concession_price != null
+      ? filterText('price.concessions', 'Concessions {price}', { price: formatPriceAmount(exp.concession_price) })
+      : ''
+  ].filter(Boolean).join(' • ');
+}
+
+// ---------------------------
+// Duration
+// ---------------------------
+// Buckets on experiences.duration_minutes (both ends inclusive, null = open).
+// Keys go in the URL as a list: ?duration=under_1h,half_day
+const DURATION_RANGES = withLocalLabels('duration', [
+  { key: 'under_1h',  label: 'Under 1 hour', minMinutes: null, maxMinutes: 59 },
+  { key: 'half_day',  label: 'Half day',     minMinutes: 60,   maxMinutes: 240 },
+  { key: 'full_day',  label: 'Full day',     minMinutes: 241,  maxMinutes: 1439 },
+  { key: 'multi_day', label: 'Multi-day',    minMinutes: 1440, maxMinutes: null }
+]);
+
+// Drops unknown keys (old / hand-typed links) and duplicates
+function normaliseDurationKeys(keys) {
+  return [...new Set(keys || [])].filter(key => DURATION_RANGES.some(d => d.key === key));
+}
+
+// Adds the duration filter to a Supabase query. Several buckets are OR'd together
+// in a single .or() so it doesn't clash with other filters on the same query.
+function applyDurationFilter(query, keys) {
+  const ranges = DURATION_RANGES.filter(d => normaliseDurationKeys(keys).includes(d.key));
+  if (!ranges.length) return query;
+
+  const conditions = ranges.map((d) => {
+    const parts = [];
+    if (d.minMinutes !== null) parts.push(`duration_minutes.gte.${d.minMinutes}`);
+    if (d.maxMinutes !== null) parts.push(`duration_minutes.lte.${d.maxMinutes}`);
+    return parts.length > 1 ? `and(${parts.join(',')})` : parts[0];
+  });
+
+  return query.or(conditions.join(','));
+}
+
+// Same rule in the browser (facet counts). No duration = doesn't match a duration filter.
+function durationMatches(minutes, keys) {
+  const wanted = normaliseDurationKeys(keys);
+  if (!wanted.length) return true;
+
+  const n = Number(minutes);
+  if (minutes == null || !Number.isFinite(n)) return false;
+
+  return DURATION_RANGES.some(d => wanted.includes(d.key) &&
+    (d.minMinutes === null || n >= d.minMinutes) &&
+    (d.maxMinutes === null || n <= d.maxMinutes));
+}
+
+// 45 -> "45 mins", 90 -> "1 hr 30 mins", 180 -> "3 hrs", 2880 -> "2 days"
+function formatDuration(minutes) {
+  const n = Math.round(Number(minutes));
+  if (minutes == null || !Number.isFinite(n) || n <= 0) return '';
+
+  const minsText = count => filterText('duration.mins', '{count} mins', { count });
+  if (n < 60) return minsText(n);
+
+  if (n < 1440) {
+    const hrs = Math.floor(n / 60);
+    const mins = n % 60;
+    const hrsText = hrs === 1
+      ? filterText('duration.hrs.one', '{count} hr', { count: hrs })
+      : filterText('duration.hrs.other', '{count} hrs', { count: hrs });
+    return mins ? `${hrsText} ${minsText(mins)}` : hrsText;
+  }
+
+  const days = Math.round(n / 1440);
+  return days === 1
+    ? filterText('duration.days.one', '{count} day', { count: days })
+    : filterText('duration.days.other', '{count} days', { count: days });
+}
+
+// avg_rating / review_count from experience_listing_v -> "★ 4.6 (12 reviews)", '' when unrated
+function formatRating(avgRating, reviewCount) {
+  const avg = Number(avgRating);
+  const count = Number(reviewCount) || 0;
+  if (avgRating == null || !Number.isFinite(avg) || !count) return '';
+
+  const vars = { avg: avg.toFixed(1), count };
+  return count === 1
+    ? filterText('rating.one', '★ {avg} ({count} review)', vars)
+    : filterText('rating.other', '★ {avg} ({count} reviews)', vars);
+}
+
+// ---------------------------
+// Accessibility + suitability
+// ---------------------------
+// Structured attributes on experiences (sql/experience_attributes.sql). Set on the business
+// dashboard, shown as icons on the detail page, filtered on by Explore and the Finder.
+
+// Yes/no attributes. Keys go in the URL as a list (?suitable=wheelchair,dogs) and, unlike
+// the other lists, EVERY ticked one has to hold: someone bringing a dog in a wheelchair needs both.
+const SUITABILITY_OPTIONS = withLocalLabels('suitable', [
+  { key: 'wheelchair', column: 'wheelchair_accessible', label: 'Wheelchair accessible', icon: '♿' },
+  { key: 'kids',       column: 'kid_friendly',          label: 'Kid friendly',          icon: '🧒' },
+  { key: 'dogs',       column: 'dog_friendly',          label: 'Dog friendly',          icon: '🐕' },
+  { key: 'indoor',     column: 'is_indoor',             label: 'Indoor / rainy day',    icon: '☔' }
+]);
+
+// experiences.fitness_level. ?fitness=easy,moderate (any of them)
+const FITNESS_LEVELS = withLocalLabels('fitness', [
+  { key: 'easy',        label: 'Easy',        hint: 'no particular fitness needed' },
+  { key: 'moderate',    label: 'Moderate',    hint: 'some walking or activity' },
+  { key: 'challenging', label: 'Challenging', hint: 'a good level of fitness needed' }
+]);
+
+// experiences.languages holds the codes. ?language=ga,fr (run in any of them)
+const EXPERIENCE_LANGUAGES = withLocalLabels('language', [
+  { code: 'en', label: 'English' },
+  { code: 'ga', label: 'Irish' },
+  { code: 'fr', label: 'French' },
+  { code: 'de', label: 'German' },
+  { code: 'es', label: 'Spanish' },
+  { code: 'it', label: 'Italian' },
+  { code: 'pt', label: 'Portuguese' },
+  { code: 'pl', label: 'Polish' },
+  { code: 'nl', label: 'Dutch' },
+  { code: 'zh', label: 'Chinese' }
+]);
+
+
+function normaliseSuitabilityKeys(keys) {
+  return [...new Set(keys || [])].filter(key => SUITABILITY_OPTIONS.some(s => s.key === key));
+}
+
+function normaliseFitnessKeys(keys) {
+  return [...new Set(keys || [])].filter(key => FITNESS_LEVELS.some(f => f.key === key));
+}
+
+function normaliseLanguageCodes(codes) {
+  return [...new Set(codes || [])].filter(code => EXPERIENCE_LANGUAGES.some(l => l.code === code));
+}
+
+// ?group= (people) and ?age= (youngest person's age) as whole numbers, null when
+// empty or junk. 0 is a real age (a baby), not "no filter".
+function normaliseGroupSize(value) {
+  return wholeNumberBetween(value, 1, 999);
+}
+
+function normaliseYoungestAge(value) {
+  return wholeNumberBetween(value, 0, 120);
+}
+
+function wholeNumberBetween(value, min, max) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : null;
+}
+
+// Adds the suitability filters to a Supabase query on experience_listing_v.
+//   suitability  every ticked yes/no attribute has to be true
+//   fitness      any of the ticked levels (not stated = no match)
+//   languages    run in any of the ticked languages
+//   groupSize    group_size_min <= n <= group_size_max (no max = no limit)
+//   youngestAge  min_age <= the youngest person's age
+function applySuitabilityFilters(query, { suitability, fitness, languages, groupSize, youngestAge } = {}) {
+  let q = query;
+
+  SUITABILITY_OPTIONS
+    .filter(s => normaliseSuitabilityKeys(suitability).includes(s.key))
+    .forEach((s) => { q = q.eq(s.column, true); });
+
+  const levels = normaliseFitnessKeys(fitness);
+  if (levels.length) q = q.in('fitness_level', levels);
+
+  const codes = normaliseLanguageCodes(languages);
+  if (codes.length) q = q.overlaps('languages', codes);
+
+  const size = normaliseGroupSize(groupSize);
+  if (size !== null) {
+    q = q.lte('group_size_min', size).or(`group_size_max.is.null,group_size_max.gte.${size}`);
+  }
+
+  const age = normaliseYoungestAge(youngestAge);
+  if (age !== null) q = q.lte('min_age', age);
+
+  return q;
+}
+
+// Same rule in the browser (Finder close matches say when the fitness level was loosened)
+function fitnessMatches(level, keys) {
+  const wanted = normaliseFitnessKeys(keys);
+  return !wanted.length || wanted.includes(level);
+}
+
+// "2 – 12 people", "Up to 8 people", "Groups of 4+", '' for "anyone, any size"
+function formatGroupSize(min, max) {
+  const low = Number(min) || 1;
+  const high = max != null && Number.isFinite(Number(max)) ? Number(max) : null;
+
+  if (high !== null && low > 1) {
+    return low === high
+      ? filterText('group.exactly', 'Groups of {count}', { count: low })
+      : filterText('group.between', '{low} – {high} people', { low, high });
+  }
+  if (high !== null) {
+    return high === 1
+      ? filterText('group.upTo.one', 'Up to {count} person', { count: high })
+      : filterText('group.upTo.other', 'Up to {count} people', { count: high });
+  }
+  if (low > 1) return filterText('group.atLeast', 'Groups of {count}+', { count: low });
+  return '';
+}
+
+// ['ga', 'en'] -> "English, Irish" (list order, unknown codes dropped)
+function formatLanguages(codes) {
+  return EXPERIENCE_LANGUAGES.filter(l => (codes || []).includes(l.code)).map(l => l.label).join(', ');
+}
+
+// Icon + text for everything an experience has stated, for the detail page.
+// Unset yes/no attributes are left out: false can just mean the business didn't say.
+function experienceAttributeBadges(exp) {
+  const badges = SUITABILITY_OPTIONS
+    .filter(s => exp?.[s.column] === true)
+    .map(s => ({ icon: s.icon, label: s.label }));
+
+  const minAge = Number(exp?.min_age) || 0;
+  badges.push({
+    icon: '🎂',
+    label: minAge > 0 ? filterText('badge.minAge', 'Ages {age}+', { age: minAge }) : filterText('badge.allAges', 'All ages')
+  });
+
+  const fitness = FITNESS_LEVELS.find(f => f.key === exp?.fitness_level);
+  if (fitness) {
+    badges.push({ icon: '💪', label: filterText('badge.fitness', '{level} fitness', { level: fitness.label }), hint: fitness.hint });
+  }
+
+  const groupSize = formatGroupSize(exp?.group_size_min, exp?.group_size_max);
+  if (groupSize) badges.push({ icon: '👥', label: groupSize });
+
+  const languages = formatLanguages(exp?.languages);
+  if (languages) badges.push({ icon: '🗣️', label: filterText('badge.languages', 'In {languages}', { languages }) });
+
+  return badges;
+}
+
+// ---------------------------
+// Category filter
+// ---------------------------
+// Experiences in ANY of the given categories (experience_category link table), or null
+// when no category is picked (= don't filter).
+async function getExperienceIdsForCategories(categoryIds) {
+  if (!categoryIds?.length) return null;
+
+  const { data, error } = await supabaseClient
+    .from('experience_category')
+    .select('experience_id')
+    .in('category_id', categoryIds);
+
+  if (error) throw error;
+
+  // An experience in two picked categories comes back twice, so de-duplicate
+  return [...new Set((data || []).map((r) => r.experience_id).filter(Boolean))];
+}
+
+// ---------------------------
+// Explore page URL params
+// ---------------------------
+// Multi-select facets go in one comma separated param:
+//   experiences.html?category_id=<uuid>,<uuid>&county=Cork,Kerry
+// A single value (old links from landing / Finder) still reads as a list of one.
+function encodeListParam(values) {
+  return (values || []).map(v => String(v).trim()).filter(Boolean).join(',');
+}
+
+function decodeListParam(value) {
+  return [...new Set(String(value || '').split(',').map(v => v.trim()).filter(Boolean))];
+}
+
+// ?date=YYYY-MM-DD (only experiences with a session that day). Junk / impossible dates -> ''
+function normaliseDateParam(value) {
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return '';
+
+  const [y, m, d] = text.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d ? text : '';
+}
+
+// Builds the query string for experiences.html from a filters object.
+// Empty values are left out so links stay short.
+function buildExploreParams({
+  q, categoryIds, counties, priceRange, durations, date,
+  suitability, fitness, languages, groupSize, youngestAge, sort, src
+} = {}) {
+  const params = new URLSearchParams();
+  const { priceMin, priceMax } = normalisePriceRange(priceRange);
+  const size = normaliseGroupSize(groupSize);
+  const age = normaliseYoungestAge(youngestAge);
+
+  if (q) params.set('q', q);
+  if (categoryIds?.length) params.set('category_id', encodeListParam(categoryIds));
+  if (counties?.length) params.set('county', encodeListParam(counties));
+  if (priceMin !== null) params.set('price_min', String(priceMin));
+  if (priceMax !== null) params.set('price_max', String(priceMax));
+  if (durations?.length) params.set('duration', encodeListParam(durations));
+  if (normaliseDateParam(date)) params.set('date', normaliseDateParam(date));
+  if (suitability?.length) params.set('suitable', encodeListParam(suitability));
+  if (fitness?.length) params.set('fitness', encodeListParam(fitness));
+  if (languages?.length) params.set('language', encodeListParam(languages));
+  if (size !== null) params.set('group', String(size));
+  if (age !== null) params.set('age', String(age));
+  if (sort && sort !== defaultSortFor(!!q)) params.set('sort', sort);
+  if (src) params.set('src', src);
+
+  return params;
+}
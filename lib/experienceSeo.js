@@ -0,0 +1,144 @@
+// lib/experienceSeo.js
+// Page title, meta description, Open Graph / Twitter tags and schema.org JSON-LD for
+// one experience. Used in the browser by detailed_experience.js (after renderDetail)
+// and in Node by scripts/prerender_experiences.js, so both produce the same tags.
+// Load it before the page script.
+
+const SEO_SITE_NAME = 'ExperienceMe';
+const SEO_DEFAULT_DESCRIPTION = 'Discover unique experiences across Ireland on ExperienceMe.';
+const SEO_DESCRIPTION_LENGTH = 200;
+
+// Canonical / shared link = the prerendered snapshot path, no tracking params (src, sid).
+// Crawlers get the static file; experiences published since the last build fall back
+// to the live page through the rewrite in vercel.json.
+function experiencePageUrl(experienceId, baseUrl) {
+  return new URL(`experience/${encodeURIComponent(experienceId)}.html`, baseUrl).toString();
+}
+
+// Images in display_order, primary first
+function experienceImageUrls(exp) {
+  const imgs = (Array.isArray(exp?.image) ? exp.image : [])
+    .filter(img => img.image_url)
+    .slice()
+    .sort((a, b) => (a.display_order ?? 999) - (b.display_order ?? 999));
+
+  const primary = imgs.find(img => img.is_primary);
+  return [...(primary ? [primary] : []), ...imgs.filter(img => img !== primary)].map(img => img.image_url);
+}
+
+// Short plain-text summary for meta description / og:description
+function experienceSummary(exp) {
+  const text = String(exp?.short_description || exp?.event_description || '').replace(/\s+/g, ' ').trim();
+  if (!text) return SEO_DEFAULT_DESCRIPTION;
+  if (text.length <= SEO_DESCRIPTION_LENGTH) return text;
+  return `${text.slice(0, SEO_DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * Title + tags for the <head>.
+ * Returns { title, description, url, image } (image is '' when there are no photos).
+ */
+function buildExperienceMeta(exp, url) {
+  return {
+    title: `${exp?.title || 'Experience'} - ${SEO_SITE_NAME}`,
+    description: experienceSummary(exp),
+    url,
+    image: experienceImageUrls(exp)[0] || ''
+  };
+}
+
+/**
+ * schema.org JSON-LD for an experience: a TouristTrip (what it is, who runs it, where)
+ * that is also a Product, so search engines pick up the price range and star rating.
+ * Fields with no data are left out rather than sent empty.
+ */
+function buildExperienceJsonLd(exp, url) {
+  const biz = exp?.business || {};
+  const county = exp?.county || '';
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': ['TouristTrip', 'Product'],
+    '@id': url,
+    name: exp?.title || 'Experience',
+    description: experienceSummary(exp),
+    url,
+    image: experienceImageUrls(exp)
+  };
+
+  if (biz.business_name) {
+    data.provider = {
+      '@type': 'LocalBusiness',
+      name: biz.business_name,
+      ...(biz.website_url ? { url: biz.website_url } : {}),
+      ...(exp?.price_tier ? { priceRange: exp.price_tier } : {}),
+      address: {
+        '@type': 'PostalAddress',
+        ...(biz.location_text ? { streetAddress: biz.location_text } : {}),
+        ...(county ? { addressRegion: county } : {}),
+        addressCountry: 'IE'
+      }
+    };
+    data.brand = { '@type': 'Brand', name: biz.business_name };
+  }
+
+  // Where it happens (TouristTrip has no "location", the itinerary is the place)
+  if (county || biz.location_text) {
+    data.itinerary = {
+      '@type': 'Place',
+      name: biz.location_text || `${county}, Ireland`,
+      address: {
+        '@type': 'PostalAddress',
+        ...(county ? { addressRegion: county } : {}),
+        addressCountry: 'IE'
+      }
+    };
+  }
+
+  const low = Number(exp?.min_price);
+  if (exp?.min_price != null && Number.isFinite(low)) {
+    const high = exp.max_price != null && Number.isFinite(Number(exp.max_price)) ? Number(exp.max_price) : low;
+    data.offers = {
+      '@type': 'AggregateOffer',
+      priceCurrency: 'EUR',
+      lowPrice: low.toFixed(2),
+      highPrice: Math.max(low, high).toFixed(2),
+      availability: 'https://schema.org/InStock',
+      url: exp.booking_url || url
+    };
+  }
+
+  if (exp?.duration_minutes) data.duration = `PT${Number(exp.duration_minutes)}M`;
+
+  if (Number(exp?.review_count) > 0 && exp?.avg_rating != null) {
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Number(exp.avg_rating),
+      reviewCount: Number(exp.review_count),
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+
+  return data;
+}
+
+// JSON for inside <script type="application/ld+json">: "<" escaped so a title
+// containing "</script>" can't close the tag
+function jsonLdText(data) {
+  return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+// Node (scripts/prerender_experiences.js) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SEO_SITE_NAME,
+    SEO_DEFAULT_DESCRIPTION,
+    experiencePageUrl,
+    experienceImageUrls,
+    experienceSummary,
+    buildExperienceMeta,
+    buildExperienceJsonLd,
+    jsonLdText
+  };
+}
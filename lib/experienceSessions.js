@@ -0,0 +1,220 @@
+// lib/experienceSessions.js
+// When experiences run (sql/experience_sessions.sql): one-off sessions on a single date,
+// weekly ones on set weekdays inside a seasonal window. Used by the business dashboard
+// (session list), the detail page calendar and its .ics downloads.
+// Dates are 'YYYY-MM-DD' strings ("date keys") and times 'HH:MM', both Irish local time.
+
+const SESSION_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']; // index = weekdays value
+const SESSION_TIMEZONE = 'Europe/Dublin';
+
+function isRecurringSession(session) {
+  return Array.isArray(session?.weekdays) && session.weekdays.length > 0;
+}
+
+// ---------------------------
+// Date keys
+// ---------------------------
+function toDateKey(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Local midnight, so getDay() is the weekday of that date wherever the browser is
+function parseDateKey(key) {
+  const [y, m, d] = String(key || '').split('-').map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+}
+
+// "Sat 3 May"
+function formatDateKey(key, options = { weekday: 'short', day: 'numeric', month: 'short' }) {
+  return parseDateKey(key).toLocaleDateString(siteLocale(), options);
+}
+
+// Timestamp (created_at etc.) -> "3 May 2026"
+function formatDisplayDate(value, options = { day: 'numeric', month: 'short', year: 'numeric' }) {
+  return new Date(value).toLocaleDateString(siteLocale(), options);
+}
+
+// Locale for every date shown: the site language where the page loads lib/i18n.js
+// ('ga' -> 'ga-IE'), Irish English everywhere else
+function siteLocale() {
+  const lang = typeof getSiteLanguage === 'function' ? getSiteLanguage() : 'en';
+  return lang === 'en' || lang === 'ga' ? `${lang}-IE` : lang;
+}
+
+// ---------------------------
+// Which days a session runs
+// ---------------------------
+function sessionRunsOn(session, dateKey) {
+  if (!session || !dateKey) return false;
+  if (!isRecurringSession(session)) return session.start_date === dateKey;
+
+  if (dateKey < session.start_date) return false;
+  if (session.end_date && dateKey > session.end_date) return false;
+  return session.weekdays.includes(parseDateKey(dateKey).getDay());
+}
+
+// Every date (key) a session runs on between fromKey and toKey, both included
+function sessionDatesBetween(session, fromKey, toKey) {
+  const dates = [];
+  for (const d = parseDateKey(fromKey); toDateKey(d) <= toKey; d.setDate(d.getDate() + 1)) {
+    const key = toDateKey(d);
+    if (sessionRunsOn(session, key)) dates.push(key);
+  }
+  return dates;
+}
+
+// ---------------------------
+// Display
+// ---------------------------
+// "10:00" from Postgres "10:00:00"
+function formatSessionTime(time) {
+  return String(time || '').slice(0, 5);
+}
+
+// "10:00 – 12:00" (or just the start)
+function formatSessionTimes(session) {
+  const start = formatSessionTime(session?.start_time);
+  const end = formatSessionTime(session?.end_time);
+  return end ? `${start} – ${end}` : start;
+}
+
+// One line for the business dashboard:
+//   "Every Sat, Sun · 10:00 – 12:00 · 1 May 2026 – 30 Sep 2026 · up to 12 people"
+//   "Sat 3 May 2026 · 10:00"
+function describeSession(session) {
+  const longDate = { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' };
+  const shortDate = { day: 'numeric', month: 'short', year: 'numeric' };
+  const parts = [];
+
+  if (isRecurringSession(session)) {
+    const days = [...session.weekdays].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)); // Monday first
+    parts.push(`Every ${days.map(d => SESSION_WEEKDAYS[d]).join(', ')}`);
+    parts.push(formatSessionTimes(session));
+    parts.push(session.end_date
+      ? `${formatDateKey(session.start_date, shortDate)} – ${formatDateKey(session.end_date, shortDate)}`
+      : `from ${formatDateKey(session.start_date, shortDate)}`);
+  } else {
+    parts.push(formatDateKey(session.start_date, longDate));
+    parts.push(formatSessionTimes(session));
+  }
+
+  if (session.capacity) parts.push(`up to ${session.capacity} people`);
+  return parts.join(' · ');
+}
+
+// ---------------------------
+// Booking link
+// ---------------------------
+// The session's own link (else the experience's), with {date} / {time} filled in so a
+// business can deep-link into its booking system, e.g. https://book.example.ie/?day={date}
+function sessionBookingUrl(session, dateKey, fallbackUrl = '') {
+  const template = String(session?.booking_url || fallbackUrl || '').trim();
+  return template
+    .replaceAll('{date}', dateKey || '')
+    .replaceAll('{time}', formatSessionTime(session?.start_time));
+}
+
+// ---------------------------
+// Calendar file (.ics)
+// ---------------------------
+// Europe/Dublin rules so calendar apps place the time correctly across the clock change
+const SESSION_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${SESSION_TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19701025T020000',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19700329T010000',
+  'TZOFFSETFROM:+0000',
+  'TZOFFSETTO:+0100',
+  'TZNAME:IST',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE'
+];
+
+/**
+ * One occurrence of a session as an iCalendar file.
+ * No end_time: the experience's duration_minutes is used, else one hour.
+ */
+function buildSessionIcs({ session, dateKey, title, location = '', description = '', url = '', durationMinutes = null }) {
+  const start = wallClock(dateKey, session.start_time);
+  const end = session.end_time
+    ? wallClock(dateKey, session.end_time)
+    : new Date(start.getTime() + (Number(durationMinutes) || 60) * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ExperienceMe//Sessions//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...SESSION_VTIMEZONE,
+    'BEGIN:VEVENT',
+    `UID:${session.session_id}-${dateKey}@experienceme`,
+    `DTSTAMP:${icsUtcStamp(new Date())}`,
+    `DTSTART;TZID=${SESSION_TIMEZONE}:${icsLocalStamp(start)}`,
+    `DTEND;TZID=${SESSION_TIMEZONE}:${icsLocalStamp(end)}`,
+    `SUMMARY:${icsEscape(title)}`,
+    ...(location ? [`LOCATION:${icsEscape(location)}`] : []),
+    ...(description ? [`DESCRIPTION:${icsEscape(description)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// Wall-clock time held in UTC fields, so adding minutes never trips over DST
+function wallClock(dateKey, time) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const [hh, mm] = formatSessionTime(time).split(':').map(Number);
+  return new Date(Date.UTC(y, m - 1, d, hh || 0, mm || 0));
+}
+
+function icsLocalStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').slice(0, 15); // 20260503T100000
+}
+
+function icsUtcStamp(date) {
+  return `${icsLocalStamp(date)}Z`;
+}
+
+function icsEscape(text) {
+  return String(text || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/[,;]/g, m => `\\${m}`);
+}
+
+// Lines over 75 octets (UTF-8) continue on the next line after a space (RFC 5545).
+// The leading space counts towards the 75, and a character is never split.
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const cp = char.codePointAt(0);
+    const size = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    const limit = parts.length ? 74 : 75;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
@@ -0,0 +1,870 @@
+// lib/i18n.js
+// Site language: UI strings, the language switcher in the nav and translated listings.
+//
+//   UI strings   elements tagged data-i18n="key" (text), data-i18n-placeholder="key",
+//                data-i18n-aria-label="key" or data-i18n-title="key" are filled from
+//                UI_STRINGS by applyTranslations();
+//                page scripts use t('key') / tCount('key', n) for text they build.
+//                A key missing in a language falls back to English, so untranslated text
+//                just stays English.
+//   Switcher     initSiteLanguage() adds a language <select> to the nav. The choice is kept in
+//                localStorage and, for logged-in users, in users.preferred_language
+//                (sql/experience_translations.sql) so it follows them to other devices.
+//   Listings     localizeExperience() swaps in a business's translation of the title,
+//                descriptions and lists (experience_translation rows), field by field, with
+//                the English original wherever a translation is missing.
+//
+// Load it after supabaseClient.js and before the page script, then await initSiteLanguage()
+// first thing on DOMContentLoaded, before the page builds any text.
+
+const SITE_LANGUAGE_KEY = 'site_language';
+
+let siteLanguage = null; // set by showSiteLanguage(), so it holds even when storage is blocked
+
+// Same codes as EXPERIENCE_LANGUAGES (lib/experienceFilters.js), named in their own language.
+// Only English + Irish have UI strings: the others get translated listings in an English UI.
+const SITE_LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'ga', label: 'Gaeilge' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'es', label: 'Español' },
+  { code: 'it', label: 'Italiano' },
+  { code: 'pt', label: 'Português' },
+  { code: 'pl', label: 'Polski' },
+  { code: 'nl', label: 'Nederlands' },
+  { code: 'zh', label: '中文' }
+];
+
+// Columns a business can translate (experience_translation has the same ones)
+const TRANSLATED_FIELDS = ['title', 'short_description', 'event_description', 'what_you_do', 'whats_included'];
+
+// What to put in a .select() next to the English columns
+const TRANSLATION_SELECT = `experience_translation(lang, ${TRANSLATED_FIELDS.join(', ')})`;
+
+// Plurals are key.one / key.other; {name} is filled from vars
+const UI_STRINGS = {
+  en: {
+    'nav.explore': 'Explore',
+    'nav.features': 'Features',
+    'nav.about': 'About',
+    'nav.finder': 'Experience Finder Tool',
+    'nav.login': 'Login',
+    'nav.signup': 'Sign Up',
+    'nav.favourites': 'Favourites',
+    'nav.profile': 'Profile',
+    'nav.dashboard': 'Dashboard',
+    'nav.signout': 'Sign Out',
+    'nav.waitlist': 'Join waitlist',
+    'nav.language': 'Language',
+
+    'explore.title': 'Explore Irish Experiences',
+    'explore.subtitle': 'Search and filter experiences across Ireland',
+    'explore.searchPlaceholder': 'Find an experience...',
+    'explore.search': 'Search',
+
+    'filters.title': 'Filters',
+    'filters.category': 'Category',
+    'filters.county': 'County',
+    'filters.duration': 'Time available',
+    'filters.date': 'Date',
+    'filters.price': 'Price',
+    'filters.suitable': 'Suitable for',
+    'filters.who': "Who's coming",
+    'filters.people': 'People',
+    'filters.youngestAge': 'Youngest age',
+    'filters.fitness': 'Fitness level',
+    'filters.language': 'Language',
+    'filters.any': 'Any',
+    'filters.clear': 'Clear',
+    'filters.apply': 'Apply',
+
+    'results.sortBy': 'Sort by',
+    'results.loading': 'Loading experiences...',
+    'results.loadingShort': 'Loading...',
+    'results.found.one': '{count} experience found',
+    'results.found.other': '{count} experiences found',
+    'results.showing': 'Showing {shown} of {total} experiences',
+    'results.none': 'No experiences found',
+    'results.noneOnDate': 'Nothing is scheduled on that date yet',
+    'results.error': 'Something went wrong loading experiences.',
+    'results.loadMore': 'Load more',
+    'card.from': 'From {price}',
+    'card.priceTbd': 'Price TBD',
+
+    'detail.from': 'From',
+    'detail.priceTier': 'Price Tier',
+    'detail.range': 'Range',
+    'detail.perPerson': 'per person',
+    'detail.perGroup': 'for a group of {size}',
+    'detail.eachPerson': 'Each person',
+    'detail.childPrice': 'Children',
+    'detail.concessionPrice': 'Concessions',
+    'detail.bookingNote': 'Bookings are handled on the business website. You will be redirected to complete payment securely.',
+    'detail.goToSite': 'Go to Business Site',
+    'detail.save': '♡ Save',
+    'detail.saved': '♥ Saved',
+    'detail.share': '↗ Share',
+    'detail.giftCard': '🎁 Gift card',
+    'detail.host': 'Host',
+    'detail.whenItRuns': 'When it runs',
+    'detail.goodToKnow': 'Good to know',
+    'detail.whatYouDo': "What you'll do",
+    'detail.whatsIncluded': "What's included",
+    'detail.similar': 'You might also like',
+    'detail.reviews': 'Reviews',
+    'detail.questions': 'Questions & answers',
+    'detail.comingSoon': 'Details coming soon.',
+    'detail.noDescription': 'No description provided yet.',
+    'detail.durationTbd': 'Duration TBD',
+    'detail.notTranslated': "This listing isn't available in your language yet, so it's shown in English.",
+    'detail.untitled': 'Experience',
+    'detail.ireland': 'Ireland',
+    'detail.inIreland': '{county}, Ireland',
+    'detail.business': 'Business',
+    'detail.hostComingSoon': 'Business description coming soon.',
+    'detail.info': 'Info',
+    'detail.missingId': 'Missing experience id in URL.',
+    'detail.loadError': 'Could not load this experience.',
+    'detail.error': 'Something went wrong.',
+    'detail.errorDefault': 'Something went wrong loading this experience.',
+    'detail.signOutError': 'Could not sign out. Please try again.',
+    'detail.favouritesError': 'Error updating favourites.',
+    'detail.loginToSave': 'Log in to save favourites',
+    'detail.addFavourite': 'Add to favourites',
+    'detail.removeFavourite': 'Remove from favourites',
+    'detail.shareSubject': 'Take a look: {title}',
+    'detail.linkCopied': 'Link copied!',
+    'detail.copyPrompt': 'Copy this link:',
+
+    'gallery.viewAll': 'View all {count} photos',
+    'gallery.showPhoto': 'Show photo {number}',
+    'gallery.photoAlt': '{title} - photo {number} of {total}',
+    'gallery.imageAlt': 'Experience image',
+
+    'reviews.loadError': 'Reviews could not be loaded.',
+    'reviews.none': 'No reviews yet',
+    'reviews.beFirst': 'Be the first to review this experience.',
+    'reviews.hidden': 'Hidden after reports',
+    'reviews.yours': 'Your review',
+    'reviews.reported': 'Reported',
+    'reviews.report': 'Report',
+    'reviews.stars': '{rating} out of 5 stars',
+    'reviews.member': 'ExperienceMe member',
+    'reviews.edited': '(edited)',
+    'reviews.update': 'Update review',
+    'reviews.post': 'Post review',
+    'reviews.pickStars': 'Pick a star rating first.',
+    'reviews.already': 'You have already reviewed this experience.',
+    'reviews.ownExperience': "You can't review your own experience.",
+    'reviews.saveError': 'Could not save your review.',
+    'reviews.confirmDelete': 'Delete your review?',
+    'reviews.deleteError': 'Could not delete your review.',
+    'reviews.reportPrompt': 'Why are you reporting this review? (optional)',
+    'reviews.reportThanks': 'Thanks, we will take a look.',
+    'reviews.reportError': 'Could not report this review.',
+
+    'qa.loadError': 'Questions could not be loaded.',
+    'qa.none': 'No questions yet.',
+    'qa.question': 'Q: {question}',
+    'qa.answer': 'Answer:',
+    'qa.waiting': 'Waiting for the business to answer. Only you can see this until then.',
+    'qa.askedBy': 'Asked by {name} on {date}',
+    'qa.typeFirst': 'Please type your question first.',
+    'qa.sendError': 'Could not send your question.',
+
+    'sessions.upTo.one': 'Up to {count} person',
+    'sessions.upTo.other': 'Up to {count} people',
+    'sessions.book': 'Book',
+    'sessions.addToCalendar': '📅 Add to calendar',
+    'sessions.pickDay': 'Pick a highlighted day to see session times.',
+    'sessions.available': '{date}, sessions available',
+    'sessions.icsBooking': 'Booking: {url}',
+    'sessions.icsSeePage': 'see the experience page',
+
+    'results.errorShort': 'Error loading experiences',
+    'results.errorMore': 'Error loading more experiences',
+    'filters.categoriesError': 'Could not load categories',
+    'filters.countiesError': 'Could not load counties',
+    'filters.noneYet': 'None available yet',
+
+    'price.minLabel': 'Min €',
+    'price.maxLabel': 'Max €',
+    'price.minAria': 'Minimum price',
+    'price.maxAria': 'Maximum price',
+    'price.anyPlaceholder': 'Any',
+
+    'finder.title': 'Experience Finder',
+    'finder.subtitle': 'Answer a few quick questions and we’ll match you with experiences they’ll love.',
+    'finder.panelTitle': 'Tell us about the gift',
+    'finder.panelSub': 'Select the options that best describe them. Your answers will be highlighted.',
+    'finder.modeLabel': 'How to answer',
+    'finder.modeQuiz': 'Step by step',
+    'finder.modeAll': 'All questions',
+    'finder.loadingQuestions': 'Loading questions…',
+    'finder.notSetUp': "The gift questions aren't set up yet, you can still search by county, budget and time.",
+    'finder.pickMany': '(pick as many as you like)',
+    'finder.pickAllFit': '(every one you pick has to fit)',
+    'finder.anyCounty': 'Any county',
+    'finder.timeQuestion': 'How much time do you have?',
+    'finder.suitQuestion': 'Anything it has to suit?',
+    'finder.activeQuestion': 'How active should it be?',
+    'finder.languageQuestion': 'Which language should it run in?',
+    'finder.whoQuestion': "Who's coming?",
+    'finder.people': '{count} people',
+    'finder.youngest': 'Youngest {age}',
+    'finder.question': 'Question {number}',
+    'finder.questionOf': 'Question {number} of {total}',
+    'finder.kicker.county': '(county)',
+    'finder.kicker.budget': 'Budget',
+    'finder.kicker.time': 'Time',
+    'finder.kicker.needs': 'Needs',
+    'finder.back': '← Back',
+    'finder.next': 'Next →',
+    'finder.seeResults': 'See my results →',
+    'finder.reset': 'Reset',
+    'finder.myResults': 'My results',
+    'finder.seeMatches': 'See experience matches →',
+    'finder.liveTitle': 'Live experience matches',
+    'finder.liveSub': 'Updates as you select answers.',
+    'finder.sortLabel': 'Sort matches',
+    'finder.pickToSee': 'Pick options to see matches…',
+    'finder.resultsTitle': 'Your Finder results',
+    'finder.changeAnswers': '← Change answers',
+    'finder.copyLink': 'Copy link',
+    'finder.linkCopied': 'Link copied',
+    'finder.copyPrompt': 'Copy this link:',
+    'finder.seeAllExplore': 'See all in Explore →',
+    'finder.loadingResults': 'Loading your results…',
+    'finder.basedOn': 'Based on: {answers}',
+    'finder.noAnswers': 'No answers yet, so these are our most popular experiences.',
+    'finder.loadingMatches': 'Loading matches...',
+    'finder.noMatches': 'No experiences to show yet — check back soon.',
+    'finder.closeNote': 'No exact matches, so here are the closest ones. Each says what is different.',
+    'finder.matchesError': 'Something went wrong loading matches.',
+    'finder.matchScore': '{percent}% match',
+    'finder.closeMatch': 'Close match:',
+    'finder.whyMatches': 'Why this matches:',
+    'finder.view': 'View',
+    'finder.nearbyIn': 'Nearby in {county}',
+    'finder.neighbouringCounty': 'a neighbouring county',
+    'finder.inCounty': 'In {county}',
+    'finder.anotherCounty': 'another county',
+    'finder.overBudget': 'A bit over your budget',
+    'finder.outsideBudget': 'Outside your budget',
+    'finder.similarType': 'A similar type of experience',
+    'finder.differentTime': 'Takes a different amount of time',
+    'finder.differentActivity': 'A different level of activity',
+    'finder.popularPick': 'Popular pick',
+    'finder.asAsked': '{answers}, as asked',
+    'finder.withinBudget': 'Within your budget',
+    'finder.someInBudget': 'Some options in your budget',
+    'finder.popularSaves': 'Popular ({count} saves)',
+    'finder.popularViews': 'Popular ({count} views)',
+
+    'compare.crumb': 'Compare',
+    'compare.title': 'Compare experiences',
+    'compare.subtitle': "Side by side: price, duration, location and what's included.",
+    'compare.loading': 'Loading comparison...',
+    'compare.empty': 'Nothing to compare yet. Use <strong>+ Compare</strong> on experiences in <a href="experiences.html">Explore</a>, the <a href="finder.html">Finder</a> or your favourites.',
+    'compare.gone': 'These experiences are no longer available.',
+    'compare.someGone': 'Some experiences are no longer available and were left out.',
+    'compare.error': 'Something went wrong loading the comparison.',
+    'compare.remove': 'Remove',
+    'compare.noReviews': 'No reviews yet',
+    'compare.row.price': 'Price',
+    'compare.row.reduced': 'Children / concessions',
+    'compare.row.tier': 'Price tier',
+    'compare.row.duration': 'Duration',
+    'compare.row.rating': 'Rating',
+    'compare.row.county': 'County',
+    'compare.row.business': 'Business',
+    'compare.row.included': "What's included",
+    'compare.row.whatYouDo': "What you'll do",
+    'compare.add': '+ Compare',
+    'compare.comparing': '✓ Comparing',
+    'compare.max': 'You can compare up to {max} experiences',
+    'compare.removeItem': 'Remove {title} from compare',
+    'compare.pickTwo': 'Pick at least 2 to compare',
+    'compare.count': '{count} of {max}',
+    'compare.clear': 'Clear',
+    'compare.go': 'Compare',
+
+    'gift.crumb': 'Gift card',
+    'gift.title': 'Make a gift card',
+    'gift.subtitle': 'Add a personal message, then print it or save it as a PDF. The QR code opens the experience.',
+    'gift.loading': 'Loading experience...',
+    'gift.gone': 'This experience is no longer available.',
+    'gift.error': 'Something went wrong loading this experience.',
+    'gift.pageTitle': 'Gift card: {title} - ExperienceMe',
+    'gift.to': 'To',
+    'gift.toPlaceholder': 'e.g., Aoife',
+    'gift.occasion': 'Occasion',
+    'gift.occasionPlaceholder': 'e.g., Birthday',
+    'gift.message': 'Message',
+    'gift.messagePlaceholder': 'Happy birthday! Enjoy the day out.',
+    'gift.from': 'From',
+    'gift.fromPlaceholder': 'e.g., Ciarán',
+    'gift.print': 'Print / Save as PDF',
+    'gift.hint': 'Choose "Save as PDF" as the printer to download it. No payment is taken, book with the business when you\'re ready.',
+    'gift.scan': 'Scan to see the experience',
+    'gift.with': 'with {business}',
+    'gift.toName': 'To {name}',
+    'gift.fromName': 'From {name}',
+
+    'user.favourites': 'My Favorites',
+    'user.profileTitle': 'Your Profile',
+    'user.loggedIn': '✅ You are successfully logged in as a User!',
+    'user.gettingStarted': 'Getting Started',
+    'user.welcome': 'Welcome to ExperienceMe! Here are some things you can do:',
+    'user.tipExplore': 'Explore amazing local experiences',
+    'user.tipSave': 'Save your favorite activities',
+    'user.tipBook': 'Book experiences directly',
+    'user.tipReview': 'Leave reviews and ratings',
+    'user.exploreButton': 'Explore Experiences',
+    'user.favouritesIntro': 'These are the experiences you’ve saved.',
+    'user.removeFavourite': 'Remove from favorites',
+    'user.viewDetails': 'View Details',
+    'user.name': 'Name',
+    'user.email': 'Email',
+    'user.role': 'Role',
+    'user.noFavourites': 'You have no favorites yet. Go to <a href="../experiences.html"><strong>Explore</strong></a> and add some!',
+    'user.favouritesError': 'Error loading favorites',
+    'user.untitled': 'Untitled',
+    'user.locationTbd': 'Location TBD',
+    'user.removed': 'Removed from favorites',
+    'user.added': 'Added to favorites',
+    'user.updateError': 'Error updating favorites',
+    'user.logoutError': 'Error logging out'
+  },
+
+  ga: {
+    'nav.explore': 'Taiscéal',
+    'nav.features': 'Gnéithe',
+    'nav.about': 'Fúinn',
+    'nav.finder': 'Aimsitheoir Eispéireas',
+    'nav.login': 'Logáil isteach',
+    'nav.signup': 'Cláraigh',
+    'nav.favourites': 'Ceanáin',
+    'nav.profile': 'Próifíl',
+    'nav.dashboard': 'Painéal',
+    'nav.signout': 'Logáil amach',
+    'nav.waitlist': 'Liosta feithimh',
+    'nav.language': 'Teanga',
+
+    'explore.title': 'Taiscéal Eispéiris in Éirinn',
+    'explore.subtitle': 'Cuardaigh agus scag eispéiris ar fud na hÉireann',
+    'explore.searchPlaceholder': 'Aimsigh eispéireas...',
+    'explore.search': 'Cuardaigh',
+
+    'filters.title': 'Scagairí',
+    'filters.category': 'Catagóir',
+    'filters.county': 'Contae',
+    'filters.duration': 'Am atá ar fáil',
+    'filters.date': 'Dáta',
+    'filters.price': 'Praghas',
+    'filters.suitable': 'Oiriúnach do',
+    'filters.who': 'Cé atá ag teacht',
+    'filters.people': 'Daoine',
+    'filters.youngestAge': 'An aois is óige',
+    'filters.fitness': 'Leibhéal aclaíochta',
+    'filters.language': 'Teanga',
+    'filters.any': 'Ar bith',
+    'filters.clear': 'Glan',
+    'filters.apply': 'Cuir i bhfeidhm',
+
+    'results.sortBy': 'Sórtáil de réir',
+    'results.loading': 'Eispéiris á lódáil...',
+    'results.loadingShort': 'Á lódáil...',
+    'results.found.one': 'Eispéireas amháin aimsithe',
+    'results.found.other': 'Eispéiris aimsithe: {count}',
+    'results.showing': '{shown} as {total} eispéireas á dtaispeáint',
+    'results.none': 'Níor aimsíodh aon eispéireas',
+    'results.noneOnDate': 'Níl aon rud sceidealaithe don dáta sin fós',
+    'results.error': 'Tharla earráid agus na heispéiris á lódáil.',
+    'results.loadMore': 'Tuilleadh',
+    'card.from': 'Ó {price}',
+    'card.priceTbd': 'Praghas le socrú',
+
+    'detail.from': 'Ó',
+    'detail.priceTier': 'Leibhéal praghais',
+    'detail.range': 'Raon',
+    'detail.perPerson': 'an duine',
+    'detail.perGroup': 'do ghrúpa de {size}',
+    'detail.eachPerson': 'Gach duine',
+    'detail.childPrice': 'Páistí',
+    'detail.concessionPrice': 'Lascainí',
+    'detail.bookingNote': 'Déantar áirithintí ar shuíomh gréasáin an ghnó. Atreorófar thú chun íoc go slán.',
+    'detail.goToSite': 'Téigh chuig suíomh an ghnó',
+    'detail.save': '♡ Sábháil',
+    'detail.saved': '♥ Sábháilte',
+    'detail.share': '↗ Roinn',
+    'detail.giftCard': '🎁 Cárta bronntanais',
+    'detail.host': 'Óstach',
+    'detail.whenItRuns': 'Cathain a bhíonn sé ar siúl',
+    'detail.goodToKnow': 'Eolas úsáideach',
+    'detail.whatYouDo': 'Cad a dhéanfaidh tú',
+    'detail.whatsIncluded': 'Cad atá san áireamh',
+    'detail.similar': 'Seans go dtaitneoidh na cinn seo leat freisin',
+    'detail.reviews': 'Léirmheasanna',
+    'detail.questions': 'Ceisteanna & freagraí',
+    'detail.comingSoon': 'Sonraí le teacht go luath.',
+    'detail.noDescription': 'Níl cur síos ar fáil fós.',
+    'detail.durationTbd': 'Fad le socrú',
+    'detail.notTranslated': 'Níl an liostú seo ar fáil sa teanga seo fós, mar sin taispeántar i mBéarla é.',
+    'detail.untitled': 'Eispéireas',
+    'detail.ireland': 'Éire',
+    'detail.inIreland': '{county}, Éire',
+    'detail.business': 'Gnó',
+    'detail.hostComingSoon': 'Cur síos ar an ngnó le teacht go luath.',
+    'detail.info': 'Eolas',
+    'detail.missingId': 'Níl aitheantas an eispéiris sa URL.',
+    'detail.loadError': 'Níorbh fhéidir an t-eispéireas seo a lódáil.',
+    'detail.error': 'Chuaigh rud éigin mícheart.',
+    'detail.errorDefault': 'Chuaigh rud éigin mícheart agus an t-eispéireas seo á lódáil.',
+    'detail.signOutError': 'Níorbh fhéidir tú a shíniú amach. Bain triail eile as.',
+    'detail.favouritesError': 'Earráid agus na ceanáin á nuashonrú.',
+    'detail.loginToSave': 'Logáil isteach chun ceanáin a shábháil',
+    'detail.addFavourite': 'Cuir leis na ceanáin',
+    'detail.removeFavourite': 'Bain de na ceanáin',
+    'detail.shareSubject': 'Féach air seo: {title}',
+    'detail.linkCopied': 'Nasc cóipeáilte!',
+    'detail.copyPrompt': 'Cóipeáil an nasc seo:',
+
+    'gallery.viewAll': 'Féach ar na {count} grianghraf go léir',
+    'gallery.showPhoto': 'Taispeáin grianghraf {number}',
+    'gallery.photoAlt': '{title} - grianghraf {number} as {total}',
+    'gallery.imageAlt': 'Íomhá den eispéireas',
+
+    'reviews.loadError': 'Níorbh fhéidir na léirmheasanna a lódáil.',
+    'reviews.none': 'Níl aon léirmheas fós',
+    'reviews.beFirst': 'Bí ar an gcéad duine a scríobhann léirmheas ar an eispéireas seo.',
+    'reviews.hidden': 'Folaithe tar éis tuairiscí',
+    'reviews.yours': 'Do léirmheas',
+    'reviews.reported': 'Tuairiscithe',
+    'reviews.report': 'Tuairiscigh',
+    'reviews.stars': '{rating} as 5 réalta',
+    'reviews.member': 'Ball de ExperienceMe',
+    'reviews.edited': '(curtha in eagar)',
+    'reviews.update': 'Nuashonraigh an léirmheas',
+    'reviews.post': 'Foilsigh léirmheas',
+    'reviews.pickStars': 'Roghnaigh rátáil réalta ar dtús.',
+    'reviews.already': 'Tá léirmheas scríofa agat ar an eispéireas seo cheana.',
+    'reviews.ownExperience': 'Ní féidir leat léirmheas a scríobh ar d’eispéireas féin.',
+    'reviews.saveError': 'Níorbh fhéidir do léirmheas a shábháil.',
+    'reviews.confirmDelete': 'Do léirmheas a scriosadh?',
+    'reviews.deleteError': 'Níorbh fhéidir do léirmheas a scriosadh.',
+    'reviews.reportPrompt': 'Cén fáth a bhfuil tú ag tuairisciú an léirmheasa seo? (roghnach)',
+    'reviews.reportThanks': 'Go raibh maith agat, féachfaimid air.',
+    'reviews.reportError': 'Níorbh fhéidir an léirmheas seo a thuairisciú.',
+
+    'qa.loadError': 'Níorbh fhéidir na ceisteanna a lódáil.',
+    'qa.none': 'Níl aon cheist fós.',
+    'qa.question': 'C: {question}',
+    'qa.answer': 'Freagra:',
+    'qa.waiting': 'Ag fanacht ar fhreagra ón ngnó. Is tusa amháin a fheiceann é seo go dtí sin.',
+    'qa.askedBy': 'Curtha ag {name} ar {date}',
+    'qa.typeFirst': 'Clóscríobh do cheist ar dtús, le do thoil.',
+    'qa.sendError': 'Níorbh fhéidir do cheist a sheoladh.',
+
+    'sessions.upTo.one': 'Suas le {count} duine',
+    'sessions.upTo.other': 'Suas le {count} duine',
+    'sessions.book': 'Cuir in áirithe',
+    'sessions.addToCalendar': '📅 Cuir le féilire',
+    'sessions.pickDay': 'Roghnaigh lá aibhsithe chun na hamanna a fheiceáil.',
+    'sessions.available': '{date}, seisiúin ar fáil',
+    'sessions.icsBooking': 'Áirithint: {url}',
+    'sessions.icsSeePage': 'féach ar leathanach an eispéiris',
+
+    'results.errorShort': 'Earráid agus eispéiris á lódáil',
+    'results.errorMore': 'Earráid agus tuilleadh eispéireas á lódáil',
+    'filters.categoriesError': 'Níorbh fhéidir na catagóirí a lódáil',
+    'filters.countiesError': 'Níorbh fhéidir na contaetha a lódáil',
+    'filters.noneYet': 'Níl aon cheann ar fáil fós',
+
+    'price.minLabel': 'Íos €',
+    'price.maxLabel': 'Uas €',
+    'price.minAria': 'Íosphraghas',
+    'price.maxAria': 'Uasphraghas',
+    'price.anyPlaceholder': 'Ar bith',
+
+    'finder.title': 'Aimsitheoir Eispéireas',
+    'finder.subtitle': 'Freagair cúpla ceist ghearr agus aimseoimid eispéiris a thaitneoidh leo.',
+    'finder.panelTitle': 'Inis dúinn faoin mbronntanas',
+    'finder.panelSub': 'Roghnaigh na roghanna is fearr a chuireann síos orthu. Aibhseofar do fhreagraí.',
+    'finder.modeLabel': 'Conas freagairt',
+    'finder.modeQuiz': 'Céim ar chéim',
+    'finder.modeAll': 'Na ceisteanna go léir',
+    'finder.loadingQuestions': 'Ceisteanna á lódáil…',
+    'finder.notSetUp': 'Níl na ceisteanna bronntanais socraithe fós, is féidir leat cuardach de réir contae, buiséid agus ama fós.',
+    'finder.pickMany': '(roghnaigh an oiread agus is mian leat)',
+    'finder.pickAllFit': '(caithfidh gach ceann a roghnaíonn tú a bheith oiriúnach)',
+    'finder.anyCounty': 'Contae ar bith',
+    'finder.timeQuestion': 'Cé mhéad ama atá agat?',
+    'finder.suitQuestion': 'An gcaithfidh sé oiriúint do rud ar bith?',
+    'finder.activeQuestion': 'Cé chomh gníomhach ba chóir dó a bheith?',
+    'finder.languageQuestion': 'Cén teanga inar cheart é a bheith?',
+    'finder.whoQuestion': 'Cé atá ag teacht?',
+    'finder.people': '{count} duine',
+    'finder.youngest': 'An duine is óige: {age}',
+    'finder.question': 'Ceist {number}',
+    'finder.questionOf': 'Ceist {number} as {total}',
+    'finder.kicker.county': '(contae)',
+    'finder.kicker.budget': 'Buiséad',
+    'finder.kicker.time': 'Am',
+    'finder.kicker.needs': 'Riachtanais',
+    'finder.back': '← Siar',
+    'finder.next': 'Ar aghaidh →',
+    'finder.seeResults': 'Féach ar mo thorthaí →',
+    'finder.reset': 'Athshocraigh',
+    'finder.myResults': 'Mo thorthaí',
+    'finder.seeMatches': 'Féach ar eispéiris a oireann →',
+    'finder.liveTitle': 'Eispéiris a oireann, beo',
+    'finder.liveSub': 'Nuashonraítear iad de réir mar a roghnaíonn tú freagraí.',
+    'finder.sortLabel': 'Sórtáil na torthaí',
+    'finder.pickToSee': 'Roghnaigh roghanna chun torthaí a fheiceáil…',
+    'finder.resultsTitle': 'Do thorthaí ón Aimsitheoir',
+    'finder.changeAnswers': '← Athraigh na freagraí',
+    'finder.copyLink': 'Cóipeáil an nasc',
+    'finder.linkCopied': 'Nasc cóipeáilte',
+    'finder.copyPrompt': 'Cóipeáil an nasc seo:',
+    'finder.seeAllExplore': 'Féach orthu go léir in Taiscéal →',
+    'finder.loadingResults': 'Do thorthaí á lódáil…',
+    'finder.basedOn': 'Bunaithe ar: {answers}',
+    'finder.noAnswers': 'Gan freagraí fós, mar sin seo iad na heispéiris is mó éileamh.',
+    'finder.loadingMatches': 'Torthaí á lódáil...',
+    'finder.noMatches': 'Níl aon eispéireas le taispeáint fós — féach arís ar ball.',
+    'finder.closeNote': 'Níl aon rud a oireann go díreach, mar sin seo iad na cinn is gaire. Deir gach ceann cad atá difriúil.',
+    'finder.matchesError': 'Tharla earráid agus na torthaí á lódáil.',
+    'finder.matchScore': '{percent}% oiriúnach',
+    'finder.closeMatch': 'Gar dó:',
+    'finder.whyMatches': 'Cén fáth a n-oireann sé:',
+    'finder.view': 'Féach',
+    'finder.nearbyIn': 'In aice láimhe i {county}',
+    'finder.neighbouringCounty': 'gcontae in aice láimhe',
+    'finder.inCounty': 'I {county}',
+    'finder.anotherCounty': 'gcontae eile',
+    'finder.overBudget': 'Beagán os cionn do bhuiséid',
+    'finder.outsideBudget': 'Lasmuigh de do bhuiséad',
+    'finder.similarType': 'Eispéireas cosúil leis',
+    'finder.differentTime': 'Tógann sé méid difriúil ama',
+    'finder.differentActivity': 'Leibhéal gníomhaíochta difriúil',
+    'finder.popularPick': 'Rogha a bhfuil éileamh air',
+    'finder.asAsked': '{answers}, mar a iarradh',
+    'finder.withinBudget': 'Laistigh de do bhuiséad',
+    'finder.someInBudget': 'Roinnt roghanna laistigh de do bhuiséad',
+    'finder.popularSaves': 'Éileamh air ({count} sábháil)',
+    'finder.popularViews': 'Éileamh air ({count} amharc)',
+
+    'compare.crumb': 'Comparáid',
+    'compare.title': 'Cuir eispéiris i gcomparáid',
+    'compare.subtitle': 'Taobh le taobh: praghas, fad, suíomh agus cad atá san áireamh.',
+    'compare.loading': 'Comparáid á lódáil...',
+    'compare.empty': 'Níl aon rud le cur i gcomparáid fós. Úsáid <strong>+ Comparáid</strong> ar eispéiris in <a href="experiences.html">Taiscéal</a>, san <a href="finder.html">Aimsitheoir</a> nó i do cheanáin.',
+    'compare.gone': 'Níl na heispéiris seo ar fáil a thuilleadh.',
+    'compare.someGone': 'Níl roinnt eispéireas ar fáil a thuilleadh agus fágadh amach iad.',
+    'compare.error': 'Tharla earráid agus an chomparáid á lódáil.',
+    'compare.remove': 'Bain',
+    'compare.noReviews': 'Gan léirmheasanna fós',
+    'compare.row.price': 'Praghas',
+    'compare.row.reduced': 'Páistí / lascainí',
+    'compare.row.tier': 'Leibhéal praghais',
+    'compare.row.duration': 'Fad',
+    'compare.row.rating': 'Rátáil',
+    'compare.row.county': 'Contae',
+    'compare.row.business': 'Gnó',
+    'compare.row.included': 'Cad atá san áireamh',
+    'compare.row.whatYouDo': 'Cad a dhéanfaidh tú',
+    'compare.add': '+ Comparáid',
+    'compare.comparing': '✓ I gcomparáid',
+    'compare.max': 'Is féidir suas le {max} eispéireas a chur i gcomparáid',
+    'compare.removeItem': 'Bain {title} den chomparáid',
+    'compare.pickTwo': 'Roghnaigh 2 ar a laghad',
+    'compare.count': '{count} as {max}',
+    'compare.clear': 'Glan',
+    'compare.go': 'Cuir i gcomparáid',
+
+    'gift.crumb': 'Cárta bronntanais',
+    'gift.title': 'Déan cárta bronntanais',
+    'gift.subtitle': 'Cuir teachtaireacht phearsanta leis, ansin priontáil é nó sábháil mar PDF é. Osclaíonn an cód QR an t-eispéireas.',
+    'gift.loading': 'Eispéireas á lódáil...',
+    'gift.gone': 'Níl an t-eispéireas seo ar fáil a thuilleadh.',
+    'gift.error': 'Tharla earráid agus an t-eispéireas seo á lódáil.',
+    'gift.pageTitle': 'Cárta bronntanais: {title} - ExperienceMe',
+    'gift.to': 'Chuig',
+    'gift.toPlaceholder': 'm.sh., Aoife',
+    'gift.occasion': 'Ócáid',
+    'gift.occasionPlaceholder': 'm.sh., Lá breithe',
+    'gift.message': 'Teachtaireacht',
+    'gift.messagePlaceholder': 'Lá breithe sona duit! Bain sult as an lá.',
+    'gift.from': 'Ó',
+    'gift.fromPlaceholder': 'm.sh., Ciarán',
+    'gift.print': 'Priontáil / Sábháil mar PDF',
+    'gift.hint': 'Roghnaigh "Sábháil mar PDF" mar an printéir chun é a íoslódáil. Ní ghlactar íocaíocht, cuir in áirithe leis an ngnó nuair atá tú réidh.',
+    'gift.scan': 'Scanáil chun an t-eispéireas a fheiceáil',
+    'gift.with': 'le {business}',
+    'gift.toName': 'Chuig {name}',
+    'gift.fromName': 'Ó {name}',
+
+    'user.favourites': 'Mo Cheanáin',
+    'user.profileTitle': 'Do Phróifíl',
+    'user.loggedIn': '✅ Tá tú logáilte isteach mar Úsáideoir!',
+    'user.gettingStarted': 'Ag Tosú',
+    'user.welcome': 'Fáilte go ExperienceMe! Seo roinnt rudaí is féidir leat a dhéanamh:',
+    'user.tipExplore': 'Taiscéal eispéiris iontacha áitiúla',
+    'user.tipSave': 'Sábháil na gníomhaíochtaí is fearr leat',
+    'user.tipBook': 'Cuir eispéiris in áirithe go díreach',
+    'user.tipReview': 'Fág léirmheasanna agus rátálacha',
+    'user.exploreButton': 'Taiscéal Eispéiris',
+    'user.favouritesIntro': 'Seo iad na heispéiris atá sábháilte agat.',
+    'user.removeFavourite': 'Bain de na ceanáin',
+    'user.viewDetails': 'Féach ar na sonraí',
+    'user.name': 'Ainm',
+    'user.email': 'Ríomhphost',
+    'user.role': 'Ról',
+    'user.noFavourites': 'Níl aon cheanán agat fós. Téigh chuig <a href="../experiences.html"><strong>Taiscéal</strong></a> agus cuir roinnt leis!',
+    'user.favouritesError': 'Earráid agus na ceanáin á lódáil',
+    'user.untitled': 'Gan teideal',
+    'user.locationTbd': 'Suíomh le socrú',
+    'user.removed': 'Bainte de na ceanáin',
+    'user.added': 'Curtha leis na ceanáin',
+    'user.updateError': 'Earráid agus na ceanáin á nuashonrú',
+    'user.logoutError': 'Earráid agus tú ag logáil amach',
+
+    // Shared filter wording (lib/experienceFilters.js keeps the English)
+    'sort.relevance': 'An meaitseáil is fearr',
+    'sort.newest': 'Is nuaí',
+    'sort.price_asc': 'Praghas: íseal go hard',
+    'sort.price_desc': 'Praghas: ard go híseal',
+    'sort.most_viewed': 'Is mó amharc',
+    'sort.most_saved': 'Is mó sábháil',
+    'pricePreset.under_50': 'Faoi €50',
+    'price.any': 'Praghas ar bith',
+    'price.upTo': 'Suas le {price}',
+    'price.perPerson': '{amount} an duine',
+    'price.perGroup': '{amount} do ghrúpa de {size} ({each} an duine)',
+    'price.perGroupFrom': '{amount} do ghrúpa de {size} (ó {each} an duine)',
+    'price.children': 'Páistí {price}',
+    'price.concessions': 'Lascainí {price}',
+    'priceUnit.person': 'An duine',
+    'priceUnit.group': 'An grúpa',
+    'duration.under_1h': 'Faoi uair an chloig',
+    'duration.half_day': 'Leath lae',
+    'duration.full_day': 'Lá iomlán',
+    'duration.multi_day': 'Roinnt laethanta',
+    'duration.mins': '{count} nóim',
+    'duration.hrs.one': '{count} uair',
+    'duration.hrs.other': '{count} uair',
+    'duration.days.one': '{count} lá',
+    'duration.days.other': '{count} lá',
+    'rating.one': '★ {avg} ({count} léirmheas)',
+    'rating.other': '★ {avg} ({count} léirmheas)',
+    'suitable.wheelchair': 'Inrochtana do chathaoireacha rothaí',
+    'suitable.kids': 'Oiriúnach do pháistí',
+    'suitable.dogs': 'Oiriúnach do mhadraí',
+    'suitable.indoor': 'Faoi dhíon / lá fliuch',
+    'fitness.easy': 'Éasca',
+    'fitness.easy.hint': 'níl aclaíocht ar leith ag teastáil',
+    'fitness.moderate': 'Measartha',
+    'fitness.moderate.hint': 'roinnt siúil nó gníomhaíochta',
+    'fitness.challenging': 'Dúshlánach',
+    'fitness.challenging.hint': 'tá leibhéal maith aclaíochta ag teastáil',
+    'language.en': 'Béarla',
+    'language.ga': 'Gaeilge',
+    'language.fr': 'Fraincis',
+    'language.de': 'Gearmáinis',
+    'language.es': 'Spáinnis',
+    'language.it': 'Iodáilis',
+    'language.pt': 'Portaingéilis',
+    'language.pl': 'Polainnis',
+    'language.nl': 'Ollainnis',
+    'language.zh': 'Sínis',
+    'group.exactly': 'Grúpaí de {count}',
+    'group.between': '{low} – {high} duine',
+    'group.upTo.one': 'Suas le {count} duine',
+    'group.upTo.other': 'Suas le {count} duine',
+    'group.atLeast': 'Grúpaí de {count}+',
+    'badge.minAge': 'Aoiseanna {age}+',
+    'badge.allAges': 'Gach aois',
+    'badge.fitness': 'Aclaíocht: {level}',
+    'badge.languages': 'As {languages}'
+  }
+};
+
+// ---------------------------
+// Current language
+// ---------------------------
+function isSiteLanguage(code) {
+  return SITE_LANGUAGES.some(l => l.code === code);
+}
+
+// localStorage can throw (blocked storage, private mode, full quota): the language
+// then just isn't remembered in this browser
+function readSavedLanguage() {
+  try {
+    return localStorage.getItem(SITE_LANGUAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+function rememberLanguage(code) {
+  try {
+    localStorage.setItem(SITE_LANGUAGE_KEY, code);
+  } catch (err) {
+    console.warn('Could not remember site language:', err);
+  }
+}
+
+// Applied choice, else the saved one, else the browser's language if we have it, else English
+function getSiteLanguage() {
+  if (siteLanguage) return siteLanguage;
+
+  const saved = readSavedLanguage();
+  if (isSiteLanguage(saved)) return saved;
+
+  const browser = (navigator.languages || [navigator.language || ''])
+    .map(tag => String(tag).slice(0, 2).toLowerCase())
+    .find(isSiteLanguage);
+  return browser || 'en';
+}
+
+// ---------------------------
+// UI strings
+// ---------------------------
+function t(key, vars = {}) {
+  const lang = getSiteLanguage();
+  const text = UI_STRINGS[lang]?.[key] ?? UI_STRINGS.en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// tCount('results.found', 3) -> "3 experiences found"
+function tCount(key, count, vars = {}) {
+  return t(`${key}.${Number(count) === 1 ? 'one' : 'other'}`, { count, ...vars });
+}
+
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+    el.setAttribute('placeholder', t(el.dataset.i18nPlaceholder));
+  });
+  root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+    el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+  });
+  root.querySelectorAll('[data-i18n-title]').forEach((el) => {
+    el.setAttribute('title', t(el.dataset.i18nTitle));
+  });
+}
+
+// ---------------------------
+// Switcher + per-user preference
+// ---------------------------
+// Resolves once a logged-in user's saved preference is applied, so text the page
+// builds afterwards is already in the right language (no reload needed)
+async function initSiteLanguage() {
+  const lang = getSiteLanguage();
+  showSiteLanguage(lang);
+  renderLanguageSwitcher(lang);
+
+  // Logged in: the saved preference wins (set on another device), else remember this one
+  try {
+    const { data: { user } } = await supabaseClient.auth.getUser();
+    if (!user) return;
+
+    const { data, error } = await supabaseClient
+      .from('users')
+      .select('preferred_language')
+      .eq('user_id', user.id)
+      .single();
+
+    if (error) throw error;
+
+    const preferred = data?.preferred_language;
+    if (isSiteLanguage(preferred) && preferred !== lang) {
+      rememberLanguage(preferred);
+      showSiteLanguage(preferred);
+    } else if (!preferred && readSavedLanguage()) {
+      await saveLanguagePreference(lang);
+    }
+  } catch (err) {
+    // The switcher still works for this browser
+    console.warn('Could not sync language preference:', err);
+  }
+}
+
+// Tagged text, <html lang> and the switcher, in place
+function showSiteLanguage(lang) {
+  siteLanguage = lang;
+  document.documentElement.lang = lang;
+  applyTranslations();
+
+  const select = document.querySelector('.lang-switcher');
+  if (select) {
+    select.value = lang;
+    select.setAttribute('aria-label', t('nav.language'));
+  }
+}
+
+function renderLanguageSwitcher(lang) {
+  const nav = document.querySelector('.nav-container');
+  if (!nav || nav.querySelector('.lang-switcher')) return;
+
+  const select = document.createElement('select');
+  select.className = 'lang-switcher';
+  select.setAttribute('aria-label', t('nav.language'));
+  select.innerHTML = SITE_LANGUAGES
+    .map(l => `<option value="${l.code}" lang="${l.code}">${l.label}</option>`)
+    .join('');
+  select.value = lang;
+
+  select.addEventListener('change', () => setSiteLanguage(select.value));
+  nav.appendChild(select);
+}
+
+// Picked from the switcher: listings and text built by page scripts are rendered once
+// per load, so a new language reloads the page rather than re-rendering every part of it
+async function setSiteLanguage(code) {
+  if (!isSiteLanguage(code)) return;
+
+  rememberLanguage(code);
+  await saveLanguagePreference(code);
+  window.location.reload();
+}
+
+async function saveLanguagePreference(code) {
+  try {
+    const { data: { user } } = await supabaseClient.auth.getUser();
+    if (!user) return;
+
+    const { error } = await supabaseClient.rpc('set_preferred_language', { p_lang: code });
+    if (error) throw error;
+  } catch (err) {
+    console.warn('Could not save language preference:', err);
+  }
+}
+
+// ---------------------------
+// Translated listings
+// ---------------------------
+// An experience in the site language: each translated field that the business filled in
+// replaces the English one, anything missing stays English.
+// Adds isTranslated (false when the visitor asked for a language this listing doesn't have).
+function localizeExperience(exp, lang = getSiteLanguage()) {
+  if (!exp) return exp;
+
+  const translation = lang === 'en'
+    ? null
+    : (exp.experience_translation || []).find(row => row.lang === lang);
+
+  const localized = { ...exp, isTranslated: lang === 'en' || !!translation?.title };
+  if (!translation) return localized;
+
+  TRANSLATED_FIELDS.forEach((field) => {
+    const text = String(translation[field] || '').trim();
+    if (text) localized[field] = text;
+  });
+
+  return localized;
+}
@@ -0,0 +1,23 @@
+// lib/listText.js
+// Turns the free-text list fields on an experience (whats_included, what_you_do, ...)
+// into bullet items. Used by the detail page and compare.html, so both split the same way.
+// Load it before the page script.
+
+// Convert a text block into bullet list items.
+// Supports newline OR comma separated input.
+// Also strips leading bullets/dashes like "- item" or "• item".
+function splitToItems(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return [];
+
+  let parts = raw.split('\n').map(s => s.trim()).filter(Boolean);
+
+  // If it's a single line but contains commas, treat as comma-separated
+  if (parts.length <= 1 && raw.includes(',')) {
+    parts = raw.split(',').map(s => s.trim()).filter(Boolean);
+  }
+
+  return parts
+    .map(p => p.replace(/^[-•\u2022]\s*/, '').trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,264 @@
+// lib/searchSuggest.js
+// Typeahead for the hero search boxes (landing + Explore).
+// As the user types it suggests experience titles, business names, categories and counties.
+// Load it after supabaseClient.js and before the page script.
+//
+// Usage:
+//   attachSearchSuggest(document.getElementById('heroSearch'), {
+//     onPick: (item) => { ... }   // item = { type, value, label }
+//   });
+//
+// Picking an experience always opens its detail page (src=search).
+// Business / category / county picks are handed to onPick so each page can apply
+// the matching filter its own way.
+
+const SUGGEST_MIN_CHARS = 2;
+const SUGGEST_DEBOUNCE_MS = 200;
+
+// Section order + how many of each to show
+const SUGGEST_GROUPS = [
+  { type: 'experience', heading: 'Experiences', limit: 5 },
+  { type: 'business',   heading: 'Businesses',  limit: 3 },
+  { type: 'category',   heading: 'Categories',  limit: 3 },
+  { type: 'county',     heading: 'Counties',    limit: 3 }
+];
+
+let suggestListCount = 0; // unique ids when more than one input on a page
+
+function attachSearchSuggest(input, { onPick } = {}) {
+  if (!input || !input.parentElement) return;
+
+  const listId = `searchSuggest${++suggestListCount}`;
+  const list = document.createElement('ul');
+  list.id = listId;
+  list.className = 'search-suggest hidden';
+  list.setAttribute('role', 'listbox');
+  input.parentElement.appendChild(list);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listId);
+  input.setAttribute('aria-expanded', 'false');
+  input.setAttribute('autocomplete', 'off');
+
+  const cache = new Map();  // term -> items, so backspacing doesn't refetch
+  let items = [];           // suggestions currently in the list
+  let activeIndex = -1;     // keyboard highlighted item
+  let timer = null;
+  let requestNo = 0;        // ignore responses that come back after a newer one
+
+  const close = () => {
+    list.classList.add('hidden');
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    activeIndex = -1;
+  };
+
+  const setActive = (index) => {
+    const options = list.querySelectorAll('[role="option"]');
+    if (!options.length) return;
+
+    activeIndex = (index + options.length) % options.length; // wrap round
+    options.forEach((el, i) => el.classList.toggle('active', i === activeIndex));
+
+    const activeEl = options[activeIndex];
+    input.setAttribute('aria-activedescendant', activeEl.id);
+    activeEl.scrollIntoView({ block: 'nearest' });
+  };
+
+  const pick = (item) => {
+    close();
+    if (!item) return;
+
+    if (item.type === 'experience') {
+      window.location.href = `detailed_experience.html?id=${encodeURIComponent(item.value)}&src=search`;
+      return;
+    }
+
+    if (onPick) onPick(item);
+  };
+
+  const render = (term) => {
+    list.innerHTML = '';
+
+    if (!items.length) {
+      const empty = document.createElement('li');
+      empty.className = 'search-suggest-empty';
+      empty.textContent = 'No suggestions';
+      list.appendChild(empty);
+    }
+
+    let i = 0;
+    SUGGEST_GROUPS.forEach((group) => {
+      const groupItems = items.filter(item => item.type === group.type);
+      if (!groupItems.length) return;
+
+      const heading = document.createElement('li');
+      heading.className = 'search-suggest-heading';
+      heading.setAttribute('role', 'presentation');
+      heading.textContent = group.heading;
+      list.appendChild(heading);
+
+      groupItems.forEach((item) => {
+        const index = i++;
+        const li = document.createElement('li');
+        li.id = `${listId}-${index}`;
+        li.className = 'search-suggest-item';
+        li.setAttribute('role', 'option');
+        appendHighlighted(li, item.label, term);
+
+        // mousedown (not click) so it fires before the input loses focus
+        li.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          pick(item);
+        });
+        li.addEventListener('mousemove', () => {
+          if (activeIndex !== index) setActive(index);
+        });
+
+        list.appendChild(li);
+      });
+    });
+
+    activeIndex = -1;
+    list.classList.remove('hidden');
+    input.setAttribute('aria-expanded', 'true');
+  };
+
+  const update = async () => {
+    const term = input.value.trim();
+    if (term.length < SUGGEST_MIN_CHARS) {
+      close();
+      return;
+    }
+
+    const key = term.toLowerCase();
+    const myRequest = ++requestNo;
+
+    try {
+      if (!cache.has(key)) cache.set(key, await fetchSuggestions(term));
+      if (myRequest !== requestNo) return; // user kept typing
+
+      items = cache.get(key);
+      render(term);
+    } catch (err) {
+      console.warn('Search suggestions failed:', err);
+      close();
+    }
+  };
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(update, SUGGEST_DEBOUNCE_MS);
+  });
+
+  // Capture phase so Enter on a highlighted suggestion wins over the page's own Enter = search
+  input.addEventListener('keydown', (e) => {
+    const isOpen = !list.classList.contains('hidden');
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!isOpen) {
+        update();
+        return;
+      }
+      e.preventDefault();
+      setActive(e.key === 'ArrowDown' ? activeIndex + 1 : activeIndex - 1);
+      return;
+    }
+
+    if (e.key === 'Escape' && isOpen) {
+      e.preventDefault();
+      close();
+      return;
+    }
+
+    if (e.key === 'Enter') {
+      // Nothing highlighted: normal search, just hide the list
+      if (!isOpen || activeIndex < 0) {
+        clearTimeout(timer);
+        requestNo++;
+        close();
+        return;
+      }
+
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      pick(items[activeIndex]);
+    }
+  }, true);
+
+  input.addEventListener('blur', close);
+
+  // Clicking the search button also counts as "done typing"
+  input.parentElement.querySelectorAll('button').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      clearTimeout(timer);
+      requestNo++;
+      close();
+    });
+  });
+}
+
+// All four lookups run in parallel. Items come back in SUGGEST_GROUPS order,
+// which is also the keyboard order.
+async function fetchSuggestions(term) {
+  // % and _ are wildcards in ilike, escape them so "50%" is literal
+  const pattern = `%${term.replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+  const limitFor = (type) => SUGGEST_GROUPS.find(g => g.type === type).limit;
+
+  const [experiences, businesses, categories, counties] = await Promise.all([
+    // experience_listing_v only has approved + published rows
+    supabaseClient
+      .from('experience_listing_v')
+      .select('experience_id, title')
+      .ilike('title', pattern)
+      .order('view_count', { ascending: false })
+      .limit(limitFor('experience')),
+    supabaseClient
+      .from('business')
+      .select('business_id, business_name')
+      .ilike('business_name', pattern)
+      .order('business_name')
+      .limit(limitFor('business')),
+    supabaseClient
+      .from('category')
+      .select('category_id, category_name')
+      .ilike('category_name', pattern)
+      .order('category_name')
+      .limit(limitFor('category')),
+    supabaseClient
+      .from('county')
+      .select('county_id')
+      .ilike('county_id', pattern)
+      .order('county_id')
+      .limit(limitFor('county'))
+  ]);
+
+  [experiences, businesses, categories, counties].forEach(({ error }) => {
+    if (error) throw error;
+  });
+
+  return [
+    ...(experiences.data || []).map(e => ({ type: 'experience', value: e.experience_id, label: e.title || 'Experience' })),
+    ...(businesses.data || []).map(b => ({ type: 'business', value: b.business_id, label: b.business_name || '' })),
+    ...(categories.data || []).map(c => ({ type: 'category', value: c.category_id, label: c.category_name || '' })),
+    ...(counties.data || []).map(c => ({ type: 'county', value: c.county_id, label: c.county_id }))
+  ];
+}
+
+// Writes the label into the element with the typed part wrapped in <mark>.
+// Built with text nodes so names never get parsed as HTML.
+function appendHighlighted(el, label, term) {
+  const text = String(label || '');
+  const at = text.toLowerCase().indexOf(term.toLowerCase());
+
+  if (at < 0 || !term) {
+    el.textContent = text;
+    return;
+  }
+
+  const mark = document.createElement('mark');
+  mark.textContent = text.slice(at, at + term.length);
+
+  el.append(text.slice(0, at), mark, text.slice(at + term.length));
+}
@@ -0,0 +1,193 @@
+// scripts/prerender_experiences.js
+// Build step: writes a static HTML snapshot of detailed_experience.html for every
+// published experience to experience/<experience_id>.html, with the title, meta
+// description, Open Graph / Twitter tags, canonical link and JSON-LD already in the
+// <head> (same output as lib/experienceSeo.js in the browser) plus the title,
+// description and main photo in the page. Crawlers and link unfurlers that don't run
+// JavaScript read these; real visitors get the normal page, which loads as usual.
+//
+// Usage (Node 18+, no dependencies), from the repo root:
+//   node scripts/prerender_experiences.js
+//
+// Options (environment variables):
+//   SITE_URL           public site root used for canonical / og:url links
+//                      (default https://experience-me.vercel.app/)
+//   OUT_DIR            where snapshots go (default experience/, one level below the root)
+//   SUPABASE_URL       default: the project in lib/supabaseClient.js
+//   SUPABASE_ANON_KEY  default: the anon key in lib/supabaseClient.js
+//
+// Only experience_listing_v is read, so only approved + published experiences are
+// rendered. Snapshots for experiences that are no longer listed are removed.
+//
+// experience/<id>.html is also the canonical and shared link (experiencePageUrl).
+// FALLBACK_FILE is the same page with no experience baked in: vercel.json rewrites
+// experience/<id>.html to it when there's no snapshot yet (published since the last
+// build), and detailed_experience.js reads the id from the path.
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  experiencePageUrl,
+  buildExperienceMeta,
+  buildExperienceJsonLd,
+  jsonLdText
+} = require('../lib/experienceSeo.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATE_PATH = path.join(ROOT, 'detailed_experience.html');
+const OUT_DIR = path.resolve(ROOT, process.env.OUT_DIR || 'experience');
+const SITE_URL = process.env.SITE_URL || 'https://experience-me.vercel.app/';
+const PAGE_SIZE = 500;
+const FALLBACK_FILE = '_page.html';
+
+const LISTING_COLUMNS = [
+  'experience_id',
+  'title',
+  'short_description',
+  'event_description',
+  'county',
+  'duration_minutes',
+  'min_price',
+  'max_price',
+  'price_tier',
+  'booking_url',
+  'avg_rating',
+  'review_count',
+  'business:business_id(business_name,website_url,location_text)',
+  'image(image_url,is_primary,display_order,caption)'
+].join(',');
+
+main().catch((err) => {
+  console.error('Prerender failed:', err.message || err);
+  process.exitCode = 1;
+});
+
+async function main() {
+  // Stale snapshots are deleted below, so never point this at the site root
+  if (OUT_DIR === ROOT) throw new Error('OUT_DIR must be a folder of its own, not the site root.');
+
+  const { url, key } = readSupabaseConfig();
+  const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+  const experiences = await fetchPublishedExperiences(url, key);
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+
+  fs.writeFileSync(path.join(OUT_DIR, FALLBACK_FILE), withSiteRootBase(template));
+
+  const written = new Set([FALLBACK_FILE]);
+  experiences.forEach((exp) => {
+    const file = `${exp.experience_id}.html`;
+    fs.writeFileSync(path.join(OUT_DIR, file), renderSnapshot(template, exp));
+    written.add(file);
+  });
+
+  // Unpublished / rejected since the last build: drop the old snapshot
+  const stale = fs.readdirSync(OUT_DIR).filter(f => f.endsWith('.html') && !written.has(f));
+  stale.forEach(f => fs.unlinkSync(path.join(OUT_DIR, f)));
+
+  console.log(`Prerendered ${experiences.length} experience page(s) to ${path.relative(ROOT, OUT_DIR) || '.'}/` +
+    (stale.length ? `, removed ${stale.length} stale` : ''));
+}
+
+// Env first, then the constants the browser uses (lib/supabaseClient.js)
+function readSupabaseConfig() {
+  let url = process.env.SUPABASE_URL;
+  let key = process.env.SUPABASE_ANON_KEY;
+
+  if (!url || !key) {
+    const client = fs.readFileSync(path.join(ROOT, 'lib', 'supabaseClient.js'), 'utf8');
+    url = url || client.match(/SUPABASE_URL\s*=\s*['"]([^'"]+)['"]/)?.[1];
+    key = key || client.match(/SUPABASE_ANON_KEY\s*=\s*['"]([^'"]+)['"]/)?.[1];
+  }
+
+  if (!url || !key) throw new Error('Set SUPABASE_URL and SUPABASE_ANON_KEY.');
+  return { url: url.replace(/\/+$/, ''), key };
+}
+
+// PostgREST, a page at a time
+async function fetchPublishedExperiences(supabaseUrl, key) {
+  const rows = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const url = new URL(`${supabaseUrl}/rest/v1/experience_listing_v`);
+    url.searchParams.set('select', LISTING_COLUMNS);
+    url.searchParams.set('order', 'experience_id');
+    url.searchParams.set('limit', String(PAGE_SIZE));
+    url.searchParams.set('offset', String(offset));
+
+    const res = await fetch(url, { headers: { apikey: key, Authorization: `Bearer ${key}` } });
+    if (!res.ok) throw new Error(`experience_listing_v: ${res.status} ${await res.text()}`);
+
+    const page = await res.json();
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+function renderSnapshot(template, exp) {
+  const url = experiencePageUrl(exp.experience_id, SITE_URL);
+  const meta = buildExperienceMeta(exp, url);
+  const description = String(exp.event_description || exp.short_description || '').trim();
+
+  let html = withSiteRootBase(template);
+  html = replaceOnce(html, /<body>/, `<body data-experience-id="${escapeHtml(exp.experience_id)}">`);
+
+  html = fillBetween(html, /(<title>)[^<]*(<\/title>)/, escapeHtml(meta.title));
+  html = setMetaContent(html, 'name', 'description', meta.description);
+  html = setMetaContent(html, 'property', 'og:title', meta.title);
+  html = setMetaContent(html, 'property', 'og:description', meta.description);
+  html = setMetaContent(html, 'property', 'og:image', meta.image);
+  html = setMetaContent(html, 'property', 'og:url', url);
+  html = setMetaContent(html, 'name', 'twitter:title', meta.title);
+  html = setMetaContent(html, 'name', 'twitter:description', meta.description);
+  html = setMetaContent(html, 'name', 'twitter:image', meta.image);
+
+  html = fillBetween(html, /(<link rel="canonical" id="canonicalLink" href=")[^"]*(")/, escapeHtml(url));
+  html = fillBetween(
+    html,
+    /(<script type="application\/ld\+json" id="experienceJsonLd">)[\s\S]*?(<\/script>)/,
+    `\n${jsonLdText(buildExperienceJsonLd(exp, url))}\n  `
+  );
+
+  // Visible text for readers that don't run scripts (detailed_experience.js overwrites it)
+  html = fillBetween(html, /(<h1 id="expTitle">)[^<]*(<\/h1>)/, escapeHtml(exp.title || 'Experience'));
+  html = fillBetween(html, /(<span id="crumbLocation">)[^<]*(<\/span>)/, escapeHtml(exp.county || 'Ireland'));
+  html = fillBetween(html, /(<p class="detail-description" id="expDescription">)[^<]*(<\/p>)/, escapeHtml(description));
+  if (meta.image) {
+    html = fillBetween(html, /(id="mainImage"\s+src=")[^"]*(")/, escapeHtml(meta.image));
+  }
+
+  return html;
+}
+
+// Snapshots live one folder down: resolve styles, scripts and links from the site root
+function withSiteRootBase(template) {
+  return replaceOnce(template, /<head>/, '<head>\n  <base href="../" />');
+}
+
+function setMetaContent(html, attr, key, value) {
+  const pattern = new RegExp(`(<meta ${attr}="${key.replace(/[.:]/g, '\\$&')}" content=")[^"]*(")`);
+  return fillBetween(html, pattern, escapeHtml(value || ''));
+}
+
+// Replaces what sits between the pattern's two groups. A function replacement, so a
+// "$" in a title or description is kept as-is instead of read as $1 / $&
+function fillBetween(html, pattern, text) {
+  return replaceOnce(html, pattern, (_, open, close) => `${open}${text}${close}`);
+}
+
+// Fails loudly when detailed_experience.html changes shape, instead of shipping stale tags
+function replaceOnce(html, pattern, replacement) {
+  if (!pattern.test(html)) throw new Error(`detailed_experience.html no longer matches ${pattern}`);
+  return html.replace(pattern, replacement);
+}
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#039;');
+}
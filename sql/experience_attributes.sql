@@ -0,0 +1,39 @@
+-- Accessibility + suitability attributes on experiences
+-- Businesses fill them in on their dashboard, detailed_experience.html shows them as
+-- icons under "Good to know", and the Explore page + Finder filter on them
+-- (SUITABILITY_OPTIONS etc. in lib/experienceFilters.js).
+--
+--   wheelchair_accessible / kid_friendly / dog_friendly / is_indoor   yes/no, false = not stated
+--   min_age          youngest age allowed, 0 = all ages
+--   fitness_level    'easy' | 'moderate' | 'challenging', null = not stated
+--   group_size_min   smallest group taken (1 = anyone can book on their own)
+--   group_size_max   largest group taken, null = no limit
+--   languages        ISO 639-1 codes it can be run in ('en', 'ga', ...)
+--
+-- Run in the Supabase SQL editor, then re-run experience_listing_v.sql and
+-- search_experiences.sql. Safe to re-run.
+
+alter table public.experiences
+  add column if not exists wheelchair_accessible boolean not null default false,
+  add column if not exists kid_friendly          boolean not null default false,
+  add column if not exists dog_friendly          boolean not null default false,
+  add column if not exists is_indoor             boolean not null default false,
+  add column if not exists min_age               smallint not null default 0 check (min_age between 0 and 99),
+  add column if not exists fitness_level         text check (fitness_level in ('easy', 'moderate', 'challenging')),
+  add column if not exists group_size_min        smallint not null default 1 check (group_size_min >= 1),
+  add column if not exists group_size_max        smallint,
+  add column if not exists languages             text[] not null default array['en'];
+
+alter table public.experiences drop constraint if exists experiences_group_size_check;
+alter table public.experiences add constraint experiences_group_size_check
+  check (group_size_max is null or group_size_max >= group_size_min);
+
+-- "Speaks Irish" etc. on Explore uses an array overlap (&&)
+create index if not exists experiences_languages_idx
+  on public.experiences using gin (languages);
+
+-- experience_listing_v selects e.*, which Postgres expands once when the view is made,
+-- so it only sees the new columns after being rebuilt. "create or replace" can't add
+-- columns in the middle of a view, so drop it here; search_experiences() returns its
+-- row type and goes with it. Both come back from their own files (see the header).
+drop view if exists public.experience_listing_v cascade;
@@ -0,0 +1,159 @@
+-- experience_facet_counts(p_q, p_filters)
+-- The "(n)" next to every filter option on the Explore page, counted in the database
+-- so the page never has to download the whole catalogue (or hit the max-rows cap).
+--
+-- Run in the Supabase SQL editor after search_experiences.sql and experience_sessions.sql.
+-- Safe to re-run.
+--
+-- Same semantics as the Explore query: OR inside a facet, AND across facets, and each
+-- facet is counted against every OTHER active filter (so ticking one county still shows
+-- how many the other counties have). Suitability is AND, so its counts are "with this
+-- ticked as well".
+--
+-- p_q is the search box (null / '' = browse everything). p_filters comes from
+-- buildFacetFilters() in experiences.js; the buckets are sent along so the definitions
+-- stay in lib/experienceFilters.js only:
+--   categories, counties, fitness, languages   lists of ticked values
+--   suitability                                ticked keys: wheelchair | kids | dogs | indoor
+--   durations                                  ticked buckets  [{ "min": 60, "max": 240 }, ...]
+--   duration_options                           every bucket    [{ "key": "half_day", "min": 60, "max": 240 }, ...]
+--   price_min, price_max                       per person, null = open
+--   price_presets                              quick picks     [{ "key": "under_50", "min": null, "max": 50 }, ...]
+--   suitability_options                        every suitability key
+--   date, group_size, youngest_age             null = not asked
+--
+-- Returns (facet, value, hits) rows; options with no hits are left out.
+--   facet 'all' / value 'matches' = experiences matching every filter (the price range,
+--   date and who's coming boxes show this).
+
+create or replace function public.experience_facet_counts(p_q text default null, p_filters jsonb default '{}'::jsonb)
+returns table (facet text, value text, hits int)
+language sql
+stable
+as $$
+  with p as (
+    select
+      array(select jsonb_array_elements_text(p_filters -> 'categories')) as categories,
+      array(select jsonb_array_elements_text(p_filters -> 'counties')) as counties,
+      coalesce(p_filters -> 'durations', '[]'::jsonb) as durations,
+      (p_filters ->> 'price_min')::numeric as price_min,
+      (p_filters ->> 'price_max')::numeric as price_max,
+      (p_filters ->> 'date')::date as on_date,
+      array(select jsonb_array_elements_text(p_filters -> 'suitability')) as suitability,
+      array(select jsonb_array_elements_text(p_filters -> 'fitness')) as fitness,
+      array(select jsonb_array_elements_text(p_filters -> 'languages')) as languages,
+      (p_filters ->> 'group_size')::int as group_size,
+      (p_filters ->> 'youngest_age')::int as youngest_age
+  ),
+  listing as (
+    select
+      l.experience_id,
+      l.county,
+      l.duration_minutes,
+      l.price_per_person,
+      l.price_per_person_ceiling,
+      l.fitness_level,
+      l.languages,
+      l.group_size_min,
+      l.group_size_max,
+      l.min_age,
+      -- keys match SUITABILITY_OPTIONS in lib/experienceFilters.js
+      jsonb_build_object(
+        'wheelchair', l.wheelchair_accessible,
+        'kids', l.kid_friendly,
+        'dogs', l.dog_friendly,
+        'indoor', l.is_indoor
+      ) as suitable,
+      array(
+        select ec.category_id::text from public.experience_category ec where ec.experience_id = l.experience_id
+      ) as category_ids
+    from public.experience_listing_v l
+    where coalesce(trim(p_q), '') = ''
+       or l.experience_id in (select s.experience_id from public.search_experiences(p_q) s)
+  ),
+  checked as (
+    select
+      r.*,
+      cardinality(p.categories) = 0 or r.category_ids && p.categories as ok_category,
+      cardinality(p.counties) = 0 or r.county = any (p.counties) as ok_county,
+      (p.price_min is null and p.price_max is null)
+        or coalesce(
+          (p.price_max is null or r.price_per_person <= p.price_max)
+          and (p.price_min is null or r.price_per_person_ceiling >= p.price_min),
+          false
+        ) as ok_price,
+      jsonb_array_length(p.durations) = 0
+        or exists (
+          select 1 from jsonb_array_elements(p.durations) d
+          where r.duration_minutes >= coalesce((d ->> 'min')::int, r.duration_minutes)
+            and r.duration_minutes <= coalesce((d ->> 'max')::int, r.duration_minutes)
+        ) as ok_duration,
+      p.on_date is null
+        or r.experience_id in (select o.experience_id from public.experience_ids_on_date(p.on_date) o) as ok_date,
+      not exists (
+        select 1 from unnest(p.suitability) k
+        where coalesce((r.suitable ->> k)::boolean, false) = false
+      ) as ok_suitability,
+      cardinality(p.fitness) = 0 or r.fitness_level = any (p.fitness) as ok_fitness,
+      cardinality(p.languages) = 0 or r.languages && p.languages as ok_language,
+      (p.group_size is null or (r.group_size_min <= p.group_size and (r.group_size_max is null or r.group_size_max >= p.group_size)))
+        and (p.youngest_age is null or r.min_age <= p.youngest_age) as ok_who
+    from listing r
+    cross join p
+  )
+  select 'category', c, count(*)::int
+  from checked, unnest(category_ids) c
+  where ok_county and ok_price and ok_duration and ok_date and ok_suitability and ok_fitness and ok_language and ok_who
+  group by c
+
+  union all
+  select 'county', county, count(*)::int
+  from checked
+  where county is not null
+    and ok_category and ok_price and ok_duration and ok_date and ok_suitability and ok_fitness and ok_language and ok_who
+  group by county
+
+  union all
+  select 'duration', d ->> 'key', count(*)::int
+  from checked, jsonb_array_elements(coalesce(p_filters -> 'duration_options', '[]'::jsonb)) d
+  where duration_minutes >= coalesce((d ->> 'min')::int, duration_minutes)
+    and duration_minutes <= coalesce((d ->> 'max')::int, duration_minutes)
+    and ok_category and ok_county and ok_price and ok_date and ok_suitability and ok_fitness and ok_language and ok_who
+  group by d ->> 'key'
+
+  union all
+  select 'suitability', k, count(*)::int
+  from checked, jsonb_array_elements_text(coalesce(p_filters -> 'suitability_options', '[]'::jsonb)) k
+  where coalesce((suitable ->> k)::boolean, false)
+    and ok_category and ok_county and ok_price and ok_duration and ok_date and ok_suitability and ok_fitness and ok_language and ok_who
+  group by k
+
+  union all
+  select 'fitness', fitness_level, count(*)::int
+  from checked
+  where fitness_level is not null
+    and ok_category and ok_county and ok_price and ok_duration and ok_date and ok_suitability and ok_language and ok_who
+  group by fitness_level
+
+  union all
+  select 'language', lang, count(*)::int
+  from checked, unnest(languages) lang
+  where ok_category and ok_county and ok_price and ok_duration and ok_date and ok_suitability and ok_fitness and ok_who
+  group by lang
+
+  union all
+  select 'price', pr ->> 'key', count(*)::int
+  from checked, jsonb_array_elements(coalesce(p_filters -> 'price_presets', '[]'::jsonb)) pr
+  where price_per_person is not null
+    and (pr ->> 'max' is null or price_per_person <= (pr ->> 'max')::numeric)
+    and (pr ->> 'min' is null or price_per_person_ceiling >= (pr ->> 'min')::numeric)
+    and ok_category and ok_county and ok_duration and ok_date and ok_suitability and ok_fitness and ok_language and ok_who
+  group by pr ->> 'key'
+
+  union all
+  select 'all', 'matches', count(*)::int
+  from checked
+  where ok_category and ok_county and ok_price and ok_duration and ok_date and ok_suitability and ok_fitness and ok_language and ok_who;
+$$;
+
+grant execute on function public.experience_facet_counts(text, jsonb) to anon, authenticated;
@@ -0,0 +1,59 @@
+-- experience_listing_v
+-- Public listing view used by the Explore page and the Finder.
+-- Adds popularity numbers (views from event_metric, saves from favorite) and the
+-- star rating (from review) to each experience so the front end can sort on them
+-- with a normal .order().
+--
+-- Run in the Supabase SQL editor after reviews.sql. Safe to re-run.
+--
+-- Only approved + published rows are exposed, so the view can run with the
+-- owner's rights (guests can't read event_metric directly, but they can see the counts).
+--
+-- New columns only ever get added at the END of the select list, so
+-- "create or replace view" keeps working when this file is re-run.
+-- Columns added to experiences itself (e.* below) need the view dropped first:
+-- see experience_attributes.sql and experience_pricing.sql.
+
+create or replace view public.experience_listing_v as
+select
+  e.*,
+  coalesce(v.view_count, 0) as view_count,
+  coalesce(f.save_count, 0) as save_count,
+  -- Top of the price range (max_price, or min_price when there is no max).
+  -- Price filters match on overlap: min_price <= wanted max AND price_ceiling >= wanted min.
+  coalesce(e.max_price, e.min_price) as price_ceiling,
+  -- Visible reviews only (reported ones are hidden). avg_rating is null with no reviews.
+  r.avg_rating,
+  coalesce(r.review_count, 0) as review_count,
+  -- min_price / price_ceiling per person: group prices are split over the group
+  -- (experience_pricing.sql). Price filters + sorts use these.
+  case when e.price_unit = 'group' and e.group_price_size > 0
+    then round(e.min_price / e.group_price_size, 2)
+    else e.min_price
+  end as price_per_person,
+  case when e.price_unit = 'group' and e.group_price_size > 0
+    then round(coalesce(e.max_price, e.min_price) / e.group_price_size, 2)
+    else coalesce(e.max_price, e.min_price)
+  end as price_per_person_ceiling
+from public.experiences e
+left join (
+  select experience_id, count(*)::int as view_count
+  from public.event_metric
+  where event_type = 'view'
+  group by experience_id
+) v on v.experience_id = e.experience_id
+left join (
+  select experience_id, count(*)::int as save_count
+  from public.favorite
+  group by experience_id
+) f on f.experience_id = e.experience_id
+left join (
+  select experience_id, round(avg(rating), 1) as avg_rating, count(*)::int as review_count
+  from public.review
+  where not is_hidden
+  group by experience_id
+) r on r.experience_id = e.experience_id
+where e.is_published = true
+  and lower(e.status) = 'approved';
+
+grant select on public.experience_listing_v to anon, authenticated;
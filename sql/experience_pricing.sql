@@ -0,0 +1,29 @@
+-- Structured price model on experiences
+-- min_price / max_price stay the business's headline prices, these columns say what
+-- they are for, so a listing can read "€200 for a group of 4" or show a child price.
+-- Explore, the Finder and similar experiences filter and sort on the per-person
+-- equivalent (price_per_person in experience_listing_v), so group and per-person
+-- prices compare fairly.
+--
+--   price_unit        'person' = min_price/max_price are per person
+--                     'group'  = they are for one group of group_price_size people
+--   group_price_size  how many people one group price covers (required for 'group')
+--   child_price       per-child price, null = no child price
+--   concession_price  per-person price for students / seniors, null = none
+--
+-- Run in the Supabase SQL editor, then re-run experience_listing_v.sql and
+-- search_experiences.sql. Safe to re-run.
+
+alter table public.experiences
+  add column if not exists price_unit       text not null default 'person' check (price_unit in ('person', 'group')),
+  add column if not exists group_price_size smallint check (group_price_size between 2 and 999),
+  add column if not exists child_price      numeric(10, 2) check (child_price >= 0),
+  add column if not exists concession_price numeric(10, 2) check (concession_price >= 0);
+
+alter table public.experiences drop constraint if exists experiences_group_price_check;
+alter table public.experiences add constraint experiences_group_price_check
+  check (price_unit = 'person' or group_price_size is not null);
+
+-- Same reason as experience_attributes.sql: the view's e.* only picks up the new
+-- columns once it is rebuilt (search_experiences() goes with it).
+drop view if exists public.experience_listing_v cascade;
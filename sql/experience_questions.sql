@@ -0,0 +1,142 @@
+-- Questions + answers on experience pages
+-- Logged-in users ask a question on detailed_experience.html, the business that owns
+-- the experience answers it from its dashboard, and only then does it show publicly.
+-- Admins can hide inappropriate questions from the admin dashboard.
+--
+-- Run in the Supabase SQL editor. Safe to re-run.
+
+create table if not exists public.experience_question (
+  question_id   uuid primary key default gen_random_uuid(),
+  experience_id uuid not null references public.experiences (experience_id) on delete cascade,
+  user_id       uuid not null default auth.uid() references public.users (user_id) on delete cascade,
+  asker_name    text,                                 -- first name at the time of asking (users rows aren't public)
+  question      text not null check (char_length(question) between 3 and 500),
+  answer        text check (char_length(answer) <= 2000),
+  answered_at   timestamptz,
+  is_hidden     boolean not null default false,       -- admins only
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists experience_question_experience_idx
+  on public.experience_question (experience_id, created_at desc);
+
+-- True when the logged-in user owns the business behind the experience
+create or replace function public.owns_experience(p_experience_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.experiences e
+    join public.business b on b.business_id = e.business_id
+    where e.experience_id = p_experience_id
+      and b.user_id = auth.uid()
+  );
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin');
+$$;
+
+-- ---------------------------------------------------------------
+-- Trigger: answered_at follows the answer, only admins can hide / unhide,
+-- nobody rewrites what the customer asked
+-- ---------------------------------------------------------------
+create or replace function public.experience_question_before_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.experience_id, new.user_id, new.asker_name, new.question, new.created_at)
+     is distinct from (old.experience_id, old.user_id, old.asker_name, old.question, old.created_at) then
+    raise exception 'Only the answer can be changed on a question';
+  end if;
+
+  if new.is_hidden is distinct from old.is_hidden and not public.is_admin() then
+    raise exception 'Only admins can hide questions';
+  end if;
+
+  if new.answer is distinct from old.answer then
+    new.answer := nullif(trim(new.answer), '');
+    new.answered_at := case when new.answer is null then null else now() end;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists experience_question_before_update on public.experience_question;
+create trigger experience_question_before_update
+  before update on public.experience_question
+  for each row execute function public.experience_question_before_update();
+
+-- The name shown next to a question comes from the asker's own users row, never from the client
+create or replace function public.experience_question_set_asker_name()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.asker_name := (
+    select nullif(split_part(trim(u.full_name), ' ', 1), '')
+    from public.users u
+    where u.user_id = new.user_id
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists experience_question_set_asker_name on public.experience_question;
+create trigger experience_question_set_asker_name
+  before insert on public.experience_question
+  for each row execute function public.experience_question_set_asker_name();
+
+-- ---------------------------------------------------------------
+-- Access
+--   everyone: answered + not hidden questions
+--   askers: their own (pending ones show as "waiting for an answer")
+--   business owners: every question on their experiences, can answer
+--   admins: everything, can hide / delete
+-- ---------------------------------------------------------------
+alter table public.experience_question enable row level security;
+
+drop policy if exists "experience_question read" on public.experience_question;
+create policy "experience_question read" on public.experience_question for select
+  using (
+    (answer is not null and not is_hidden)
+    or user_id = auth.uid()
+    or public.owns_experience(experience_id)
+    or public.is_admin()
+  );
+
+drop policy if exists "experience_question ask" on public.experience_question;
+create policy "experience_question ask" on public.experience_question for insert
+  with check (user_id = auth.uid() and answer is null and not is_hidden);
+
+drop policy if exists "experience_question answer" on public.experience_question;
+create policy "experience_question answer" on public.experience_question for update
+  using (public.owns_experience(experience_id) or public.is_admin())
+  with check (public.owns_experience(experience_id) or public.is_admin());
+
+drop policy if exists "experience_question delete" on public.experience_question;
+create policy "experience_question delete" on public.experience_question for delete
+  using ((user_id = auth.uid() and answer is null) or public.is_admin());
+
+-- Supabase grants anon / authenticated ALL on new public tables, and a column revoke
+-- doesn't take away a table grant. Start from nothing (this also clears the column
+-- grants of earlier versions of this file) and give back only what is used.
+revoke all on public.experience_question from anon, authenticated;
+
+grant select on public.experience_question to anon, authenticated;
+grant insert (experience_id, question), delete on public.experience_question to authenticated;
+grant update (answer, is_hidden) on public.experience_question to authenticated;
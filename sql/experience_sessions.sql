@@ -0,0 +1,97 @@
+-- Bookable sessions (when an experience actually runs)
+-- Businesses add sessions to an experience on their dashboard:
+--   one-off: a single date (weekdays is null)
+--   weekly:  the weekdays it runs (0 = Sunday ... 6 = Saturday) between start_date and
+--            end_date, the seasonal window (no end_date = runs until further notice)
+-- detailed_experience.html shows them on a calendar with a booking link and an .ics
+-- download per session, and the Explore page "Date" filter uses experience_ids_on_date().
+-- Times are Irish local time (Europe/Dublin).
+--
+-- Run in the Supabase SQL editor after experience_questions.sql (uses owns_experience()
+-- and is_admin() from there). Safe to re-run.
+
+create table if not exists public.experience_session (
+  session_id    uuid primary key default gen_random_uuid(),
+  experience_id uuid not null references public.experiences (experience_id) on delete cascade,
+  start_date    date not null,                  -- one-off: the date, weekly: first date of the season
+  end_date      date,                           -- weekly: last date of the season, null = no end
+  weekdays      smallint[],                     -- weekly: days it runs, null / empty = one-off
+  start_time    time not null,
+  end_time      time,
+  capacity      int check (capacity > 0),       -- max people per session, null = not stated
+  booking_url   text check (char_length(booking_url) <= 500), -- deep link, {date} / {time} are filled in; null = experience's booking_url
+  is_active     boolean not null default true,
+  created_at    timestamptz not null default now(),
+  check (end_date is null or end_date >= start_date),
+  check (end_time is null or end_time > start_time),
+  check (weekdays is null or weekdays <@ array[0, 1, 2, 3, 4, 5, 6]::smallint[])
+);
+
+create index if not exists experience_session_experience_idx
+  on public.experience_session (experience_id, start_date);
+
+-- ---------------------------------------------------------------
+-- Access
+--   everyone: active sessions of approved + published experiences
+--   business owners: everything on their own experiences (add / change / remove)
+--   admins: read everything
+-- ---------------------------------------------------------------
+alter table public.experience_session enable row level security;
+
+drop policy if exists "experience_session read" on public.experience_session;
+create policy "experience_session read" on public.experience_session for select
+  using (
+    (
+      is_active
+      and exists (
+        select 1 from public.experiences e
+        where e.experience_id = experience_session.experience_id
+          and e.is_published = true
+          and lower(e.status) = 'approved'
+      )
+    )
+    or public.owns_experience(experience_id)
+    or public.is_admin()
+  );
+
+drop policy if exists "experience_session owner insert" on public.experience_session;
+create policy "experience_session owner insert" on public.experience_session for insert
+  with check (public.owns_experience(experience_id));
+
+drop policy if exists "experience_session owner update" on public.experience_session;
+create policy "experience_session owner update" on public.experience_session for update
+  using (public.owns_experience(experience_id))
+  with check (public.owns_experience(experience_id));
+
+drop policy if exists "experience_session owner delete" on public.experience_session;
+create policy "experience_session owner delete" on public.experience_session for delete
+  using (public.owns_experience(experience_id));
+
+grant select on public.experience_session to anon, authenticated;
+grant insert, update, delete on public.experience_session to authenticated;
+
+-- ---------------------------------------------------------------
+-- experience_ids_on_date: experiences with a session on a given day
+-- For the Explore page "Date" filter. Runs with the caller's rights, so only
+-- sessions they can see count. Same rules as sessionRunsOn() in lib/experienceSessions.js.
+-- ---------------------------------------------------------------
+create or replace function public.experience_ids_on_date(p_date date)
+returns table (experience_id uuid)
+language sql
+stable
+as $$
+  select distinct s.experience_id
+  from public.experience_session s
+  where s.is_active
+    and (
+      (coalesce(cardinality(s.weekdays), 0) = 0 and s.start_date = p_date)
+      or (
+        cardinality(s.weekdays) > 0
+        and p_date >= s.start_date
+        and (s.end_date is null or p_date <= s.end_date)
+        and extract(dow from p_date)::smallint = any (s.weekdays)
+      )
+    );
+$$;
+
+grant execute on function public.experience_ids_on_date(date) to anon, authenticated;
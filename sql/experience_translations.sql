@@ -0,0 +1,81 @@
+-- Listings in other languages + each user's site language
+-- Businesses add an Irish (or French, German...) version of an experience's title,
+-- descriptions and lists on their dashboard. Public pages show the version for the
+-- visitor's site language (lib/i18n.js) and fall back to the English columns on
+-- experiences field by field, so a half-done translation never leaves a gap.
+--
+--   experience_translation   one row per experience per language (not 'en': that's experiences itself)
+--   users.preferred_language the language picked in the nav switcher, so it follows the
+--                            user to other devices (guests keep it in localStorage only)
+--
+-- Run in the Supabase SQL editor after experience_questions.sql (uses owns_experience()
+-- and is_admin() from there). Safe to re-run.
+
+create table if not exists public.experience_translation (
+  experience_id     uuid not null references public.experiences (experience_id) on delete cascade,
+  lang              text not null check (lang ~ '^[a-z]{2}$' and lang <> 'en'), -- ISO 639-1 code
+  title             text check (char_length(title) <= 200),
+  short_description text check (char_length(short_description) <= 1000),
+  event_description text check (char_length(event_description) <= 10000),
+  what_you_do       text check (char_length(what_you_do) <= 5000),
+  whats_included    text check (char_length(whats_included) <= 5000),
+  updated_at        timestamptz not null default now(),
+  primary key (experience_id, lang)
+);
+
+-- ---------------------------------------------------------------
+-- Access (same rules as experience_session)
+--   everyone: translations of approved + published experiences
+--   business owners: everything on their own experiences
+--   admins: read everything (they review listings)
+-- ---------------------------------------------------------------
+alter table public.experience_translation enable row level security;
+
+drop policy if exists "experience_translation read" on public.experience_translation;
+create policy "experience_translation read" on public.experience_translation for select
+  using (
+    exists (
+      select 1 from public.experiences e
+      where e.experience_id = experience_translation.experience_id
+        and e.is_published = true
+        and lower(e.status) = 'approved'
+    )
+    or public.owns_experience(experience_id)
+    or public.is_admin()
+  );
+
+drop policy if exists "experience_translation owner insert" on public.experience_translation;
+create policy "experience_translation owner insert" on public.experience_translation for insert
+  with check (public.owns_experience(experience_id));
+
+drop policy if exists "experience_translation owner update" on public.experience_translation;
+create policy "experience_translation owner update" on public.experience_translation for update
+  using (public.owns_experience(experience_id))
+  with check (public.owns_experience(experience_id));
+
+drop policy if exists "experience_translation owner delete" on public.experience_translation;
+create policy "experience_translation owner delete" on public.experience_translation for delete
+  using (public.owns_experience(experience_id));
+
+grant select on public.experience_translation to anon, authenticated;
+grant insert, update, delete on public.experience_translation to authenticated;
+
+-- ---------------------------------------------------------------
+-- Site language per user
+-- ---------------------------------------------------------------
+alter table public.users
+  add column if not exists preferred_language text check (preferred_language ~ '^[a-z]{2}$');
+
+-- Saves the caller's own choice only (users rows aren't otherwise writable from the pages)
+create or replace function public.set_preferred_language(p_lang text)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.users
+  set preferred_language = nullif(lower(trim(p_lang)), '')
+  where user_id = auth.uid();
+$$;
+
+grant execute on function public.set_preferred_language(text) to authenticated;
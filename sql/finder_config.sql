@@ -0,0 +1,269 @@
+-- Finder configuration
+-- The Finder's questions, answer chips and what each answer does live here instead of
+-- being hard-coded in finder.js. Admins edit them from the "Finder" tab in dashboards/admin.html.
+--
+-- Run in the Supabase SQL editor. Safe to re-run (the seed only adds rows that are missing).
+--
+--   finder_question       one row per chip question (Who is it for? / Occasion / Type)
+--     show_if_answer_id   only ask the question once that answer is picked (quiz branching)
+--     role                what other pages use this question for (null = Finder only):
+--                         'occasion' = gift_card.html suggests its answers as occasions
+--                         and Finder matches pass the picked one on. Such a question
+--                         can't be deleted or have its key changed.
+--     kind = 'category'   answers filter experiences by their category_id
+--     kind = 'score'      answers don't filter, they feed the match score through
+--                         finder_answer_weight (score_weight = how much the question counts)
+--   finder_answer         the chips for a question
+--     reason              shown under a match in "Why this matches"
+--   finder_answer_weight  how well each category suits a score answer (0..1)
+--
+-- County, price and time available stay as they are: they come from the county table
+-- and lib/experienceFilters.js.
+
+create table if not exists public.finder_question (
+  question_id  text primary key,                  -- short slug, also used in shared Finder links
+  prompt       text not null,
+  kind         text not null default 'score' check (kind in ('category', 'score')),
+  multiple     boolean not null default false,    -- several chips can be picked
+  score_weight numeric not null default 3 check (score_weight >= 0),
+  sort_order   int not null default 0,
+  is_active    boolean not null default true
+);
+
+create table if not exists public.finder_answer (
+  answer_id   uuid primary key default gen_random_uuid(),
+  question_id text not null references public.finder_question (question_id) on delete cascade,
+  label       text not null,
+  reason      text,
+  category_id uuid references public.category (category_id) on delete set null,
+  sort_order  int not null default 0,
+  is_active   boolean not null default true,
+  unique (question_id, label)
+);
+
+-- Branching: a question can depend on an answer to an earlier one
+alter table public.finder_question
+  add column if not exists show_if_answer_id uuid references public.finder_answer (answer_id) on delete set null;
+
+-- question_id doubles as the URL key in shared Finder links, next to the Explore
+-- params (buildExploreParams in lib/experienceFilters.js). Keep it off those names so
+-- a custom question can't shadow county / sort / view etc.
+-- Keep in step with FINDER_RESERVED_KEYS in dashboards/admin.js.
+alter table public.finder_question drop constraint if exists finder_question_id_check;
+alter table public.finder_question add constraint finder_question_id_check
+  check (
+    question_id ~ '^[a-z0-9_]+$'
+    and question_id not in (
+      'view', 'id', 'q', 'src', 'sort', 'category_id', 'county', 'price_min', 'price_max',
+      'duration', 'date', 'suitable', 'fitness', 'language', 'group', 'age'
+    )
+  );
+
+-- show_if must not loop back on itself (A shown if B, B shown if A), or neither
+-- question would ever be asked. Walks the chain from the new answer upwards.
+create or replace function public.finder_question_check_show_if()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_answer   uuid := new.show_if_answer_id;
+  v_question text;
+  v_seen     text[] := array[new.question_id];
+begin
+  while v_answer is not null loop
+    select a.question_id into v_question from public.finder_answer a where a.answer_id = v_answer;
+    exit when not found;
+
+    if v_question = any (v_seen) then
+      raise exception 'show_if on % would loop back to %', new.question_id, v_question
+        using errcode = 'check_violation';
+    end if;
+    v_seen := v_seen || v_question;
+
+    select q.show_if_answer_id into v_answer from public.finder_question q where q.question_id = v_question;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists finder_question_check_show_if on public.finder_question;
+create trigger finder_question_check_show_if
+  before insert or update of show_if_answer_id on public.finder_question
+  for each row execute function public.finder_question_check_show_if();
+
+-- Questions other pages look up by role (one question per role)
+alter table public.finder_question
+  add column if not exists role text unique check (role in ('occasion'));
+
+create or replace function public.finder_question_keep_role()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.role is not null
+     and (tg_op = 'DELETE' or new.question_id <> old.question_id or new.role is distinct from old.role) then
+    raise exception 'finder question % is used as the % question and can''t be removed', old.question_id, old.role
+      using errcode = 'restrict_violation';
+  end if;
+
+  return case when tg_op = 'DELETE' then old else new end;
+end;
+$$;
+
+drop trigger if exists finder_question_keep_role on public.finder_question;
+create trigger finder_question_keep_role
+  before update of question_id, role or delete on public.finder_question
+  for each row execute function public.finder_question_keep_role();
+
+create table if not exists public.finder_answer_weight (
+  answer_id   uuid not null references public.finder_answer (answer_id) on delete cascade,
+  category_id uuid not null references public.category (category_id) on delete cascade,
+  weight      numeric not null check (weight between 0 and 1),
+  primary key (answer_id, category_id)
+);
+
+-- ---------------------------------------------------------------
+-- Access: everyone can read (the Finder is public), only admins write
+-- ---------------------------------------------------------------
+alter table public.finder_question enable row level security;
+alter table public.finder_answer enable row level security;
+alter table public.finder_answer_weight enable row level security;
+
+drop policy if exists "finder_question read" on public.finder_question;
+create policy "finder_question read" on public.finder_question for select using (true);
+
+drop policy if exists "finder_question admin write" on public.finder_question;
+create policy "finder_question admin write" on public.finder_question for all
+  using (exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin'));
+
+drop policy if exists "finder_answer read" on public.finder_answer;
+create policy "finder_answer read" on public.finder_answer for select using (true);
+
+drop policy if exists "finder_answer admin write" on public.finder_answer;
+create policy "finder_answer admin write" on public.finder_answer for all
+  using (exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin'));
+
+drop policy if exists "finder_answer_weight read" on public.finder_answer_weight;
+create policy "finder_answer_weight read" on public.finder_answer_weight for select using (true);
+
+drop policy if exists "finder_answer_weight admin write" on public.finder_answer_weight;
+create policy "finder_answer_weight admin write" on public.finder_answer_weight for all
+  using (exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin'));
+
+grant select on public.finder_question, public.finder_answer, public.finder_answer_weight to anon, authenticated;
+grant insert, update, delete on public.finder_question, public.finder_answer, public.finder_answer_weight to authenticated;
+
+-- ---------------------------------------------------------------
+-- Seed: what finder.js used to hard-code
+-- Category rows are matched on the ids the old TYPE_TO_CATEGORY_ID used; any that
+-- no longer exist are skipped and can be picked again from the admin screen.
+-- ---------------------------------------------------------------
+-- Questions this run actually created, so the show_if seed at the end does not put
+-- back a branch an admin has since removed.
+drop table if exists finder_seeded_question;
+create temp table finder_seeded_question (question_id text primary key);
+
+with seeded as (
+  insert into public.finder_question (question_id, prompt, kind, multiple, score_weight, sort_order) values
+    ('recipient',  'Who is this gift for?',          'score',    false, 3, 1),
+    ('group_size', 'How many people are going?',    'score',    false, 2, 2),
+    ('occasion',   'What is the occasion?',          'score',    false, 3, 3),
+    ('type',       'What type of experience?',       'category', true,  2, 4)
+  on conflict (question_id) do nothing
+  returning question_id
+)
+insert into finder_seeded_question (question_id)
+select question_id from seeded;
+
+insert into public.finder_answer (question_id, label, reason, sort_order) values
+  ('recipient', 'Partner',       'Great for a partner',        1),
+  ('recipient', 'Family member', 'Great for a family member',  2),
+  ('recipient', 'Friend',        'Great for a friend',         3),
+  ('recipient', 'Colleague',     'Great for a colleague',      4),
+  ('recipient', 'Other',         null,                         5),
+  ('group_size', 'Just them',          null,                      1),
+  ('group_size', 'A few of us (2-5)',  'Works for a small group', 2),
+  ('group_size', 'The whole team',     'Works for a team',        3),
+  ('occasion',  'Birthday',      'Suits a birthday',           1),
+  ('occasion',  'Anniversary',   'Suits an anniversary',       2),
+  ('occasion',  'Thank you',     'Suits saying thank you',     3),
+  ('occasion',  'Valentines',    'Suits Valentines',           4),
+  ('occasion',  'Just because',  'Suits a just-because gift',  5)
+on conflict (question_id, label) do nothing;
+
+-- Type chips: one per category
+with types (label, category_id, sort_order) as (values
+  ('Food & drink',      'b97c14aa-cd1e-4f9d-8670-6d7cb0ab5cd4'::uuid, 1),
+  ('Outdoors',          '50f6b39a-2399-43fa-a661-b85930e8f1d3'::uuid, 2),
+  ('Wellness',          'da794edb-3c5b-4f8b-aae6-29b22454fc6e'::uuid, 3),
+  ('Adventure',         'cd35ad00-dad3-4bb6-b0a9-c9709a74df4d'::uuid, 4),
+  ('Arts & creativity', 'f9a0e772-bbfd-4292-9ba4-a4f857b18135'::uuid, 5)
+)
+insert into public.finder_answer (question_id, label, category_id, sort_order)
+select 'type', t.label, c.category_id, t.sort_order
+from types t
+join public.category c on c.category_id = t.category_id
+on conflict (question_id, label) do nothing;
+
+-- Recipient / occasion suitability per category (was RECIPIENT_AFFINITY / OCCASION_AFFINITY)
+with type_ids (type_key, category_id) as (values
+  ('food',      'b97c14aa-cd1e-4f9d-8670-6d7cb0ab5cd4'::uuid),
+  ('outdoors',  '50f6b39a-2399-43fa-a661-b85930e8f1d3'::uuid),
+  ('wellness',  'da794edb-3c5b-4f8b-aae6-29b22454fc6e'::uuid),
+  ('adventure', 'cd35ad00-dad3-4bb6-b0a9-c9709a74df4d'::uuid),
+  ('arts',      'f9a0e772-bbfd-4292-9ba4-a4f857b18135'::uuid)
+),
+weights (question_id, label, type_key, weight) as (values
+  ('recipient', 'Partner', 'wellness', 1), ('recipient', 'Partner', 'food', 0.9), ('recipient', 'Partner', 'arts', 0.7),
+  ('recipient', 'Partner', 'adventure', 0.6), ('recipient', 'Partner', 'outdoors', 0.6),
+  ('recipient', 'Family member', 'outdoors', 1), ('recipient', 'Family member', 'food', 0.8), ('recipient', 'Family member', 'arts', 0.7),
+  ('recipient', 'Family member', 'wellness', 0.6), ('recipient', 'Family member', 'adventure', 0.5),
+  ('recipient', 'Friend', 'adventure', 1), ('recipient', 'Friend', 'food', 0.9), ('recipient', 'Friend', 'outdoors', 0.8),
+  ('recipient', 'Friend', 'arts', 0.6), ('recipient', 'Friend', 'wellness', 0.5),
+  ('recipient', 'Colleague', 'food', 1), ('recipient', 'Colleague', 'arts', 0.8), ('recipient', 'Colleague', 'wellness', 0.6),
+  ('recipient', 'Colleague', 'outdoors', 0.5), ('recipient', 'Colleague', 'adventure', 0.4),
+  ('recipient', 'Other', 'food', 0.6), ('recipient', 'Other', 'outdoors', 0.6), ('recipient', 'Other', 'wellness', 0.6),
+  ('recipient', 'Other', 'adventure', 0.6), ('recipient', 'Other', 'arts', 0.6),
+  ('occasion', 'Birthday', 'adventure', 1), ('occasion', 'Birthday', 'food', 0.9), ('occasion', 'Birthday', 'arts', 0.7),
+  ('occasion', 'Birthday', 'outdoors', 0.7), ('occasion', 'Birthday', 'wellness', 0.7),
+  ('occasion', 'Anniversary', 'food', 1), ('occasion', 'Anniversary', 'wellness', 1), ('occasion', 'Anniversary', 'arts', 0.7),
+  ('occasion', 'Anniversary', 'outdoors', 0.6), ('occasion', 'Anniversary', 'adventure', 0.5),
+  ('occasion', 'Thank you', 'food', 1), ('occasion', 'Thank you', 'wellness', 0.9), ('occasion', 'Thank you', 'arts', 0.7),
+  ('occasion', 'Thank you', 'outdoors', 0.5), ('occasion', 'Thank you', 'adventure', 0.4),
+  ('occasion', 'Valentines', 'wellness', 1), ('occasion', 'Valentines', 'food', 1), ('occasion', 'Valentines', 'arts', 0.8),
+  ('occasion', 'Valentines', 'adventure', 0.5), ('occasion', 'Valentines', 'outdoors', 0.5),
+  ('occasion', 'Just because', 'outdoors', 0.8), ('occasion', 'Just because', 'arts', 0.8), ('occasion', 'Just because', 'food', 0.7),
+  ('occasion', 'Just because', 'adventure', 0.7), ('occasion', 'Just because', 'wellness', 0.7),
+  ('group_size', 'A few of us (2-5)', 'food', 1), ('group_size', 'A few of us (2-5)', 'adventure', 0.9), ('group_size', 'A few of us (2-5)', 'arts', 0.8),
+  ('group_size', 'A few of us (2-5)', 'outdoors', 0.8), ('group_size', 'A few of us (2-5)', 'wellness', 0.4),
+  ('group_size', 'The whole team', 'adventure', 1), ('group_size', 'The whole team', 'outdoors', 0.9), ('group_size', 'The whole team', 'food', 0.8),
+  ('group_size', 'The whole team', 'arts', 0.6), ('group_size', 'The whole team', 'wellness', 0.3)
+)
+insert into public.finder_answer_weight (answer_id, category_id, weight)
+select a.answer_id, c.category_id, w.weight
+from weights w
+join public.finder_answer a on a.question_id = w.question_id and a.label = w.label
+join type_ids t on t.type_key = w.type_key
+join public.category c on c.category_id = t.category_id
+on conflict (answer_id, category_id) do nothing;
+
+-- The seeded occasion question is the one gift cards use (unless another has the role)
+update public.finder_question
+set role = 'occasion'
+where question_id = 'occasion'
+  and role is null
+  and not exists (select 1 from public.finder_question where role = 'occasion');
+
+-- Group size is only asked for colleagues (first run only, an admin's change stays)
+update public.finder_question q
+set show_if_answer_id = a.answer_id
+from public.finder_answer a
+where q.question_id = 'group_size'
+  and q.question_id in (select question_id from finder_seeded_question)
+  and a.question_id = 'recipient' and a.label = 'Colleague';
+
+drop table finder_seeded_question;
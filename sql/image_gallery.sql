@@ -0,0 +1,54 @@
+-- Photo gallery: captions + which photos people look at
+-- Businesses can caption each photo in business.html (used as the alt text too).
+-- detailed_experience.html logs a 'thumbnail_click' or 'lightbox_view' event in
+-- event_metric with the image_url, so the business metrics page can list the photos
+-- people look at most.
+--
+-- Run in the Supabase SQL editor. Safe to re-run.
+
+alter table public.image
+  add column if not exists caption text check (char_length(caption) <= 200);
+
+-- Which photo a thumbnail_click / lightbox_view was for (null for everything else).
+-- A url rather than image_id: business.js re-inserts the image rows on every edit.
+alter table public.event_metric
+  add column if not exists image_url text;
+
+create index if not exists event_metric_image_idx
+  on public.event_metric (experience_id, event_type)
+  where image_url is not null;
+
+-- ---------------------------------------------------------------
+-- photo_views: thumbnail clicks + lightbox views per photo
+-- For the business metrics page. Only works for the caller's own business.
+-- ---------------------------------------------------------------
+create or replace function public.photo_views(
+  p_business_id   uuid,
+  p_since         timestamptz,
+  p_experience_id uuid default null
+)
+returns table (image_url text, experience_title text, thumbnail_clicks int, lightbox_views int)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    em.image_url,
+    e.title as experience_title,
+    count(*) filter (where em.event_type = 'thumbnail_click')::int as thumbnail_clicks,
+    count(*) filter (where em.event_type = 'lightbox_view')::int as lightbox_views
+  from public.event_metric em
+  join public.experiences e on e.experience_id = em.experience_id
+  join public.business b on b.business_id = e.business_id
+  where em.event_type in ('thumbnail_click', 'lightbox_view')
+    and em.image_url is not null
+    and em.created_at >= p_since
+    and b.business_id = p_business_id
+    and b.user_id = auth.uid()
+    and (p_experience_id is null or em.experience_id = p_experience_id)
+  group by 1, 2
+  order by count(*) desc;
+$$;
+
+grant execute on function public.photo_views(uuid, timestamptz, uuid) to authenticated;
@@ -0,0 +1,189 @@
+-- Reviews + star ratings
+-- One review (1-5 stars + optional text) per user per experience. Users can edit
+-- or delete their own; anyone logged in can report someone else's.
+-- A review with 3 or more reports is hidden automatically until an admin looks at it
+-- (Reviews section of the admin dashboard: unhide via moderate_review(), or delete).
+--
+-- Run in the Supabase SQL editor BEFORE re-running experience_listing_v.sql
+-- (the view adds avg_rating / review_count from here). Safe to re-run.
+
+create table if not exists public.review (
+  review_id     uuid primary key default gen_random_uuid(),
+  experience_id uuid not null references public.experiences (experience_id) on delete cascade,
+  user_id       uuid not null default auth.uid() references public.users (user_id) on delete cascade,
+  reviewer_name text,                                  -- first name at the time of writing, set by a trigger (users rows aren't public)
+  rating        smallint not null check (rating between 1 and 5),
+  body          text check (char_length(body) <= 2000),
+  is_hidden     boolean not null default false,        -- set by reports / admins, hidden from everyone else
+  created_at    timestamptz not null default now(),
+  updated_at    timestamptz not null default now(),
+  unique (experience_id, user_id)                      -- one review per user per experience
+);
+
+create index if not exists review_experience_idx on public.review (experience_id, created_at desc);
+
+create table if not exists public.review_report (
+  report_id   uuid primary key default gen_random_uuid(),
+  review_id   uuid not null references public.review (review_id) on delete cascade,
+  reporter_id uuid not null default auth.uid() references public.users (user_id) on delete cascade,
+  reason      text check (char_length(reason) <= 500),
+  created_at  timestamptz not null default now(),
+  unique (review_id, reporter_id)                      -- one report per user per review
+);
+
+-- ---------------------------------------------------------------
+-- Triggers: keep updated_at current, hide a review once it has 3 reports
+-- ---------------------------------------------------------------
+create or replace function public.review_touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists review_touch_updated_at on public.review;
+create trigger review_touch_updated_at
+  before update on public.review
+  for each row execute function public.review_touch_updated_at();
+
+-- security definer: reporters can't update other people's reviews themselves
+create or replace function public.review_hide_when_reported()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.review r
+  set is_hidden = true
+  where r.review_id = new.review_id
+    and (select count(*) from public.review_report rr where rr.review_id = new.review_id) >= 3;
+  return new;
+end;
+$$;
+
+drop trigger if exists review_hide_when_reported on public.review_report;
+create trigger review_hide_when_reported
+  after insert on public.review_report
+  for each row execute function public.review_hide_when_reported();
+
+-- The name shown on a review comes from the writer's own users row, never from the client
+create or replace function public.review_set_reviewer_name()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.reviewer_name := (
+    select nullif(split_part(trim(u.full_name), ' ', 1), '')
+    from public.users u
+    where u.user_id = new.user_id
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists review_set_reviewer_name on public.review;
+create trigger review_set_reviewer_name
+  before insert on public.review
+  for each row execute function public.review_set_reviewer_name();
+
+-- ---------------------------------------------------------------
+-- Admin moderation: hide / unhide a review. Unhiding also clears its reports,
+-- otherwise the next report would hide it again straight away.
+-- (Owners can't touch is_hidden or reviewer_name: neither is in their column grant below.)
+-- ---------------------------------------------------------------
+create or replace function public.moderate_review(p_review_id uuid, p_hidden boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin') then
+    raise exception 'Only admins can moderate reviews';
+  end if;
+
+  update public.review set is_hidden = p_hidden where review_id = p_review_id;
+
+  if not p_hidden then
+    delete from public.review_report where review_id = p_review_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.moderate_review(uuid, boolean) to authenticated;
+
+-- ---------------------------------------------------------------
+-- Access
+--   review: everyone reads visible reviews (+ their own), users write their own
+--           (only on approved + published experiences they don't own),
+--           admins can read and delete everything
+--   review_report: users file their own reports, admins read them
+-- ---------------------------------------------------------------
+alter table public.review enable row level security;
+alter table public.review_report enable row level security;
+
+drop policy if exists "review read" on public.review;
+create policy "review read" on public.review for select
+  using (
+    not is_hidden
+    or user_id = auth.uid()
+    or exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin')
+  );
+
+drop policy if exists "review insert own" on public.review;
+create policy "review insert own" on public.review for insert
+  with check (
+    user_id = auth.uid()
+    and exists (
+      select 1
+      from public.experiences e
+      join public.business b on b.business_id = e.business_id
+      where e.experience_id = review.experience_id
+        and e.is_published = true
+        and lower(e.status) = 'approved'
+        and b.user_id is distinct from auth.uid()
+    )
+  );
+
+drop policy if exists "review update own" on public.review;
+create policy "review update own" on public.review for update
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
+
+drop policy if exists "review delete own or admin" on public.review;
+create policy "review delete own or admin" on public.review for delete
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin')
+  );
+
+drop policy if exists "review_report insert own" on public.review_report;
+create policy "review_report insert own" on public.review_report for insert
+  with check (
+    reporter_id = auth.uid()
+    and not exists (select 1 from public.review r where r.review_id = review_report.review_id and r.user_id = auth.uid())
+  );
+
+drop policy if exists "review_report read own or admin" on public.review_report;
+create policy "review_report read own or admin" on public.review_report for select
+  using (
+    reporter_id = auth.uid()
+    or exists (select 1 from public.users u where u.user_id = auth.uid() and u.role = 'admin')
+  );
+
+-- Supabase grants anon / authenticated ALL on new public tables, and a column revoke
+-- doesn't take away a table grant. Start from nothing (this also clears the column
+-- grants of earlier versions of this file) and give back only what is used.
+revoke all on public.review, public.review_report from anon, authenticated;
+
+grant select on public.review to anon, authenticated;
+grant insert (experience_id, rating, body), delete on public.review to authenticated;
+-- Column grant: owners can change their stars/text but not un-hide a reported review
+grant update (rating, body) on public.review to authenticated;
+grant select, insert on public.review_report to authenticated;
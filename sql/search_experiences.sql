@@ -0,0 +1,65 @@
+-- search_experiences(q)
+-- Ranked search for the Explore page hero search.
+--
+-- Run in the Supabase SQL editor after experience_listing_v.sql. Safe to re-run.
+--
+-- * Weighted full-text search (English stemming):
+--     A = title
+--     B = business name + category names
+--     C = short + full description
+--     D = what you'll do + what's included
+-- * Typo tolerance with pg_trgm word_similarity on title / business / categories
+--   ("kayack" still finds "Sea Kayaking").
+-- * websearch_to_tsquery parses user input safely, so commas, quotes and
+--   brackets in the search box can't break the query.
+--
+-- Returns experience_listing_v rows ordered best match first. Because it returns a
+-- table type, the front end can still chain .select() embeds, filters, .order() and
+-- .range() on the rpc call. With no .order() the relevance order below is kept.
+
+create extension if not exists pg_trgm;
+
+create or replace function public.search_experiences(q text)
+returns setof public.experience_listing_v
+language sql
+stable
+as $$
+  with input as (
+    select
+      websearch_to_tsquery('english', coalesce(q, '')) as tsq,
+      lower(trim(coalesce(q, ''))) as raw
+  ),
+  docs as (
+    select
+      l.experience_id,
+      setweight(to_tsvector('english', coalesce(l.title, '')), 'A') ||
+      setweight(to_tsvector('english', concat_ws(' ', b.business_name, c.names)), 'B') ||
+      setweight(to_tsvector('english', concat_ws(' ', l.short_description, l.event_description)), 'C') ||
+      setweight(to_tsvector('english', concat_ws(' ', l.what_you_do, l.whats_included)), 'D') as doc,
+      lower(concat_ws(' ', l.title, b.business_name, c.names)) as fuzzy_text
+    from public.experience_listing_v l
+    left join public.business b on b.business_id = l.business_id
+    left join lateral (
+      select string_agg(cat.category_name, ' ') as names
+      from public.experience_category ec
+      join public.category cat on cat.category_id = ec.category_id
+      where ec.experience_id = l.experience_id
+    ) c on true
+  ),
+  ranked as (
+    select
+      d.experience_id,
+      ts_rank_cd(d.doc, input.tsq, 32) as text_rank,
+      word_similarity(input.raw, d.fuzzy_text) as fuzzy_rank
+    from docs d
+    cross join input
+    where input.raw <> ''
+      and (d.doc @@ input.tsq or word_similarity(input.raw, d.fuzzy_text) >= 0.35)
+  )
+  select l.*
+  from ranked r
+  join public.experience_listing_v l on l.experience_id = r.experience_id
+  order by (r.text_rank + r.fuzzy_rank * 0.5) desc, l.created_at desc, l.experience_id;
+$$;
+
+grant execute on function public.search_experiences(text) to anon, authenticated;
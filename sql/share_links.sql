@@ -0,0 +1,95 @@
+-- Tracked share links
+-- The Share button on detailed_experience.html creates a share_link row and shares
+--   detailed_experience.html?id=<experience>&src=share&sid=<share_id>
+-- Views opened from that link are logged in event_metric with source 'share' and the
+-- share_id, so the business metrics referrer chart can say who the opens came from.
+--
+-- Run in the Supabase SQL editor. Safe to re-run.
+
+create table if not exists public.share_link (
+  share_id      text primary key check (share_id ~ '^[a-z0-9]{6,32}$'), -- short random id made in the browser
+  experience_id uuid not null references public.experiences (experience_id) on delete cascade,
+  user_id       uuid default auth.uid() references public.users (user_id) on delete set null, -- null = guest
+  session_id    text,                                                -- visitor_session of the sharer
+  channel       text not null check (channel in ('native', 'copy', 'email')),
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists share_link_experience_idx on public.share_link (experience_id);
+
+-- Which share link a view came from (null for everything else)
+alter table public.event_metric
+  add column if not exists share_id text references public.share_link (share_id) on delete set null;
+
+-- The sid comes from the URL, so it can be stale, mistyped or made up. Drop one that
+-- isn't a share of this experience instead of letting the foreign key reject the
+-- whole view. security definer: share_link isn't readable by visitors.
+create or replace function public.event_metric_check_share_id()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.share_id is not null and not exists (
+    select 1 from public.share_link s
+    where s.share_id = new.share_id
+      and s.experience_id = new.experience_id
+  ) then
+    new.share_id := null;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists event_metric_check_share_id on public.event_metric;
+create trigger event_metric_check_share_id
+  before insert on public.event_metric
+  for each row execute function public.event_metric_check_share_id();
+
+-- ---------------------------------------------------------------
+-- Access: anyone can create a share link for themselves (guests too).
+-- Nobody reads the table directly, businesses go through share_referrers() below.
+-- ---------------------------------------------------------------
+alter table public.share_link enable row level security;
+
+drop policy if exists "share_link insert" on public.share_link;
+create policy "share_link insert" on public.share_link for insert
+  with check (user_id is null or user_id = auth.uid());
+
+grant insert on public.share_link to anon, authenticated;
+
+-- ---------------------------------------------------------------
+-- share_referrers: views that came from share links, per sharer
+-- For the business metrics referrer chart. Only works for the caller's own business.
+-- sharer_name = first name of a logged-in sharer, null for guests.
+-- ---------------------------------------------------------------
+create or replace function public.share_referrers(
+  p_business_id   uuid,
+  p_since         timestamptz,
+  p_experience_id uuid default null
+)
+returns table (sharer_name text, channel text, opens int)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    nullif(split_part(trim(u.full_name), ' ', 1), '') as sharer_name,
+    s.channel,
+    count(*)::int as opens
+  from public.event_metric em
+  join public.share_link s on s.share_id = em.share_id
+  join public.experiences e on e.experience_id = s.experience_id
+  join public.business b on b.business_id = e.business_id
+  left join public.users u on u.user_id = s.user_id
+  where em.event_type = 'view'
+    and em.created_at >= p_since
+    and b.business_id = p_business_id
+    and b.user_id = auth.uid()
+    and (p_experience_id is null or s.experience_id = p_experience_id)
+  group by 1, 2;
+$$;
+
+grant execute on function public.share_referrers(uuid, timestamptz, uuid) to authenticated;